@@ -170,6 +170,11 @@ export namespace Coincidence {
    */
   export function accidentalRate(rate1: number, rate2: number, coincidenceWindow: number): number;
 
+  /**
+   * Calculate expected accidental rate of an N-fold coincidence
+   */
+  export function accidentalRateN(rates: number[], coincidenceWindow: number): number;
+
   /**
    * Calculate true coincidence rate
    */
@@ -424,6 +424,23 @@ export const Coincidence = {
     return 2 * rate1 * rate2 * coincidenceWindow;
   },
 
+  /**
+   * Calculate expected accidental rate of an N-fold coincidence between
+   * independent detectors: N * tau^(N-1) * R1 * R2 * ... * RN. For two
+   * detectors this is accidentalRate().
+   * @param {number[]} rates - Rate of each detector (counts/sec)
+   * @param {number} coincidenceWindow - Coincidence window in seconds
+   * @returns {number} Expected accidental rate (counts/sec)
+   */
+  accidentalRateN(rates, coincidenceWindow) {
+    const n = rates.length;
+    return (
+      n *
+      Math.pow(coincidenceWindow, n - 1) *
+      rates.reduce((product, rate) => product * rate, 1)
+    );
+  },
+
   /**
    * Calculate true coincidence rate
    * @param {number} measuredRate - Measured coincidence rate
@@ -247,12 +247,20 @@ export class CalibrationWizard {
   /**
    * Start voltage calibration for a channel
    */
-  measureChannelRate(channel: number, duration?: number): Promise<number>;
+  measureChannelRate(
+    channel: number,
+    duration?: number,
+    options?: { signal?: AbortSignal }
+  ): Promise<number>;
 
   /**
    * Perform automatic background measurement
    */
-  measureBackground(channels: number[], duration?: number): Promise<Record<number, number>>;
+  measureBackground(
+    channels: number[],
+    duration?: number,
+    options?: { signal?: AbortSignal }
+  ): Promise<Record<number, number>>;
 
   /**
    * Calibrate channel voltage
@@ -262,7 +270,12 @@ export class CalibrationWizard {
   /**
    * Auto-calibrate gain using reference source
    */
-  calibrateGain(channel: number, referenceRate: number, duration?: number): Promise<number>;
+  calibrateGain(
+    channel: number,
+    referenceRate: number,
+    duration?: number,
+    options?: { signal?: AbortSignal }
+  ): Promise<number>;
 
   /**
    * Find optimal threshold for a channel
@@ -270,7 +283,8 @@ export class CalibrationWizard {
   findOptimalThreshold(
     channel: number,
     testThresholds: number[],
-    duration?: number
+    duration?: number,
+    options?: { signal?: AbortSignal }
   ): Promise<ThresholdCalibrationResult>;
 
   /**
@@ -3,6 +3,20 @@
  * @module calibration
  */
 
+import { AbortError } from './errors.js';
+
+/**
+ * Replace the partial result of an AbortError, passing other errors through.
+ * @param {Error} error - Caught error
+ * @param {*} partial - Partial result of the aborted routine
+ * @returns {Error}
+ */
+function withPartial(error, partial) {
+  return error instanceof AbortError
+    ? new AbortError(partial, error.reason)
+    : error;
+}
+
 /**
  * Calibration profile class
  */
@@ -351,28 +365,45 @@ export class CalibrationWizard {
    * Start voltage calibration for a channel
    * @param {number} channel - Channel number (0-7)
    * @param {number} duration - Measurement duration in seconds
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Stops the measurement early
    * @returns {Promise<number>} Average count rate
+   * @throws {AbortError} If aborted; `partial` is the rate so far, or null
    */
-  async measureChannelRate(channel, duration = 5.0) {
+  async measureChannelRate(channel, duration = 5.0, { signal } = {}) {
     if (!this.cd48 || !this.cd48.isConnected()) {
       throw new Error('CD48 device not connected');
     }
 
-    const result = await this.cd48.measureRate(channel, duration);
-    return result.rate;
+    try {
+      const result = await this.cd48.measureRate(channel, duration, {
+        signal,
+      });
+      return result.rate;
+    } catch (error) {
+      throw withPartial(error, error.partial ? error.partial.rate : null);
+    }
   }
 
   /**
    * Perform automatic background measurement
    * @param {number[]} channels - Channels to measure
    * @param {number} duration - Measurement duration
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Stops the measurement early
    * @returns {Promise<Object>} Background rates for each channel
+   * @throws {AbortError} If aborted; `partial` holds the channels finished
    */
-  async measureBackground(channels, duration = 10.0) {
+  async measureBackground(channels, duration = 10.0, { signal } = {}) {
     const backgrounds = {};
 
     for (const channel of channels) {
-      const rate = await this.measureChannelRate(channel, duration);
+      let rate;
+      try {
+        rate = await this.measureChannelRate(channel, duration, { signal });
+      } catch (error) {
+        throw withPartial(error, { ...backgrounds });
+      }
       backgrounds[channel] = rate;
       this.profile.metadata[`background_ch${channel}`] = rate;
     }
@@ -396,10 +427,21 @@ export class CalibrationWizard {
    * @param {number} channel - Channel number
    * @param {number} referenceRate - Known reference rate
    * @param {number} duration - Measurement duration
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Stops the measurement early
    * @returns {Promise<number>} Calculated gain
-   */
-  async calibrateGain(channel, referenceRate, duration = 10.0) {
-    const measuredRate = await this.measureChannelRate(channel, duration);
+   * @throws {AbortError} If aborted; the profile is left unchanged and
+   *   `partial` is the rate measured so far, or null
+   */
+  async calibrateGain(
+    channel,
+    referenceRate,
+    duration = 10.0,
+    { signal } = {}
+  ) {
+    const measuredRate = await this.measureChannelRate(channel, duration, {
+      signal,
+    });
     const gain = referenceRate / measuredRate;
     this.profile.setGain(channel, gain);
     return gain;
@@ -410,15 +452,29 @@ export class CalibrationWizard {
    * @param {number} channel - Channel number
    * @param {number[]} testThresholds - Array of threshold values to test
    * @param {number} duration - Measurement duration per threshold
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Stops the scan early
    * @returns {Promise<Object>} Optimal threshold and rate data
-   */
-  async findOptimalThreshold(channel, testThresholds, duration = 5.0) {
+   * @throws {AbortError} If aborted; the profile is left unchanged and
+   *   `partial` holds `{ results }` for the thresholds finished
+   */
+  async findOptimalThreshold(
+    channel,
+    testThresholds,
+    duration = 5.0,
+    { signal } = {}
+  ) {
     const results = [];
 
     for (const threshold of testThresholds) {
       // Note: CD48 doesn't have threshold adjustment, but this shows the pattern
       // In a real implementation, you'd adjust hardware settings
-      const rate = await this.measureChannelRate(channel, duration);
+      let rate;
+      try {
+        rate = await this.measureChannelRate(channel, duration, { signal });
+      } catch (error) {
+        throw withPartial(error, { results: [...results] });
+      }
       results.push({ threshold, rate });
     }
 
@@ -2,6 +2,88 @@
  * TypeScript definitions for CD48 Coincidence Counter
  */
 
+import type { Transport } from './types/transport';
+import type { FirmwareVersion, FirmwareCapabilities } from './types/firmware';
+import type { Transcript, TranscriptRecorder } from './types/transcript';
+import type { Clock } from './types/clock';
+
+export type { FirmwareVersion, FirmwareCapabilities, Transcript };
+
+export {
+  Transport,
+  WebSerialTransport,
+  MemoryTransport,
+  CD48_USB_VENDOR_ID,
+} from './types/transport';
+
+/**
+ * Command priorities, highest first
+ */
+export declare const CommandPriority: {
+  readonly HIGH: 'high';
+  readonly NORMAL: 'normal';
+  readonly LOW: 'low';
+};
+
+export type CommandPriorityValue = 'high' | 'normal' | 'low';
+
+export interface CommandOptions {
+  /**
+   * Queue priority (default: 'normal'). Configuration setters use 'high';
+   * background polling should use 'low'.
+   */
+  priority?: CommandPriorityValue;
+}
+
+/**
+ * When and how often a failed command is sent again
+ */
+export interface RetryPolicy {
+  /**
+   * Attempts in total, including the first (default: 1, no retries)
+   */
+  maxAttempts: number;
+
+  /**
+   * Delay before the first retry in ms (default: 100)
+   */
+  initialDelayMs: number;
+
+  /**
+   * Multiplier applied to the delay after each retry (default: 2)
+   */
+  backoffFactor: number;
+
+  /**
+   * Upper bound for the delay in ms (default: 2000)
+   */
+  maxDelayMs: number;
+
+  /**
+   * Error classes worth another attempt
+   * (default: CommandTimeoutError, CommunicationError)
+   */
+  retryOn: ReadonlyArray<new (...args: any[]) => Error>;
+
+  /**
+   * Commands that are safe to resend (default: IDEMPOTENT_COMMANDS).
+   * 'c', 'C', 'E' and 'R' are never retried and may not be listed.
+   */
+  idempotentCommands: readonly string[];
+}
+
+export interface SendCommandOptions extends CommandOptions {
+  /**
+   * Response timeout in ms (default: the commandTimeout option)
+   */
+  timeout?: number;
+
+  /**
+   * Retry policy overrides for this call, or false to send once
+   */
+  retry?: Partial<RetryPolicy> | boolean;
+}
+
 export interface CD48Options {
   /**
    * Baud rate for serial communication (default: 115200)
@@ -32,6 +114,37 @@ export interface CD48Options {
    * Minimum milliseconds between commands for rate limiting (default: 0)
    */
   rateLimitMs?: number;
+
+  /**
+   * Time to wait for a command's response in ms (default: 1000)
+   */
+  commandTimeout?: number;
+
+  /**
+   * Retry policy overrides, or false for no retries (default: no retries)
+   */
+  retry?: Partial<RetryPolicy> | boolean;
+
+  /**
+   * Transport used to talk to the device (default: WebSerialTransport)
+   */
+  transport?: Transport;
+
+  /**
+   * Firmware capability table (default: FIRMWARE_CAPABILITIES)
+   */
+  capabilityTable?: readonly FirmwareCapabilities[];
+
+  /**
+   * Record a transcript of all device traffic (default: false)
+   */
+  record?: boolean;
+
+  /**
+   * Clock for all waiting and timing; a VirtualClock runs measurements in
+   * simulated time (default: realClock)
+   */
+  clock?: Clock;
 }
 
 export interface CountData {
@@ -46,6 +159,165 @@ export interface CountData {
   overflow: number;
 }
 
+export interface CountRecord extends CountData {
+  /**
+   * True if any channel's overflow bit is set
+   */
+  overflowed: boolean;
+
+  /**
+   * Channels whose overflow bit is set
+   */
+  overflowChannels: number[];
+
+  /**
+   * Host time the record was received (ms since epoch)
+   */
+  timestamp: number;
+}
+
+export interface StreamOptions {
+  /**
+   * Repeat interval in milliseconds (100-65535, default: 1000)
+   */
+  intervalMs?: number;
+}
+
+export interface AcquireOptions {
+  /**
+   * Time between readings in milliseconds (default: 1000)
+   */
+  intervalMs?: number;
+
+  /**
+   * Queue priority of the reads (default: 'low')
+   */
+  priority?: CommandPriorityValue;
+
+  /**
+   * Ends the acquisition
+   */
+  signal?: AbortSignal;
+}
+
+export interface AcquisitionInterval extends CountRecord {
+  /**
+   * Position of the interval in the acquisition, from 0
+   */
+  index: number;
+
+  /**
+   * Measured length of the interval in seconds
+   */
+  liveTime: number;
+
+  /**
+   * Time lost just before this interval, in seconds, when counts were read
+   * elsewhere or a read failed; 0 when it follows the previous interval
+   */
+  gap: number;
+
+  /**
+   * Time since the acquisition started, in seconds
+   */
+  elapsed: number;
+
+  /**
+   * Sum of the live times of all intervals so far, in seconds
+   */
+  totalLiveTime: number;
+
+  /**
+   * Fraction of the elapsed time covered by intervals (0-1)
+   */
+  coverage: number;
+
+  uncertainty: {
+    /**
+     * Uncertainty in the live time in seconds
+     */
+    liveTime: number;
+  };
+}
+
+export interface ConnectEventDetail {
+  transport: Transport;
+  firmware: FirmwareVersion | null;
+}
+
+export interface DisconnectEventDetail {
+  /**
+   * 'user' for disconnect() calls, 'lost' when the device went away
+   */
+  reason: 'user' | 'lost';
+  error?: Error;
+}
+
+export interface ReconnectEventDetail {
+  /**
+   * Attempt that succeeded, counting from 1 (1 for a reconnect() call)
+   */
+  attempt: number;
+}
+
+export interface ReconnectFailedEventDetail {
+  attempts: number;
+  error?: Error;
+}
+
+export interface CommandEventDetail {
+  command: string;
+}
+
+export interface ResponseEventDetail {
+  command: string;
+  response: string;
+  durationMs: number;
+}
+
+export interface CountsEventDetail extends CountData {
+  timestamp: number;
+  /**
+   * Number of the counts read, counted as each 'c' or 'C' is written.
+   * A jump means counts were cleared without reaching a counts event.
+   */
+  sequence: number;
+}
+
+export interface OverflowEventDetail {
+  overflow: number;
+  channels: number[];
+  timestamp: number;
+}
+
+export interface RetryEventDetail {
+  command: string;
+  attempt: number;
+  error: Error;
+  delayMs: number;
+}
+
+export interface ErrorEventDetail {
+  error: Error;
+  command?: string;
+}
+
+/**
+ * Events dispatched by CD48, keyed by type
+ */
+export interface CD48EventMap {
+  connect: CustomEvent<ConnectEventDetail>;
+  disconnect: CustomEvent<DisconnectEventDetail>;
+  reconnect: CustomEvent<ReconnectEventDetail>;
+  'reconnect-failed': CustomEvent<ReconnectFailedEventDetail>;
+  command: CustomEvent<CommandEventDetail>;
+  response: CustomEvent<ResponseEventDetail>;
+  counts: CustomEvent<CountsEventDetail>;
+  overflow: CustomEvent<OverflowEventDetail>;
+  retry: CustomEvent<RetryEventDetail>;
+  error: CustomEvent<ErrorEventDetail>;
+}
+
 export interface RateUncertainty {
   /**
    * Poisson uncertainty in counts (sqrt(N))
@@ -53,7 +325,12 @@ export interface RateUncertainty {
   counts: number;
 
   /**
-   * Uncertainty in rate (counts uncertainty / duration)
+   * Uncertainty in the live time in seconds, from the command round trips
+   */
+  liveTime: number;
+
+  /**
+   * Uncertainty in rate (counts and live time uncertainties combined)
    */
   rate: number;
 
@@ -70,10 +347,22 @@ export interface RateResult {
   counts: number;
 
   /**
-   * Measurement duration in seconds
+   * Measurement duration in seconds: the requested duration, or the live
+   * time of an aborted measurement
    */
   duration: number;
 
+  /**
+   * Duration requested in seconds
+   */
+  requestedDuration: number;
+
+  /**
+   * Measured time between clearing and reading the counters in seconds;
+   * rates are counts divided by this
+   */
+  liveTime: number;
+
   /**
    * Calculated rate in Hz
    */
@@ -112,6 +401,109 @@ export interface ChannelInputs {
   D?: number;
 }
 
+export interface DeviceState {
+  /**
+   * Input mask of each of the 8 channels
+   */
+  channels: Array<Required<ChannelInputs>>;
+
+  /**
+   * Trigger level in volts
+   */
+  triggerLevel: number;
+
+  /**
+   * Trigger level as the raw byte (0-255)
+   */
+  triggerLevelByte: number;
+
+  /**
+   * DAC output in volts
+   */
+  dacVoltage: number;
+
+  /**
+   * DAC output as the raw byte (0-255)
+   */
+  dacVoltageByte: number;
+
+  /**
+   * Input impedance, or null if the firmware does not report it
+   */
+  impedance: '50ohm' | 'highz' | null;
+
+  /**
+   * Whether repeat mode is on, or null if not reported
+   */
+  repeatEnabled: boolean | null;
+
+  /**
+   * Repeat interval in ms, or null if not reported
+   */
+  repeatInterval: number | null;
+}
+
+export interface CD48Config {
+  /**
+   * Input masks keyed by channel number; omitted inputs are 0
+   */
+  channels?: Record<number, ChannelInputs> | Array<ChannelInputs | null>;
+
+  /**
+   * Trigger level in volts (0.0 to 4.08V)
+   */
+  triggerLevel?: number;
+
+  /**
+   * Input impedance
+   */
+  impedance?: 'highz' | '50ohm';
+
+  /**
+   * DAC output in volts (0.0 to 4.08V)
+   */
+  dacVoltage?: number;
+
+  /**
+   * Repeat interval in ms (100-65535)
+   */
+  repeatInterval?: number;
+}
+
+export interface SettingMismatch {
+  /**
+   * Setting name, e.g. 'triggerLevel' or 'channel4'
+   */
+  setting: string;
+
+  /**
+   * Value that was requested (bytes for voltages)
+   */
+  expected: unknown;
+
+  /**
+   * Value read back from the device
+   */
+  actual: unknown;
+}
+
+export interface ConfigureReport {
+  /**
+   * Settings that differed and were sent
+   */
+  applied: string[];
+
+  /**
+   * Settings that did not read back as requested
+   */
+  mismatches: SettingMismatch[];
+
+  /**
+   * Device state read back after applying
+   */
+  state: DeviceState;
+}
+
 export interface CoincidenceMeasurementOptions {
   /**
    * Measurement duration in seconds
@@ -137,6 +529,58 @@ export interface CoincidenceMeasurementOptions {
    * Coincidence window in seconds (default: 25e-9)
    */
   coincidenceWindow?: number;
+
+  /**
+   * Stops the measurement early; it then rejects with AbortError
+   */
+  signal?: AbortSignal;
+}
+
+/**
+ * Options for measureRate()
+ */
+export interface MeasureRateOptions {
+  /**
+   * Stops the measurement early; it then rejects with AbortError
+   */
+  signal?: AbortSignal;
+}
+
+/**
+ * Options for measureRateToPrecision()
+ */
+export interface PrecisionMeasurementOptions extends MeasureRateOptions {
+  /**
+   * Target Poisson uncertainty as a percentage (default: 1)
+   */
+  targetRelativeUncertainty?: number;
+
+  /**
+   * Longest time to count in seconds (default: 60)
+   */
+  maxDuration?: number;
+
+  /**
+   * Counting time between checks in seconds (default: 1)
+   */
+  chunk?: number;
+}
+
+export interface PrecisionRateResult extends RateResult {
+  /**
+   * Target Poisson uncertainty as a percentage
+   */
+  targetRelativeUncertainty: number;
+
+  /**
+   * True if the Poisson uncertainty reached the target before maxDuration
+   */
+  targetReached: boolean;
+
+  /**
+   * Number of chunks counted
+   */
+  chunks: number;
 }
 
 export interface CoincidenceUncertainty {
@@ -155,6 +599,11 @@ export interface CoincidenceUncertainty {
    */
   coincidences: number;
 
+  /**
+   * Uncertainty in the live time in seconds, from the command round trips
+   */
+  liveTime: number;
+
   /**
    * Uncertainty in singles A rate
    */
@@ -198,10 +647,22 @@ export interface CoincidenceResult {
   coincidences: number;
 
   /**
-   * Measurement duration in seconds
+   * Measurement duration in seconds: the requested duration, or the live
+   * time of an aborted measurement
    */
   duration: number;
 
+  /**
+   * Duration requested in seconds
+   */
+  requestedDuration: number;
+
+  /**
+   * Measured time between clearing and reading the counters in seconds;
+   * rates are counts divided by this
+   */
+  liveTime: number;
+
   /**
    * Singles A rate in Hz
    */
@@ -233,15 +694,200 @@ export interface CoincidenceResult {
   uncertainty: CoincidenceUncertainty;
 }
 
+/**
+ * Detector input of the CD48
+ */
+export type ChannelInput = 'A' | 'B' | 'C' | 'D';
+
+/**
+ * Options for measureNFoldCoincidenceRate()
+ */
+export interface NFoldCoincidenceOptions {
+  /**
+   * Two to four distinct inputs in the coincidence
+   */
+  inputs: ChannelInput[];
+
+  /**
+   * Measurement duration in seconds (default: 1.0)
+   */
+  duration?: number;
+
+  /**
+   * Coincidence window in seconds (default: 25e-9)
+   */
+  coincidenceWindow?: number;
+
+  /**
+   * Stops the measurement early; it then rejects with AbortError
+   */
+  signal?: AbortSignal;
+}
+
+export interface NFoldCoincidenceUncertainty {
+  /**
+   * Poisson uncertainty in each input's singles counts
+   */
+  singles: Partial<Record<ChannelInput, number>>;
+
+  /**
+   * Poisson uncertainty in coincidence counts
+   */
+  coincidences: number;
+
+  /**
+   * Uncertainty in the live time in seconds
+   */
+  liveTime: number;
+
+  /**
+   * Uncertainty in each input's singles rate
+   */
+  rates: Partial<Record<ChannelInput, number>>;
+
+  /**
+   * Uncertainty in coincidence rate
+   */
+  coincidenceRate: number;
+
+  /**
+   * Propagated uncertainty in accidental rate
+   */
+  accidentalRate: number;
+
+  /**
+   * Combined uncertainty in true coincidence rate
+   */
+  trueCoincidenceRate: number;
+}
+
+export interface NFoldCoincidenceResult {
+  /**
+   * Inputs in the coincidence
+   */
+  inputs: ChannelInput[];
+
+  /**
+   * Number of inputs (N)
+   */
+  fold: number;
+
+  /**
+   * Channel counting the coincidence, read from the device masks
+   */
+  coincidenceChannel: number;
+
+  /**
+   * Channel counting each input's singles, read from the device masks
+   */
+  singlesChannels: Partial<Record<ChannelInput, number>>;
+
+  /**
+   * Singles counts per input
+   */
+  singles: Partial<Record<ChannelInput, number>>;
+
+  /**
+   * Coincidence count
+   */
+  coincidences: number;
+
+  /**
+   * Measurement duration in seconds: the requested duration, or the live
+   * time of an aborted measurement
+   */
+  duration: number;
+
+  /**
+   * Duration requested in seconds
+   */
+  requestedDuration: number;
+
+  /**
+   * Measured time between clearing and reading the counters in seconds
+   */
+  liveTime: number;
+
+  /**
+   * Singles rate per input in Hz
+   */
+  rates: Partial<Record<ChannelInput, number>>;
+
+  /**
+   * Measured coincidence rate in Hz
+   */
+  coincidenceRate: number;
+
+  /**
+   * Accidental rate N * tau^(N-1) * product of the singles rates, in Hz
+   */
+  accidentalRate: number;
+
+  /**
+   * True coincidence rate (measured - accidental) in Hz
+   */
+  trueCoincidenceRate: number;
+
+  /**
+   * Measurement uncertainties with error propagation
+   */
+  uncertainty: NFoldCoincidenceUncertainty;
+}
+
 /**
  * CD48 Coincidence Counter interface class
  */
-export class CD48 {
+export class CD48 extends EventTarget {
   /**
    * Create a CD48 interface instance
    */
   constructor(options?: CD48Options);
 
+  /**
+   * Transport used to talk to the device
+   */
+  transport: Transport;
+
+  /**
+   * Underlying SerialPort when using the Web Serial transport
+   */
+  readonly port: any | null;
+
+  /**
+   * Time to wait for a command's response in ms
+   */
+  commandTimeout: number;
+
+  /**
+   * Retry policy applied to sendCommand() calls
+   */
+  retryPolicy: RetryPolicy;
+
+  /**
+   * Active transcript recorder, or null when not recording
+   */
+  recorder: TranscriptRecorder | null;
+
+  /**
+   * Clock used for all waiting and timing
+   */
+  clock: Clock;
+
+  /**
+   * Firmware version read on connect, or null if it could not be parsed
+   */
+  firmware: FirmwareVersion | null;
+
+  /**
+   * Capabilities of the connected firmware
+   */
+  capabilities: FirmwareCapabilities;
+
+  /**
+   * Check if the connected firmware accepts a command
+   */
+  supports(command: string): boolean;
+
   /**
    * Check if Web Serial API is supported in the browser
    */
@@ -267,11 +913,38 @@ export class CD48 {
   disconnect(): Promise<void>;
 
   /**
-   * Attempt to reconnect to a previously connected device
+   * Attempt to reconnect to a previously connected device.
+   * Settings applied with the set* methods are replayed and verified;
+   * commands sent meanwhile wait for the replay. Rejects with
+   * SettingsMismatchError, after reconnecting, if they do not read back,
+   * and with ConnectionError if the device reports a different version
+   * string than on connect().
    * @returns True if reconnected successfully
    */
   reconnect(): Promise<boolean>;
 
+  addEventListener<K extends keyof CD48EventMap>(
+    type: K,
+    listener: (this: CD48, event: CD48EventMap[K]) => void,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  addEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+
+  removeEventListener<K extends keyof CD48EventMap>(
+    type: K,
+    listener: (this: CD48, event: CD48EventMap[K]) => void,
+    options?: boolean | EventListenerOptions
+  ): void;
+  removeEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | EventListenerOptions
+  ): void;
+
   /**
    * Set callback for disconnect events
    * @param callback - Function called on disconnect
@@ -290,17 +963,41 @@ export class CD48 {
   isConnected(): boolean;
 
   /**
-   * Sleep for specified milliseconds
+   * Sleep for specified milliseconds on the clock
    * @param ms - Milliseconds to sleep
+   * @param signal - Rejects with AbortError when aborted
+   */
+  sleep(ms: number, signal?: AbortSignal): Promise<void>;
+
+  /**
+   * Number of commands waiting or in progress
+   */
+  getQueueDepth(): number;
+
+  /**
+   * Start recording a transcript, discarding any earlier recording
+   */
+  startRecording(): TranscriptRecorder;
+
+  /**
+   * Stop recording
+   * @returns Transcript recorded, or null if not recording
    */
-  sleep(ms: number): Promise<void>;
+  stopRecording(): Transcript | null;
+
+  /**
+   * Get the transcript recorded so far, or null if not recording
+   */
+  getTranscript(): Transcript | null;
 
   /**
    * Send a command and read the response
+   * Commands are queued so only one is outstanding at a time
    * @param command - Command to send
+   * @param options - Command options
    * @returns Response from device
    */
-  sendCommand(command: string): Promise<string>;
+  sendCommand(command: string, options?: SendCommandOptions): Promise<string>;
 
   /**
    * Get firmware version
@@ -316,8 +1013,11 @@ export class CD48 {
    * Get current counts from all channels
    * @param humanReadable - If true, returns formatted string
    */
-  getCounts(humanReadable?: false): Promise<CountData>;
-  getCounts(humanReadable: true): Promise<string>;
+  getCounts(
+    humanReadable?: false,
+    options?: CommandOptions
+  ): Promise<CountData>;
+  getCounts(humanReadable: true, options?: CommandOptions): Promise<string>;
 
   /**
    * Clear all counters by reading them
@@ -330,6 +1030,20 @@ export class CD48 {
    */
   getSettings(humanReadable?: boolean): Promise<string>;
 
+  /**
+   * Get current device settings parsed from the 'p' reply
+   * @throws InvalidResponseError if the reply is malformed
+   */
+  getDeviceState(): Promise<DeviceState>;
+
+  /**
+   * Apply a declarative configuration, sending only settings that differ
+   * from the device, then read settings back and report mismatches
+   * @param config - Settings to apply
+   * @throws ValidationError if the configuration is invalid
+   */
+  configure(config: CD48Config): Promise<ConfigureReport>;
+
   /**
    * Configure a counter channel
    * @param channel - Channel number (0-7)
@@ -364,6 +1078,23 @@ export class CD48 {
    */
   toggleRepeat(): Promise<string>;
 
+  /**
+   * Stream counts pushed by the device in repeat mode
+   * Breaking out of the loop turns repeat mode off
+   * @param options - Stream options
+   */
+  stream(options?: StreamOptions): AsyncGenerator<CountRecord, void, undefined>;
+
+  /**
+   * Acquire counts continuously as back-to-back read-and-clear intervals
+   * Other commands run between readings; counts read elsewhere are
+   * reported as a gap
+   * @param options - Acquisition options
+   */
+  acquire(
+    options?: AcquireOptions
+  ): AsyncGenerator<AcquisitionInterval, void, undefined>;
+
   /**
    * Set DAC output voltage
    * @param voltage - Output voltage (0.0 to 4.08V)
@@ -385,8 +1116,24 @@ export class CD48 {
    * Measure count rate on a channel
    * @param channel - Channel number (0-7)
    * @param duration - Measurement duration in seconds
+   * @param options - Measurement options
+   */
+  measureRate(
+    channel?: number,
+    duration?: number,
+    options?: MeasureRateOptions
+  ): Promise<RateResult>;
+
+  /**
+   * Measure count rate on a channel until its Poisson uncertainty reaches
+   * a target or maxDuration passes
+   * @param channel - Channel number (0-7)
+   * @param options - Target, time limit and chunk length
    */
-  measureRate(channel?: number, duration?: number): Promise<RateResult>;
+  measureRateToPrecision(
+    channel?: number,
+    options?: PrecisionMeasurementOptions
+  ): Promise<PrecisionRateResult>;
 
   /**
    * Measure coincidence rate with accidental correction
@@ -395,6 +1142,15 @@ export class CD48 {
   measureCoincidenceRate(
     options?: CoincidenceMeasurementOptions
   ): Promise<CoincidenceResult>;
+
+  /**
+   * Measure an N-fold coincidence rate with accidental correction, using
+   * the channel masks read from the device
+   * @param options - Inputs, duration and coincidence window
+   */
+  measureNFoldCoincidenceRate(
+    options: NFoldCoincidenceOptions
+  ): Promise<NFoldCoincidenceResult>;
 }
 
 export default CD48;
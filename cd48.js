@@ -17,6 +17,7 @@
  */
 
 import {
+  CD48Error,
   UnsupportedBrowserError,
   NotConnectedError,
   ConnectionError,
@@ -24,11 +25,92 @@ import {
   CommandTimeoutError,
   InvalidResponseError,
   CommunicationError,
+  SettingsMismatchError,
+  UnsupportedCommandError,
+  AbortError,
+  ValidationError,
+  ChannelConfigurationError,
 } from './errors.js';
 
-import { validateChannel, voltageToByte } from './validation.js';
+import {
+  validateChannel,
+  voltageToByte,
+  clampRepeatInterval,
+  normalizeConfig,
+  normalizeRetryPolicy,
+} from './validation.js';
+import {
+  Transport,
+  WebSerialTransport,
+  MemoryTransport,
+  CD48_USB_VENDOR_ID,
+} from './transport.js';
+import { CommandQueue, CommandPriority } from './command-queue.js';
+import { LineReader } from './line-reader.js';
+import { TranscriptRecorder } from './transcript.js';
+import { realClock } from './clock.js';
+import { Coincidence } from './analysis.js';
+import {
+  ALL_COMMANDS,
+  FIRMWARE_CAPABILITIES,
+  parseVersion,
+  getCapabilities,
+} from './firmware.js';
+import {
+  getResponseFraming,
+  parseCounts,
+  decodeOverflow,
+  parseSettings,
+  diffSettings,
+  CHANNEL_INPUTS,
+  IDEMPOTENT_COMMANDS,
+  COUNT_CLEARING_COMMANDS,
+} from './protocol.js';
+
+/**
+ * Maximum time to wait for a command's response in milliseconds
+ */
+const COMMAND_TIMEOUT_MS = 1000;
 
-class CD48 {
+/**
+ * Retry policy used unless the constructor or a call overrides it.
+ * Commands are sent once by default.
+ * - maxAttempts: attempts in total, including the first
+ * - initialDelayMs, backoffFactor, maxDelayMs: exponential backoff
+ *   between attempts
+ * - retryOn: error classes worth another attempt
+ * - idempotentCommands: commands that are safe to resend
+ */
+const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 1,
+  initialDelayMs: 100,
+  backoffFactor: 2,
+  maxDelayMs: 2000,
+  retryOn: Object.freeze([CommandTimeoutError, CommunicationError]),
+  idempotentCommands: IDEMPOTENT_COMMANDS,
+});
+
+/**
+ * CD48 device interface.
+ *
+ * Dispatches CustomEvents with a `detail` payload:
+ * - connect: { transport, firmware }
+ * - disconnect: { reason: 'user' | 'lost', error? }
+ * - reconnect: { attempt } (1 for a reconnect() call)
+ * - reconnect-failed: { attempts, error? }
+ * - command: { command }
+ * - retry: { command, attempt, error, delayMs }
+ * - response: { command, response, durationMs }
+ * - counts: { counts, overflow, timestamp, sequence }, where sequence
+ *   numbers the counts reads as written and skips reads whose counts
+ *   were lost (a 'C' read, or a 'c' whose reply failed)
+ * - overflow: { overflow, channels, timestamp }
+ * - error: { error, command? }
+ *
+ * @example
+ * cd48.addEventListener('counts', (event) => plot(event.detail.counts));
+ */
+class CD48 extends EventTarget {
   /**
    * Create a CD48 interface instance.
    * @param {Object} options - Configuration options
@@ -38,27 +120,83 @@ class CD48 {
    * @param {number} options.reconnectAttempts - Max reconnection attempts (default: 3)
    * @param {number} options.reconnectDelay - Delay between reconnect attempts in ms (default: 1000)
    * @param {number} options.rateLimitMs - Minimum ms between commands (default: 0)
+   * @param {number} options.commandTimeout - Time to wait for a response in ms (default: 1000)
+   * @param {Object|boolean} options.retry - Retry policy overrides, or false (default: no retries)
+   * @param {Transport} options.transport - Transport to use (default: WebSerialTransport)
+   * @param {Array<Object>} options.capabilityTable - Firmware capability table (default: FIRMWARE_CAPABILITIES)
+   * @param {boolean} options.record - Record a transcript of all device traffic (default: false)
+   * @param {Object} options.clock - Clock for all waiting and timing; a VirtualClock runs measurements in simulated time (default: realClock)
    */
   constructor(options = {}) {
+    super();
     this.baudRate = options.baudRate || 115200;
     this.commandDelay = options.commandDelay || 50;
     this.autoReconnect = options.autoReconnect || false;
     this.reconnectAttempts = options.reconnectAttempts || 3;
     this.reconnectDelay = options.reconnectDelay || 1000;
     this.rateLimitMs = options.rateLimitMs || 0;
-    this.port = null;
-    this.reader = null;
-    this.writer = null;
-    this.readableStreamClosed = null;
-    this.writableStreamClosed = null;
+    this.commandTimeout = options.commandTimeout || COMMAND_TIMEOUT_MS;
+    this.retryPolicy = normalizeRetryPolicy(
+      options.retry,
+      DEFAULT_RETRY_POLICY
+    );
+    this.transport =
+      options.transport || new WebSerialTransport({ baudRate: this.baudRate });
+    this.capabilityTable = options.capabilityTable || FIRMWARE_CAPABILITIES;
+    this.clock = options.clock || realClock;
+    this.firmware = null;
+    this.capabilities = getCapabilities(null, this.capabilityTable);
+    this.recorder = options.record
+      ? new TranscriptRecorder({ clock: this.clock })
+      : null;
+    this._queue = new CommandQueue();
+    this._repeatEnabled = false;
+    this._countsReadCount = 0;
+    this._lineReader = null;
     this._lastCommandTime = 0;
     this._reconnecting = false;
+    this._autoReconnectPromise = null;
+    this._connectionLost = false;
+    this._restoring = null;
+    this._deviceVersion = null;
+    this._settings = CD48._emptySettings();
     this._onDisconnect = null;
     this._onReconnect = null;
+
+    // Transports that can detect unplugging report it as events
+    if (typeof this.transport.addEventListener === 'function') {
+      this.transport.addEventListener('disconnect', () => {
+        this._handleConnectionLost(null);
+      });
+      this.transport.addEventListener('connect', () => {
+        if (this._connectionLost && !this.isConnected()) {
+          this._attemptAutoReconnect();
+        }
+      });
+    }
+  }
+
+  /**
+   * Underlying SerialPort when using the Web Serial transport.
+   * @type {Object|null}
+   */
+  get port() {
+    return this.transport.port || null;
+  }
+
+  /**
+   * Dispatch an event with a detail payload.
+   * @param {string} type - Event type
+   * @param {Object} detail - Event detail
+   * @private
+   */
+  _emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
   }
 
   /**
    * Set callback for disconnect events.
+   * Prefer addEventListener('disconnect', ...) when several listeners are needed.
    * @param {Function} callback - Function called on disconnect
    */
   onDisconnect(callback) {
@@ -67,37 +205,59 @@ class CD48 {
 
   /**
    * Set callback for reconnect events.
+   * Prefer addEventListener('reconnect', ...) when several listeners are needed.
    * @param {Function} callback - Function called on successful reconnect
    */
   onReconnect(callback) {
     this._onReconnect = callback;
   }
 
+  /**
+   * Shadow copy of settings with nothing applied yet.
+   * Bytes are stored as sent; channels are keyed by channel number.
+   * @returns {Object}
+   * @private
+   */
+  static _emptySettings() {
+    return {
+      channels: {},
+      triggerLevel: null,
+      impedance: null,
+      dacVoltage: null,
+      repeatInterval: null,
+      repeatEnabled: null,
+    };
+  }
+
   /**
    * Check if Web Serial API is supported.
    * @returns {boolean}
    */
   static isSupported() {
-    return 'serial' in navigator;
+    return WebSerialTransport.isSupported();
   }
 
   /**
    * Connect to the CD48 device.
-   * Opens a serial port picker dialog for the user.
+   * With the default Web Serial transport this opens a port picker dialog.
    * @returns {Promise<boolean>} True if connected successfully
    */
   async connect() {
-    if (!CD48.isSupported()) {
+    if (!this.transport.isSupported()) {
       throw new UnsupportedBrowserError();
     }
 
     try {
-      // Request port with Cypress VID filter
-      this.port = await navigator.serial.requestPort({
-        filters: [{ usbVendorId: 0x04b4 }], // Cypress Semiconductor
-      });
-
+      await this.transport.open();
       await this._setupConnection();
+      await this._negotiateFirmware();
+      // A fresh connection starts from the device's power-on settings
+      this._settings = CD48._emptySettings();
+      this._deviceVersion = this.firmware ? this.firmware.raw : null;
+      this._emit('connect', {
+        transport: this.transport,
+        firmware: this.firmware,
+      });
       return true;
     } catch (error) {
       if (error.name === 'NotFoundError') {
@@ -108,20 +268,34 @@ class CD48 {
   }
 
   /**
-   * Set up connection streams after port is opened.
+   * Finish connection setup after the transport is opened.
    * @private
    */
   async _setupConnection() {
-    await this.port.open({ baudRate: this.baudRate });
-
-    // Set up reader and writer
-    const textDecoder = new TextDecoderStream();
-    this.readableStreamClosed = this.port.readable.pipeTo(textDecoder.writable);
-    this.reader = textDecoder.readable.getReader();
-
-    const textEncoder = new TextEncoderStream();
-    this.writableStreamClosed = textEncoder.readable.pipeTo(this.port.writable);
-    this.writer = textEncoder.writable.getWriter();
+    // Reads go through the recorder, which may be started at any time
+    const source = {
+      read: async () => {
+        const result = await this.transport.read();
+        if (this.recorder && !result.done && result.value) {
+          this.recorder.record('read', result.value);
+        }
+        return result;
+      },
+    };
+    const reader = new LineReader(source, {
+      clock: this.clock,
+      onEnd: () => this._handleStreamClosed(reader, null),
+      onError: (error) => {
+        // Web Serial reports a lost device as a NetworkError; other read
+        // errors (framing, parity, overrun) leave the port usable
+        if (error && error.name === 'NetworkError') {
+          this._handleStreamClosed(reader, error);
+        }
+      },
+    });
+    this._lineReader = reader;
+    this._connectionLost = false;
+    this._repeatEnabled = false;
 
     // Wait for device to initialize
     await this.sleep(500);
@@ -129,66 +303,308 @@ class CD48 {
 
   /**
    * Attempt to reconnect to the device.
+   * Settings applied earlier are replayed and verified, because the
+   * device comes back with its power-on defaults. Commands sent in the
+   * meantime wait until the replay is done.
+   *
+   * A device whose settings do not read back is still connected: the
+   * reconnect event fires, then the mismatch is thrown.
+   *
+   * The reopened device must report the version string read on
+   * connect(); with several units granted, a replug can otherwise hand
+   * over another unit's port. A different device is rejected before any
+   * setting is replayed to it.
    * @returns {Promise<boolean>} True if reconnected successfully
+   * @throws {ConnectionError} If the port could not be reopened, or
+   *   belongs to a different device
+   * @throws {SettingsMismatchError} If the restored settings do not read back
    */
   async reconnect() {
+    return this._reconnect(1);
+  }
+
+  /**
+   * Reconnect, reporting the attempt number in the reconnect event.
+   * @param {number} attempt - Attempt number, counting from 1
+   * @returns {Promise<boolean>} True if reconnected successfully
+   * @private
+   */
+  async _reconnect(attempt) {
     if (this._reconnecting) {
       return false;
     }
 
     this._reconnecting = true;
+    // Hold commands in _transact() from before the port reopens, so none
+    // is written ahead of the firmware check and the settings replay
+    let finish;
+    this._restoring = new Promise((resolve) => {
+      finish = resolve;
+    });
 
     try {
-      // Clean up existing connection
-      await this._cleanupConnection();
-
-      // Get previously granted ports
-      const ports = await navigator.serial.getPorts();
-      const cd48Port = ports.find((p) => {
-        const info = p.getInfo();
-        return info.usbVendorId === 0x04b4;
-      });
+      await this.transport.reopen();
+      await this._setupConnection();
+      const firmware = this.firmware;
+      await this._negotiateFirmware();
+      await this._verifySameDevice(firmware);
 
-      if (!cd48Port) {
-        throw new ConnectionError('No previously connected CD48 device found');
+      let mismatch = null;
+      try {
+        await this._restoreSettings();
+      } catch (error) {
+        if (!(error instanceof SettingsMismatchError)) {
+          throw error;
+        }
+        mismatch = error;
       }
 
-      this.port = cd48Port;
-      await this._setupConnection();
-
       if (this._onReconnect) {
         this._onReconnect();
       }
+      this._emit('reconnect', { attempt });
 
+      if (mismatch) {
+        throw mismatch;
+      }
       return true;
+    } catch (error) {
+      if (error instanceof CD48Error) {
+        throw error;
+      }
+      throw new ConnectionError(error.message, error);
     } finally {
       this._reconnecting = false;
+      this._restoring = null;
+      finish();
+    }
+  }
+
+  /**
+   * Read the firmware version and look up its capabilities.
+   * A device that does not answer 'v' keeps unrestricted capabilities.
+   * Like _restoreSettings(), this writes directly rather than queueing.
+   * @private
+   */
+  async _negotiateFirmware() {
+    let version = null;
+    try {
+      version = await this._exchange('v');
+    } catch (error) {
+      if (!(error instanceof CD48Error)) {
+        throw error;
+      }
+    }
+
+    this.firmware = parseVersion(version);
+    this.capabilities = getCapabilities(this.firmware, this.capabilityTable);
+  }
+
+  /**
+   * Reject a reopened device whose version string differs from the one
+   * read on connect(). Devices that did not report one are accepted.
+   * @param {Object|null} firmware - Firmware before the reconnect
+   * @throws {ConnectionError} If the device is a different one
+   * @private
+   */
+  async _verifySameDevice(firmware) {
+    const expected = this._deviceVersion;
+    const found = this.firmware ? this.firmware.raw : null;
+    if (expected === null || found === null || found === expected) {
+      return;
+    }
+
+    this.firmware = firmware;
+    this.capabilities = getCapabilities(firmware, this.capabilityTable);
+    this._connectionLost = true;
+    this._lineReader = null;
+    if (typeof this.transport.rejectDevice === 'function') {
+      await this.transport.rejectDevice();
+    } else {
+      await this.transport.close();
+    }
+    throw new ConnectionError(
+      `Reopened port belongs to a different device (expected "${expected}", found "${found}")`
+    );
+  }
+
+  /**
+   * Check if the connected firmware accepts a command.
+   * Characters outside the documented command set are passed through.
+   * @param {string} command - Command string (first character is the command)
+   * @returns {boolean}
+   */
+  supports(command) {
+    const op = command.charAt(0);
+    return (
+      !ALL_COMMANDS.includes(op) || this.capabilities.commands.includes(op)
+    );
+  }
+
+  /**
+   * Throw if the connected firmware lacks a command.
+   * @param {string} command - Command string
+   * @throws {UnsupportedCommandError}
+   * @private
+   */
+  _requireCommand(command) {
+    if (!this.supports(command)) {
+      throw new UnsupportedCommandError(
+        command.charAt(0),
+        this.firmware ? this.firmware.raw : null
+      );
+    }
+  }
+
+  /**
+   * Replay the shadow settings and verify them with a settings readback.
+   * Commands are written directly rather than queued, since a reconnect
+   * can be started by a command that already holds the queue; other
+   * commands wait in _transact() until reconnect() is done.
+   * @throws {SettingsMismatchError} If the settings do not read back
+   * @private
+   */
+  async _restoreSettings() {
+    const settings = this._settings;
+    const commands = [];
+
+    for (const [channel, mask] of Object.entries(settings.channels)) {
+      commands.push(`S${channel}${mask.A}${mask.B}${mask.C}${mask.D}`);
+    }
+    if (settings.triggerLevel !== null) {
+      commands.push(`L${settings.triggerLevel}`);
+    }
+    if (settings.impedance !== null) {
+      commands.push(settings.impedance === '50ohm' ? 'z' : 'Z');
+    }
+    if (settings.dacVoltage !== null) {
+      commands.push(`V${settings.dacVoltage}`);
+    }
+    if (settings.repeatInterval !== null) {
+      commands.push(`r${settings.repeatInterval}`);
+    }
+
+    if (commands.length === 0 && !settings.repeatEnabled) {
+      return;
+    }
+
+    for (const command of commands) {
+      await this._exchange(command);
+    }
+
+    // Verify before repeat output starts interleaving with replies
+    const actual = parseSettings(
+      await this._exchange('p'),
+      this.capabilities.replyFormats.settings
+    );
+    const mismatches = diffSettings(
+      { ...settings, repeatEnabled: null },
+      actual
+    );
+    if (mismatches.length > 0) {
+      throw new SettingsMismatchError(mismatches);
+    }
+
+    if (settings.repeatEnabled) {
+      await this._exchange('R');
+      this._repeatEnabled = true;
+    }
+  }
+
+  /**
+   * Handle the read stream of a connection ending or failing.
+   * Streams of connections that were already closed are ignored.
+   * @param {LineReader} reader - Reader of the connection
+   * @param {Error|null} error - Fatal read error, if any
+   * @private
+   */
+  _handleStreamClosed(reader, error) {
+    if (reader === this._lineReader) {
+      this._handleConnectionLost(error);
+    }
+  }
+
+  /**
+   * Mark the device as gone after an unplug or a dead stream, notify
+   * listeners and start auto-reconnection if enabled.
+   * @param {Error|null} error - Error that revealed the loss, if any
+   * @private
+   */
+  async _handleConnectionLost(error) {
+    if (!this._lineReader) {
+      return;
+    }
+
+    this._connectionLost = true;
+    await this._cleanupConnection();
+    if (this._onDisconnect) {
+      this._onDisconnect();
+    }
+    this._emit('disconnect', { reason: 'lost', error });
+
+    if (this.autoReconnect) {
+      this._attemptAutoReconnect();
     }
   }
 
   /**
    * Attempt auto-reconnection with retries.
+   * Concurrent callers share the attempt already in progress.
    * @returns {Promise<boolean>} True if reconnected successfully
    * @private
    */
-  async _attemptAutoReconnect() {
+  _attemptAutoReconnect() {
     if (!this.autoReconnect || this._reconnecting) {
-      return false;
+      return Promise.resolve(false);
+    }
+
+    if (!this._autoReconnectPromise) {
+      // Clear the shared attempt before notifying, so a listener or a
+      // replugged device can start a fresh one
+      this._autoReconnectPromise = this._runAutoReconnect().then(
+        () => {
+          this._autoReconnectPromise = null;
+          return true;
+        },
+        (error) => {
+          this._autoReconnectPromise = null;
+          this._emit('reconnect-failed', {
+            attempts: this.reconnectAttempts,
+            error,
+          });
+          return false;
+        }
+      );
     }
+    return this._autoReconnectPromise;
+  }
 
+  /**
+   * Retry reconnect() with a linear backoff.
+   * @returns {Promise<void>} Resolves once reconnected
+   * @throws {Error} The last attempt's error if every attempt failed
+   * @private
+   */
+  async _runAutoReconnect() {
+    let lastError;
     for (let attempt = 1; attempt <= this.reconnectAttempts; attempt++) {
       try {
         await this.sleep(this.reconnectDelay * attempt);
-        const success = await this.reconnect();
-        if (success) {
-          return true;
+        if (await this._reconnect(attempt)) {
+          return;
+        }
+      } catch (error) {
+        // The device is back, only not with the settings it had
+        if (error instanceof SettingsMismatchError) {
+          this._emit('error', { error });
+          return;
         }
-      } catch {
         // Continue to next attempt
+        lastError = error;
       }
     }
 
-    return false;
+    throw lastError;
   }
 
   /**
@@ -196,42 +612,22 @@ class CD48 {
    * @private
    */
   async _cleanupConnection() {
-    if (this.reader) {
-      try {
-        await this.reader.cancel();
-        await this.readableStreamClosed.catch(() => {});
-      } catch {
-        // Ignore cleanup errors
-      }
-      this.reader = null;
-    }
-    if (this.writer) {
-      try {
-        await this.writer.close();
-        await this.writableStreamClosed;
-      } catch {
-        // Ignore cleanup errors
-      }
-      this.writer = null;
-    }
-    if (this.port) {
-      try {
-        await this.port.close();
-      } catch {
-        // Ignore cleanup errors
-      }
-      this.port = null;
-    }
+    // Clear the reader first so the stream ending on close() is not
+    // mistaken for a lost device
+    this._lineReader = null;
+    await this.transport.close();
   }
 
   /**
    * Disconnect from the CD48 device.
    */
   async disconnect() {
+    this._connectionLost = false;
     await this._cleanupConnection();
     if (this._onDisconnect) {
       this._onDisconnect();
     }
+    this._emit('disconnect', { reason: 'user' });
   }
 
   /**
@@ -239,16 +635,32 @@ class CD48 {
    * @returns {boolean}
    */
   isConnected() {
-    return this.port !== null && this.reader !== null;
+    return !this._connectionLost && this.transport.isOpen();
   }
 
   /**
    * Sleep for specified milliseconds.
    * @param {number} ms - Milliseconds to sleep
+   * @param {AbortSignal} [signal] - Ends the sleep early when aborted
    * @returns {Promise}
+   * @throws {AbortError} If the signal is aborted
    */
-  sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new AbortError(null, signal.reason));
+        return;
+      }
+      const onAbort = () => {
+        this.clock.clearTimeout(timer);
+        reject(new AbortError(null, signal.reason));
+      };
+      const timer = this.clock.setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
@@ -257,20 +669,143 @@ class CD48 {
    */
   async _applyRateLimit() {
     if (this.rateLimitMs > 0) {
-      const elapsed = Date.now() - this._lastCommandTime;
+      const elapsed = this.clock.now() - this._lastCommandTime;
       if (elapsed < this.rateLimitMs) {
         await this.sleep(this.rateLimitMs - elapsed);
       }
     }
-    this._lastCommandTime = Date.now();
+    this._lastCommandTime = this.clock.now();
+  }
+
+  /**
+   * Number of commands waiting or in progress.
+   * @returns {number}
+   */
+  getQueueDepth() {
+    return this._queue.getDepth();
+  }
+
+  /**
+   * Start recording a transcript of all device traffic, discarding any
+   * earlier recording.
+   * @returns {TranscriptRecorder} The new recorder
+   */
+  startRecording() {
+    this.recorder = new TranscriptRecorder({ clock: this.clock });
+    return this.recorder;
+  }
+
+  /**
+   * Stop recording.
+   * @returns {Object|null} Transcript recorded, or null if not recording
+   */
+  stopRecording() {
+    const transcript = this.getTranscript();
+    this.recorder = null;
+    return transcript;
+  }
+
+  /**
+   * Get the transcript recorded so far, for JSON.stringify() and replay
+   * with ReplayTransport.
+   * @returns {Object|null} Transcript, or null if not recording
+   */
+  getTranscript() {
+    if (!this.recorder) {
+      return null;
+    }
+    return this.recorder.toJSON({
+      firmware: this.firmware ? this.firmware.raw : null,
+    });
   }
 
   /**
    * Send a command and read the response.
+   * Commands are queued so only one is outstanding at a time.
+   * @param {string} command - Command to send
+   * @param {Object} [options] - Command options
+   * @param {string} [options.priority='normal'] - One of CommandPriority
+   * @param {number} [options.timeout] - Response timeout in ms (default: commandTimeout)
+   * @param {Object|boolean} [options.retry] - Retry policy overrides for
+   *   this call, or false to send once
+   * @returns {Promise<string>} Response from device
+   * @throws {UnsupportedCommandError} If the connected firmware lacks the command
+   */
+  async sendCommand(
+    command,
+    { priority = CommandPriority.NORMAL, timeout, retry } = {}
+  ) {
+    this._requireCommand(command);
+    const options = {
+      timeout: timeout || this.commandTimeout,
+      retry: normalizeRetryPolicy(retry, this.retryPolicy),
+    };
+    return await this._queue.run(
+      () => this._executeCommand(command, options),
+      priority
+    );
+  }
+
+  /**
+   * Write a command and read its response, retrying as the policy allows
+   * and reporting failures as events. Callers must hold the command queue,
+   * so retries go out before any other command.
+   *
+   * Only commands in the policy's idempotentCommands are retried;
+   * commands such as 'c', which clears the counters, fail on the first
+   * error because a resend would lose the counts of the first attempt.
    * @param {string} command - Command to send
+   * @param {Object} [options] - Command options
+   * @param {number} [options.timeout] - Response timeout in ms
+   * @param {Object} [options.retry] - Complete retry policy
+   * @param {Object} [options.timing] - Filled with the send and receive
+   *   times of the attempt that succeeded, see _exchange()
    * @returns {Promise<string>} Response from device
+   * @private
    */
-  async sendCommand(command) {
+  async _executeCommand(
+    command,
+    { timeout = this.commandTimeout, retry = this.retryPolicy, timing } = {}
+  ) {
+    const resendable = retry.idempotentCommands.includes(command.charAt(0));
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this._transact(command, timeout, timing);
+      } catch (error) {
+        const retryable =
+          resendable &&
+          attempt < retry.maxAttempts &&
+          retry.retryOn.some((type) => error instanceof type);
+        if (!retryable) {
+          this._emit('error', { error, command });
+          throw error;
+        }
+
+        const delayMs = Math.min(
+          retry.initialDelayMs * Math.pow(retry.backoffFactor, attempt - 1),
+          retry.maxDelayMs
+        );
+        this._emit('retry', { command, attempt, error, delayMs });
+        await this.sleep(delayMs);
+      }
+    }
+  }
+
+  /**
+   * Write a command and read its response.
+   * @param {string} command - Command to send
+   * @param {number} [timeout] - Response timeout in ms
+   * @param {Object} [timing] - Filled with send and receive times
+   * @returns {Promise<string>} Response from device
+   * @private
+   */
+  async _transact(command, timeout, timing) {
+    // Let a reconnect finish restoring settings first
+    while (this._restoring) {
+      await this._restoring;
+    }
+
     if (!this.isConnected()) {
       // Attempt auto-reconnect if enabled
       if (this.autoReconnect) {
@@ -283,55 +818,121 @@ class CD48 {
       }
     }
 
+    return await this._exchange(command, timeout, timing);
+  }
+
+  /**
+   * Write a command to the open connection and read its response.
+   * @param {string} command - Command to send
+   * @param {number} [timeout] - Response timeout in ms (default: commandTimeout)
+   * @param {Object} [timing] - Filled with `sentAt`, the clock.now()
+   *   time just before the write, and `receivedAt`, when the first line of
+   *   the response began to arrive. The device acted on the command
+   *   between the two. Commands that clear the counters also get
+   *   `sequence`, the number of counts reads written so far.
+   * @returns {Promise<string>} Response from device
+   * @private
+   */
+  async _exchange(command, timeout = this.commandTimeout, timing = {}) {
     // Apply rate limiting
     await this._applyRateLimit();
 
     try {
-      // Clear any pending data
-      await this.writer.write(command + '\r');
-      await this.sleep(this.commandDelay);
+      // Keep this connection's reader even if the device is lost meanwhile
+      const reader = this._requireLineReader();
 
-      // Read response with timeout
-      let response = '';
-      const startTime = Date.now();
-      const timeout = 1000;
-
-      while (Date.now() - startTime < timeout) {
-        const { value, done } = await Promise.race([
-          this.reader.read(),
-          this.sleep(100).then(() => ({
-            value: '',
-            done: false,
-            timeout: true,
-          })),
-        ]);
-
-        if (done) break;
-        if (value) response += value;
-
-        // Check if we have a complete response
-        if (response.includes('\r') || response.includes('\n')) {
-          break;
-        }
+      // Discard stale output left over from earlier commands
+      await reader.discard();
+
+      const startTime = this.clock.now();
+      if (COUNT_CLEARING_COMMANDS.includes(command)) {
+        // Counted as written: a lost or garbled reply still cleared them
+        this._countsReadCount++;
+        timing.sequence = this._countsReadCount;
+      }
+      this._emit('command', { command });
+      if (this.recorder) {
+        this.recorder.record('write', command + '\r');
       }
+      timing.sentAt = this.clock.now();
+      await this.transport.write(command + '\r');
+      await this.sleep(this.commandDelay);
 
-      // Check if we timed out
-      if (Date.now() - startTime >= timeout && !response) {
+      const lines = await this._readResponse(reader, command, timeout, timing);
+      if (lines.length === 0) {
         throw new CommandTimeoutError(command, timeout);
       }
 
-      return response.trim();
+      const response = lines.join('\n').trim();
+      this._emit('response', {
+        command,
+        response,
+        durationMs: this.clock.now() - startTime,
+      });
+      return response;
     } catch (error) {
-      if (
-        error instanceof CommandTimeoutError ||
-        error instanceof NotConnectedError
-      ) {
+      if (error instanceof CD48Error) {
         throw error;
       }
       throw new CommunicationError(error.message, error);
     }
   }
 
+  /**
+   * Line reader of the open connection.
+   * @returns {LineReader}
+   * @throws {CommunicationError} If the connection has been closed or lost
+   * @private
+   */
+  _requireLineReader() {
+    if (this._lineReader === null) {
+      throw new CommunicationError('Device stream closed');
+    }
+    return this._lineReader;
+  }
+
+  /**
+   * Read the lines of a command's response according to its framing.
+   * @param {LineReader} reader - Reader of the connection the command was
+   *   written to
+   * @param {string} command - Command that was sent
+   * @param {number} timeout - Overall timeout in milliseconds
+   * @returns {Promise<string[]>} Response lines (empty if nothing arrived)
+   * @private
+   */
+  async _readResponse(reader, command, timeout, timing = {}) {
+    const framing = getResponseFraming(command);
+    const deadline = this.clock.now() + timeout;
+    const lines = [];
+
+    while (this.clock.now() < deadline) {
+      if (framing.lines !== undefined && lines.length >= framing.lines) {
+        break;
+      }
+
+      // After the first line of a variable-length reply, stop at an idle gap
+      const remaining = deadline - this.clock.now();
+      const wait =
+        framing.idleMs !== undefined && lines.length > 0
+          ? Math.min(framing.idleMs, remaining)
+          : remaining;
+
+      const line = await reader.readLine(wait);
+      if (line === null) {
+        if (reader.isDone()) {
+          throw new CommunicationError('Device stream closed');
+        }
+        break;
+      }
+      if (lines.length === 0) {
+        timing.receivedAt = reader.lastLineTime;
+      }
+      lines.push(line);
+    }
+
+    return lines;
+  }
+
   /**
    * Get firmware version.
    * @returns {Promise<string>}
@@ -351,24 +952,56 @@ class CD48 {
   /**
    * Get current counts from all channels.
    * @param {boolean} humanReadable - If true, returns formatted string
+   * @param {Object} [options] - Command options
+   * @param {string} [options.priority='normal'] - Use 'low' for background polling
    * @returns {Promise<Object|string>} Counts data or formatted string
    */
-  async getCounts(humanReadable = false) {
+  async getCounts(humanReadable = false, { priority } = {}) {
     if (humanReadable) {
-      return await this.sendCommand('C');
+      return await this.sendCommand('C', { priority });
     }
 
-    const response = await this.sendCommand('c');
-    const parts = response.split(/\s+/).filter((p) => p.length > 0);
+    const { data } = await this._readCounts({ priority });
+    return data;
+  }
 
-    if (parts.length >= 9) {
-      return {
-        counts: parts.slice(0, 8).map(Number),
-        overflow: parseInt(parts[8]),
-      };
-    }
+  /**
+   * Read and clear the counts, noting when the command went out and when
+   * its reply came back.
+   * @param {Object} [options] - Command options
+   * @param {string} [options.priority='normal'] - Queue priority
+   * @returns {Promise<{data: Object, timing: {sentAt: number, receivedAt: number}}>}
+   *   Parsed counts and clock.now() times of the exchange
+   * @private
+   */
+  async _readCounts({ priority = CommandPriority.NORMAL } = {}) {
+    this._requireCommand('c');
+    const timing = {};
+    const response = await this._queue.run(
+      () => this._executeCommand('c', { timing }),
+      priority
+    );
+    const data = parseCounts(response);
+    this._publishCounts(data, this.clock.timestamp(), timing.sequence);
+    return { data, timing };
+  }
 
-    throw new InvalidResponseError(response, '8 counts + overflow flag');
+  /**
+   * Dispatch counts and, if any bit is set, overflow events.
+   * @param {{counts: number[], overflow: number}} data - Parsed counts
+   * @param {number} timestamp - Host time the counts were read
+   * @param {number} sequence - Number of the counts read, see _exchange()
+   * @private
+   */
+  _publishCounts(data, timestamp, sequence) {
+    this._emit('counts', { ...data, timestamp, sequence });
+    if (data.overflow !== 0) {
+      this._emit('overflow', {
+        overflow: data.overflow,
+        channels: decodeOverflow(data.overflow),
+        timestamp,
+      });
+    }
   }
 
   /**
@@ -387,6 +1020,125 @@ class CD48 {
     return await this.sendCommand(humanReadable ? 'P' : 'p');
   }
 
+  /**
+   * Get current device settings as a structured object.
+   * Fields outside the firmware's settings format are null.
+   * @returns {Promise<Object>} Device state: { channels, triggerLevel, triggerLevelByte, dacVoltage, dacVoltageByte, impedance, repeatEnabled, repeatInterval }
+   * @throws {InvalidResponseError} If the settings reply is malformed
+   */
+  async getDeviceState() {
+    return CD48._toDeviceState(await this._readSettings());
+  }
+
+  /**
+   * Read and parse the machine-readable settings.
+   * @returns {Promise<Object>} Raw settings from parseSettings()
+   * @private
+   */
+  async _readSettings() {
+    return parseSettings(
+      await this.getSettings(false),
+      this.capabilities.replyFormats.settings
+    );
+  }
+
+  /**
+   * Convert raw settings to the public device state shape.
+   * @param {Object} settings - Raw settings from parseSettings()
+   * @returns {Object} Device state
+   * @private
+   */
+  static _toDeviceState(settings) {
+    return {
+      channels: settings.channels,
+      triggerLevel: CD48.byteToVoltage(settings.triggerLevel),
+      triggerLevelByte: settings.triggerLevel,
+      dacVoltage: CD48.byteToVoltage(settings.dacVoltage),
+      dacVoltageByte: settings.dacVoltage,
+      impedance: settings.impedance,
+      repeatEnabled: settings.repeatEnabled,
+      repeatInterval: settings.repeatInterval,
+    };
+  }
+
+  /**
+   * Apply a declarative configuration.
+   *
+   * Only settings that differ from the current device state are sent.
+   * Settings are then read back and compared; differences are reported
+   * rather than thrown so the caller can decide how to react.
+   *
+   * @example
+   * const report = await cd48.configure({
+   *   channels: { 0: { A: 1 }, 4: { A: 1, B: 1 } },
+   *   triggerLevel: 0.5,
+   *   impedance: '50ohm',
+   *   dacVoltage: 1.2,
+   * });
+   * if (report.mismatches.length > 0) console.warn(report.mismatches);
+   *
+   * @param {Object} config - Configuration
+   * @param {Object<number, Object>|Array<Object>} [config.channels] - Input masks keyed by channel; omitted inputs are 0
+   * @param {number} [config.triggerLevel] - Trigger level in volts (0.0 to 4.08V)
+   * @param {string} [config.impedance] - 'highz' or '50ohm'
+   * @param {number} [config.dacVoltage] - DAC output in volts (0.0 to 4.08V)
+   * @param {number} [config.repeatInterval] - Repeat interval in ms (100-65535)
+   * @returns {Promise<Object>} Report: { applied, mismatches, state }
+   * @throws {ValidationError} If the configuration is invalid
+   */
+  async configure(config) {
+    const desired = normalizeConfig(config);
+    const current = await this._readSettings();
+    const applied = [];
+
+    for (const [channel, mask] of Object.entries(desired.channels)) {
+      const reported = current.channels[channel];
+      if (CHANNEL_INPUTS.some((input) => mask[input] !== reported[input])) {
+        await this.setChannel(Number(channel), mask);
+        applied.push(`channel${channel}`);
+      }
+    }
+    if (
+      desired.triggerLevel !== undefined &&
+      desired.triggerLevel !== current.triggerLevel
+    ) {
+      await this.setTriggerLevel(CD48.byteToVoltage(desired.triggerLevel));
+      applied.push('triggerLevel');
+    }
+    if (
+      desired.impedance !== undefined &&
+      desired.impedance !== current.impedance
+    ) {
+      if (desired.impedance === '50ohm') {
+        await this.setImpedance50Ohm();
+      } else {
+        await this.setImpedanceHighZ();
+      }
+      applied.push('impedance');
+    }
+    if (
+      desired.dacVoltage !== undefined &&
+      desired.dacVoltage !== current.dacVoltage
+    ) {
+      await this.setDacVoltage(CD48.byteToVoltage(desired.dacVoltage));
+      applied.push('dacVoltage');
+    }
+    if (
+      desired.repeatInterval !== undefined &&
+      desired.repeatInterval !== current.repeatInterval
+    ) {
+      await this.setRepeat(desired.repeatInterval);
+      applied.push('repeatInterval');
+    }
+
+    const actual = await this._readSettings();
+    return {
+      applied,
+      mismatches: diffSettings(desired, actual),
+      state: CD48._toDeviceState(actual),
+    };
+  }
+
   /**
    * Configure a counter channel.
    * @param {number} channel - Channel number (0-7)
@@ -399,7 +1151,16 @@ class CD48 {
    */
   async setChannel(channel, { A = 0, B = 0, C = 0, D = 0 } = {}) {
     validateChannel(channel);
-    return await this.sendCommand(`S${channel}${A}${B}${C}${D}`);
+    const response = await this.sendCommand(`S${channel}${A}${B}${C}${D}`, {
+      priority: CommandPriority.HIGH,
+    });
+    this._settings.channels[channel] = {
+      A: Number(A),
+      B: Number(B),
+      C: Number(C),
+      D: Number(D),
+    };
+    return response;
   }
 
   /**
@@ -410,7 +1171,11 @@ class CD48 {
   async setTriggerLevel(voltage) {
     // Clamp voltage to valid range instead of throwing
     const byteVal = voltageToByte(voltage);
-    return await this.sendCommand(`L${byteVal}`);
+    const response = await this.sendCommand(`L${byteVal}`, {
+      priority: CommandPriority.HIGH,
+    });
+    this._settings.triggerLevel = byteVal;
+    return response;
   }
 
   /**
@@ -427,7 +1192,11 @@ class CD48 {
    * @returns {Promise<string>}
    */
   async setImpedance50Ohm() {
-    return await this.sendCommand('z');
+    const response = await this.sendCommand('z', {
+      priority: CommandPriority.HIGH,
+    });
+    this._settings.impedance = '50ohm';
+    return response;
   }
 
   /**
@@ -435,7 +1204,11 @@ class CD48 {
    * @returns {Promise<string>}
    */
   async setImpedanceHighZ() {
-    return await this.sendCommand('Z');
+    const response = await this.sendCommand('Z', {
+      priority: CommandPriority.HIGH,
+    });
+    this._settings.impedance = 'highz';
+    return response;
   }
 
   /**
@@ -444,8 +1217,12 @@ class CD48 {
    * @returns {Promise<string>}
    */
   async setRepeat(intervalMs) {
-    const clamped = Math.max(100, Math.min(65535, intervalMs));
-    return await this.sendCommand(`r${clamped}`);
+    const clamped = clampRepeatInterval(intervalMs);
+    const response = await this.sendCommand(`r${clamped}`, {
+      priority: CommandPriority.HIGH,
+    });
+    this._settings.repeatInterval = clamped;
+    return response;
   }
 
   /**
@@ -453,7 +1230,216 @@ class CD48 {
    * @returns {Promise<string>}
    */
   async toggleRepeat() {
-    return await this.sendCommand('R');
+    const response = await this.sendCommand('R', {
+      priority: CommandPriority.HIGH,
+    });
+    this._repeatEnabled = !this._repeatEnabled;
+    this._settings.repeatEnabled = this._repeatEnabled;
+    return response;
+  }
+
+  /**
+   * Stream counts pushed by the device in repeat mode.
+   *
+   * Sets the repeat interval, enables repeat mode and yields each count
+   * record as it arrives. Breaking out of the loop turns repeat mode off.
+   * Other commands wait in the queue until the stream ends.
+   *
+   * @example
+   * for await (const record of cd48.stream({ intervalMs: 500 })) {
+   *   console.log(record.counts);
+   *   if (done) break;
+   * }
+   *
+   * @param {Object} [options] - Stream options
+   * @param {number} [options.intervalMs=1000] - Repeat interval (100-65535 ms)
+   * @yields {Object} Count record: { counts, overflow, overflowed, overflowChannels, timestamp }
+   */
+  async *stream({ intervalMs = 1000 } = {}) {
+    this._requireCommand('r');
+    this._requireCommand('R');
+    const interval = clampRepeatInterval(intervalMs);
+    const release = await this._queue.acquire(CommandPriority.HIGH);
+
+    try {
+      await this._executeCommand(`r${interval}`);
+      if (!this._repeatEnabled) {
+        await this._executeCommand('R');
+        this._repeatEnabled = true;
+      }
+
+      // Keep this connection's reader: once the device is lost it reports
+      // the closed stream instead of being replaced
+      const reader = this._requireLineReader();
+      while (true) {
+        const line = await reader.readLine(interval + this.commandTimeout);
+        if (line === null) {
+          const error = reader.isDone()
+            ? new CommunicationError('Device stream closed')
+            : new CommandTimeoutError('R', interval + this.commandTimeout);
+          this._emit('error', { error, command: 'R' });
+          throw error;
+        }
+
+        let record;
+        try {
+          record = parseCounts(line);
+        } catch (error) {
+          if (error instanceof InvalidResponseError) {
+            // Not a count line (e.g. a command acknowledgement)
+            continue;
+          }
+          throw error;
+        }
+
+        // Each repeat record cleared the counters like a 'c'
+        this._countsReadCount++;
+        const timestamp = this.clock.timestamp();
+        this._publishCounts(record, timestamp, this._countsReadCount);
+        yield {
+          ...record,
+          overflowed: record.overflow !== 0,
+          overflowChannels: decodeOverflow(record.overflow),
+          timestamp,
+        };
+      }
+    } finally {
+      if (this._repeatEnabled && this.isConnected()) {
+        try {
+          await this._executeCommand('R');
+          this._repeatEnabled = false;
+          await this._requireLineReader().discard();
+        } catch {
+          // Leave repeat state as-is if the device cannot be reached
+        }
+      }
+      release();
+    }
+  }
+
+  /**
+   * Acquire counts continuously as back-to-back intervals.
+   *
+   * Each reading uses 'c', which returns the counts and clears the
+   * counters in one step, so every interval starts exactly where the
+   * previous one ended and no counts fall between readings. Interval
+   * boundaries are the times the reads took effect, measured as in
+   * measureRate(). Unlike stream(), other commands run between readings.
+   *
+   * Counts read anywhere else in the meantime (getCounts() in either form,
+   * a measurement, stream()) and failed or garbled reads break the chain.
+   * The next successful reading then only restarts it: its counts are
+   * dropped, and the time since the last good boundary is reported as
+   * `gap` on the next interval. Only errors from a lost connection end
+   * the acquisition.
+   *
+   * @example
+   * const controller = new AbortController();
+   * for await (const interval of cd48.acquire({ signal: controller.signal })) {
+   *   plot(interval.counts, interval.liveTime);
+   *   console.log(`${(interval.coverage * 100).toFixed(1)}% covered`);
+   * }
+   *
+   * @param {Object} [options] - Acquisition options
+   * @param {number} [options.intervalMs=1000] - Time between readings in ms
+   * @param {string} [options.priority='low'] - Queue priority of the reads
+   * @param {AbortSignal} [options.signal] - Ends the acquisition
+   * @yields {Object} Interval: { index, counts, overflow, overflowed,
+   *   overflowChannels, timestamp, liveTime, gap, elapsed, totalLiveTime,
+   *   coverage, uncertainty: { liveTime } }, times in seconds
+   * @throws {ValidationError} If intervalMs is not a positive number
+   */
+  async *acquire({
+    intervalMs = 1000,
+    priority = CommandPriority.LOW,
+    signal,
+  } = {}) {
+    if (!(intervalMs > 0) || !Number.isFinite(intervalMs)) {
+      throw new ValidationError('intervalMs', intervalMs, 'positive number');
+    }
+    if (signal?.aborted) {
+      return;
+    }
+
+    const read = async () => {
+      const { data, timing } = await this._readCounts({ priority });
+      return {
+        data,
+        span: this._commandSpan(timing),
+        sequence: timing.sequence,
+      };
+    };
+
+    const origin = await read();
+    // Reading that opens the current interval, or null after a failed read
+    let boundary = origin;
+    // Time up to which every instant is either covered or counted as a gap
+    let accountedUntil = origin.span.mid;
+    let gap = 0;
+    let totalLiveTime = 0;
+    let index = 0;
+    let nextAt = this.clock.now();
+
+    while (true) {
+      nextAt = Math.max(nextAt + intervalMs, this.clock.now());
+      try {
+        await this.sleep(nextAt - this.clock.now(), signal);
+      } catch (error) {
+        if (error instanceof AbortError) {
+          return;
+        }
+        throw error;
+      }
+
+      let reading;
+      try {
+        reading = await read();
+      } catch (error) {
+        const recoverable =
+          error instanceof CommandTimeoutError ||
+          error instanceof CommunicationError ||
+          error instanceof InvalidResponseError;
+        if (!recoverable || !this.isConnected()) {
+          throw error;
+        }
+        // The device may or may not have cleared its counters
+        boundary = null;
+        continue;
+      }
+
+      if (boundary === null || reading.sequence !== boundary.sequence + 1) {
+        gap += (reading.span.mid - accountedUntil) / 1000;
+        accountedUntil = reading.span.mid;
+        boundary = reading;
+        continue;
+      }
+
+      const liveTime = (reading.span.mid - boundary.span.mid) / 1000;
+      totalLiveTime += liveTime;
+      const elapsed = (reading.span.mid - origin.span.mid) / 1000;
+      const interval = {
+        index: index++,
+        ...reading.data,
+        overflowed: reading.data.overflow !== 0,
+        overflowChannels: decodeOverflow(reading.data.overflow),
+        timestamp: this.clock.timestamp(),
+        liveTime,
+        gap,
+        elapsed,
+        totalLiveTime,
+        coverage: elapsed > 0 ? totalLiveTime / elapsed : 1,
+        uncertainty: {
+          liveTime:
+            Math.hypot(boundary.span.width, reading.span.width) /
+            Math.sqrt(12) /
+            1000,
+        },
+      };
+      accountedUntil = reading.span.mid;
+      boundary = reading;
+      gap = 0;
+      yield interval;
+    }
   }
 
   /**
@@ -466,7 +1452,11 @@ class CD48 {
       0,
       Math.min(255, Math.round((voltage / 4.08) * 255))
     );
-    return await this.sendCommand(`V${byteVal}`);
+    const response = await this.sendCommand(`V${byteVal}`, {
+      priority: CommandPriority.HIGH,
+    });
+    this._settings.dacVoltage = byteVal;
+    return response;
   }
 
   /**
@@ -475,7 +1465,15 @@ class CD48 {
    */
   async getOverflow() {
     const response = await this.sendCommand('E');
-    return parseInt(response);
+    const overflow = parseInt(response);
+    if (overflow > 0) {
+      this._emit('overflow', {
+        overflow,
+        channels: decodeOverflow(overflow),
+        timestamp: this.clock.timestamp(),
+      });
+    }
+    return overflow;
   }
 
   /**
@@ -483,54 +1481,186 @@ class CD48 {
    * @returns {Promise<string>}
    */
   async testLeds() {
-    return await this.sendCommand('T');
+    return await this.sendCommand('T', {
+      priority: CommandPriority.HIGH,
+    });
   }
 
   /**
    * Measure count rate on a channel with Poisson uncertainty.
    * @param {number} channel - Channel number (0-7)
    * @param {number} duration - Measurement duration in seconds
+   * @param {Object} [options] - Measurement options
+   * @param {AbortSignal} [options.signal] - Stops the measurement early
    * @returns {Promise<Object>} Rate measurement result with uncertainties
+   * @throws {AbortError} If aborted; `partial` holds the result over the
+   *   time measured so far, or null
    */
-  async measureRate(channel = 0, duration = 1.0) {
+  async measureRate(channel = 0, duration = 1.0, { signal } = {}) {
     validateChannel(channel);
 
-    await this.clearCounts();
-    await this.sleep(duration * 1000);
-    const data = await this.getCounts(false);
-    const counts = data.counts[channel];
-    const rate = counts / duration;
+    return await this._countFor(duration, signal, (data, window) =>
+      CD48._rateResult(data.counts[channel], window, channel)
+    );
+  }
+
+  /**
+   * Build a rate result from counts on one channel.
+   * @param {number} counts - Counts on the channel
+   * @param {Object} window - Counting window from _countFor()
+   * @param {number} channel - Channel number
+   * @returns {Object} Rate measurement result with uncertainties
+   * @private
+   */
+  static _rateResult(counts, window, channel) {
+    const { duration, requestedDuration, liveTime, liveTimeUncertainty } =
+      window;
+    const rate = counts / liveTime;
 
     // Poisson uncertainty: sigma_N = sqrt(N)
     const countUncertainty = Math.sqrt(Math.max(0, counts));
-    // Rate uncertainty: sigma_R = sigma_N / T
-    const rateUncertainty = countUncertainty / duration;
+    // Rate uncertainty: sigma_R = sqrt((sigma_N / T)^2 + (R * sigma_T / T)^2)
+    const rateUncertainty = Math.hypot(
+      countUncertainty / liveTime,
+      (rate * liveTimeUncertainty) / liveTime
+    );
     // Relative uncertainty as percentage
-    const relativeUncertainty =
-      counts > 0 ? (countUncertainty / counts) * 100 : 0;
+    const relativeUncertainty = rate > 0 ? (rateUncertainty / rate) * 100 : 0;
 
     return {
       counts,
       duration,
+      requestedDuration,
+      liveTime,
       rate,
       channel,
       uncertainty: {
         counts: countUncertainty,
+        liveTime: liveTimeUncertainty,
         rate: rateUncertainty,
         relative: relativeUncertainty,
       },
     };
   }
 
+  /**
+   * Measure count rate on a channel until its Poisson uncertainty reaches
+   * a target.
+   *
+   * Counts in chunks, each ended by a read-and-clear, so no counts fall
+   * between chunks, and stops after the first chunk that brings
+   * sqrt(N) / N to the target or when maxDuration is reached. The target
+   * applies to the counting statistics only; `uncertainty.relative` also
+   * includes the live time uncertainty and can be slightly higher.
+   *
+   * @example
+   * const result = await cd48.measureRateToPrecision(0, {
+   *   targetRelativeUncertainty: 1, // percent
+   *   maxDuration: 120,
+   * });
+   * if (!result.targetReached) console.warn('Rate too low for 1%');
+   *
+   * @param {number} channel - Channel number (0-7)
+   * @param {Object} [options] - Measurement options
+   * @param {number} [options.targetRelativeUncertainty=1] - Target Poisson
+   *   uncertainty as a percentage, like `uncertainty.relative`
+   * @param {number} [options.maxDuration=60] - Longest time to count in seconds
+   * @param {number} [options.chunk=1] - Counting time between checks in seconds
+   * @param {AbortSignal} [options.signal] - Stops the measurement early
+   * @returns {Promise<Object>} Rate measurement result as from measureRate(),
+   *   with `duration` the live time, `requestedDuration` the maxDuration,
+   *   and `targetRelativeUncertainty`, `targetReached` and `chunks`
+   * @throws {ValidationError} If an option is not a positive number
+   * @throws {AbortError} If aborted; `partial` holds the result over the
+   *   time measured so far, or null
+   */
+  async measureRateToPrecision(
+    channel = 0,
+    { targetRelativeUncertainty = 1, maxDuration = 60, chunk = 1, signal } = {}
+  ) {
+    validateChannel(channel);
+    for (const [name, value] of Object.entries({
+      targetRelativeUncertainty,
+      maxDuration,
+      chunk,
+    })) {
+      if (!(value > 0) || !Number.isFinite(value)) {
+        throw new ValidationError(name, value, 'positive number');
+      }
+    }
+    if (signal?.aborted) {
+      throw new AbortError(null, signal.reason);
+    }
+
+    const { timing: cleared } = await this._readCounts();
+    const start = this._commandSpan(cleared);
+    let end = start;
+    let counts = 0;
+    let chunks = 0;
+
+    const targetReached = () =>
+      counts > 0 && 100 / Math.sqrt(counts) <= targetRelativeUncertainty;
+    const result = () => {
+      const window = CD48._liveWindow(start, end, maxDuration);
+      return {
+        ...CD48._rateResult(
+          counts,
+          { ...window, duration: window.liveTime },
+          channel
+        ),
+        targetRelativeUncertainty,
+        targetReached: targetReached(),
+        chunks,
+      };
+    };
+    const addChunk = async () => {
+      const { data, timing } = await this._readCounts();
+      counts += data.counts[channel];
+      end = this._commandSpan(timing);
+      chunks++;
+    };
+
+    do {
+      const remaining = maxDuration - (this.clock.now() - start.mid) / 1000;
+      try {
+        await this.sleep(Math.min(chunk, remaining) * 1000, signal);
+      } catch (error) {
+        if (!(error instanceof AbortError)) {
+          throw error;
+        }
+        let partial = null;
+        try {
+          await addChunk();
+          partial = result();
+        } catch {
+          // Device unavailable; there is nothing to report
+        }
+        throw new AbortError(partial, error.reason);
+      }
+      await addChunk();
+    } while (
+      !targetReached() &&
+      (this.clock.now() - start.mid) / 1000 < maxDuration
+    );
+
+    return result();
+  }
+
   /**
    * Measure coincidence rate with accidental correction and uncertainties.
+   *
+   * The channels are taken as given; measureNFoldCoincidenceRate() reads
+   * the channel masks from the device and handles more than two inputs.
    * @param {Object} options - Measurement options
    * @param {number} options.duration - Measurement duration in seconds
    * @param {number} options.singlesAChannel - Channel for singles A (default: 0)
    * @param {number} options.singlesBChannel - Channel for singles B (default: 1)
    * @param {number} options.coincidenceChannel - Channel for coincidences (default: 4)
    * @param {number} options.coincidenceWindow - Window in seconds (default: 25e-9)
+   * @param {AbortSignal} [options.signal] - Stops the measurement early
    * @returns {Promise<Object>} Coincidence measurement result with uncertainties
+   * @throws {AbortError} If aborted; `partial` holds the result over the
+   *   time measured so far, or null
    */
   async measureCoincidenceRate({
     duration = 1.0,
@@ -538,18 +1668,41 @@ class CD48 {
     singlesBChannel = 1,
     coincidenceChannel = 4,
     coincidenceWindow = 25e-9,
+    signal,
   } = {}) {
-    await this.clearCounts();
-    await this.sleep(duration * 1000);
-    const data = await this.getCounts(false);
+    const setup = {
+      singlesAChannel,
+      singlesBChannel,
+      coincidenceChannel,
+      coincidenceWindow,
+    };
+    return await this._countFor(duration, signal, (data, window) =>
+      CD48._coincidenceResult(data, window, setup)
+    );
+  }
 
+  /**
+   * Build a coincidence result from one counts reading.
+   * @param {Object} data - Counts reading from getCounts()
+   * @param {Object} window - Counting window from _countFor()
+   * @param {Object} options - Channels and coincidence window
+   * @returns {Object} Coincidence measurement result with uncertainties
+   * @private
+   */
+  static _coincidenceResult(
+    data,
+    window,
+    { singlesAChannel, singlesBChannel, coincidenceChannel, coincidenceWindow }
+  ) {
+    const { duration, requestedDuration, liveTime, liveTimeUncertainty } =
+      window;
     const singlesA = data.counts[singlesAChannel];
     const singlesB = data.counts[singlesBChannel];
     const coincidences = data.counts[coincidenceChannel];
 
-    const rateA = singlesA / duration;
-    const rateB = singlesB / duration;
-    const coincidenceRate = coincidences / duration;
+    const rateA = singlesA / liveTime;
+    const rateB = singlesB / liveTime;
+    const coincidenceRate = coincidences / liveTime;
     const accidentalRate = 2 * coincidenceWindow * rateA * rateB;
     const trueCoincidenceRate = Math.max(0, coincidenceRate - accidentalRate);
 
@@ -558,16 +1711,25 @@ class CD48 {
     const sigmaB = Math.sqrt(Math.max(0, singlesB));
     const sigmaC = Math.sqrt(Math.max(0, coincidences));
 
-    // Rate uncertainties
-    const rateAUncertainty = sigmaA / duration;
-    const rateBUncertainty = sigmaB / duration;
-    const coincidenceRateUncertainty = sigmaC / duration;
+    // Rate uncertainties, with the live time uncertainty in quadrature:
+    // sigma_R = sqrt((sigma_N / T)^2 + (R * sigma_T / T)^2)
+    const timing = liveTimeUncertainty / liveTime;
+    const rateAUncertainty = Math.hypot(sigmaA / liveTime, rateA * timing);
+    const rateBUncertainty = Math.hypot(sigmaB / liveTime, rateB * timing);
+    const coincidenceRateUncertainty = Math.hypot(
+      sigmaC / liveTime,
+      coincidenceRate * timing
+    );
 
-    // Accidental rate uncertainty (error propagation)
-    // sigma_acc = 2 * tau * sqrt((R_B * sigma_A)^2 + (R_A * sigma_B)^2) / T
-    const accidentalRateUncertainty =
-      ((2 * coincidenceWindow) / duration) *
-      Math.sqrt(Math.pow(rateB * sigmaA, 2) + Math.pow(rateA * sigmaB, 2));
+    // Accidental rate uncertainty (error propagation). R_acc scales as
+    // 1/T^2, so the live time enters twice:
+    // sigma_acc = sqrt((2 tau / T)^2 ((R_B sigma_A)^2 + (R_A sigma_B)^2)
+    //                  + (2 R_acc sigma_T / T)^2)
+    const accidentalRateUncertainty = Math.hypot(
+      ((2 * coincidenceWindow) / liveTime) *
+        Math.hypot(rateB * sigmaA, rateA * sigmaB),
+      2 * accidentalRate * timing
+    );
 
     // True coincidence rate uncertainty (quadrature sum)
     const trueCoincidenceRateUncertainty = Math.sqrt(
@@ -580,6 +1742,8 @@ class CD48 {
       singlesB,
       coincidences,
       duration,
+      requestedDuration,
+      liveTime,
       rateA,
       rateB,
       coincidenceRate,
@@ -589,6 +1753,7 @@ class CD48 {
         singlesA: sigmaA,
         singlesB: sigmaB,
         coincidences: sigmaC,
+        liveTime: liveTimeUncertainty,
         rateA: rateAUncertainty,
         rateB: rateBUncertainty,
         coincidenceRate: coincidenceRateUncertainty,
@@ -597,9 +1762,309 @@ class CD48 {
       },
     };
   }
-}
 
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = CD48;
+  /**
+   * Measure an N-fold coincidence rate with accidental correction and
+   * uncertainties.
+   *
+   * The channel masks are read from the device first. The coincidence is
+   * counted on the channel programmed with exactly `inputs`, and each
+   * input's singles on a channel programmed with that input alone, so the
+   * measurement follows whatever setChannel() or the firmware defaults
+   * set up (channel 7 counts B+C+D by default).
+   *
+   * For N independent inputs with rates R_i and window tau, accidentals
+   * occur at R_acc = N * tau^(N-1) * R_1 * ... * R_N. Its uncertainty
+   * combines the Poisson uncertainty of each singles count with the live
+   * time uncertainty, which enters N times because every rate shares the
+   * same live time.
+   *
+   * @example
+   * const result = await cd48.measureNFoldCoincidenceRate({
+   *   inputs: ['B', 'C', 'D'],
+   *   duration: 60,
+   * });
+   * console.log(result.trueCoincidenceRate, result.uncertainty.trueCoincidenceRate);
+   *
+   * @param {Object} options - Measurement options
+   * @param {string[]} options.inputs - Two to four distinct inputs ('A'-'D')
+   * @param {number} [options.duration=1.0] - Measurement duration in seconds
+   * @param {number} [options.coincidenceWindow=25e-9] - Window in seconds
+   * @param {AbortSignal} [options.signal] - Stops the measurement early
+   * @returns {Promise<Object>} Result: { inputs, fold, coincidenceChannel,
+   *   singlesChannels, singles, coincidences, duration, requestedDuration,
+   *   liveTime, rates, coincidenceRate, accidentalRate,
+   *   trueCoincidenceRate, uncertainty }, with singles and rates keyed by
+   *   input
+   * @throws {ValidationError} If inputs are not 2-4 distinct inputs
+   * @throws {ChannelConfigurationError} If no channel is programmed for
+   *   the coincidence or for one of the singles
+   * @throws {AbortError} If aborted; `partial` holds the result over the
+   *   time measured so far, or null
+   */
+  async measureNFoldCoincidenceRate({
+    inputs,
+    duration = 1.0,
+    coincidenceWindow = 25e-9,
+    signal,
+  } = {}) {
+    if (
+      !Array.isArray(inputs) ||
+      inputs.length < 2 ||
+      new Set(inputs).size !== inputs.length ||
+      !inputs.every((input) => CHANNEL_INPUTS.includes(input))
+    ) {
+      throw new ValidationError(
+        'inputs',
+        inputs,
+        '2-4 distinct inputs from A, B, C, D'
+      );
+    }
+    if (signal?.aborted) {
+      throw new AbortError(null, signal.reason);
+    }
+
+    const { channels } = await this._readSettings();
+    const setup = {
+      ...CD48._coincidenceChannels(channels, inputs),
+      inputs: [...inputs],
+      coincidenceWindow,
+    };
+    return await this._countFor(duration, signal, (data, window) =>
+      CD48._nFoldResult(data, window, setup)
+    );
+  }
+
+  /**
+   * Find the counting channels for a coincidence and its singles.
+   * @param {Array<Object>} masks - Channel input masks from the device
+   * @param {string[]} inputs - Inputs in the coincidence
+   * @returns {{coincidenceChannel: number, singlesChannels: Object}}
+   *   Channel numbers; singlesChannels is keyed by input
+   * @throws {ChannelConfigurationError} If a combination has no channel
+   * @private
+   */
+  static _coincidenceChannels(masks, inputs) {
+    // Lowest channel whose mask has exactly the wanted inputs
+    const find = (wanted) =>
+      masks.findIndex((mask) =>
+        CHANNEL_INPUTS.every(
+          (input) => Boolean(mask[input]) === wanted.includes(input)
+        )
+      );
+
+    const missing = [];
+    const coincidenceChannel = find(inputs);
+    if (coincidenceChannel === -1) {
+      missing.push([...inputs]);
+    }
+    const singlesChannels = {};
+    for (const input of inputs) {
+      const channel = find([input]);
+      if (channel === -1) {
+        missing.push([input]);
+      }
+      singlesChannels[input] = channel;
+    }
+
+    if (missing.length > 0) {
+      throw new ChannelConfigurationError(missing);
+    }
+    return { coincidenceChannel, singlesChannels };
+  }
+
+  /**
+   * Build an N-fold coincidence result from one counts reading.
+   * @param {Object} data - Counts reading from getCounts()
+   * @param {Object} window - Counting window from _countFor()
+   * @param {Object} setup - Inputs, channels and coincidence window
+   * @returns {Object} N-fold coincidence result with uncertainties
+   * @private
+   */
+  static _nFoldResult(
+    data,
+    window,
+    { inputs, coincidenceChannel, singlesChannels, coincidenceWindow }
+  ) {
+    const { duration, requestedDuration, liveTime, liveTimeUncertainty } =
+      window;
+    const fold = inputs.length;
+    const timing = liveTimeUncertainty / liveTime;
+
+    const singles = {};
+    const rates = {};
+    const sigmaSingles = {};
+    const sigmaRates = {};
+    for (const input of inputs) {
+      const counts = data.counts[singlesChannels[input]];
+      singles[input] = counts;
+      rates[input] = counts / liveTime;
+      sigmaSingles[input] = Math.sqrt(Math.max(0, counts));
+      sigmaRates[input] = Math.hypot(
+        sigmaSingles[input] / liveTime,
+        rates[input] * timing
+      );
+    }
+
+    const coincidences = data.counts[coincidenceChannel];
+    const coincidenceRate = coincidences / liveTime;
+    const sigmaC = Math.sqrt(Math.max(0, coincidences));
+    const rateList = inputs.map((input) => rates[input]);
+    const accidentalRate = Coincidence.accidentalRateN(
+      rateList,
+      coincidenceWindow
+    );
+    const trueCoincidenceRate = Math.max(0, coincidenceRate - accidentalRate);
+
+    // Counting part: dR_acc/dR_i = N * tau^(N-1) * product of the other
+    // rates, with sigma(R_i) = sqrt(N_i) / T
+    const accidentalCounting = Math.hypot(
+      ...inputs.map((input, i) => {
+        const others = rateList.reduce(
+          (product, rate, j) => (j === i ? product : product * rate),
+          1
+        );
+        const derivative =
+          fold * Math.pow(coincidenceWindow, fold - 1) * others;
+        return (derivative * sigmaSingles[input]) / liveTime;
+      })
+    );
+    // Timing part: R_acc scales as 1/T^N
+    const accidentalRateUncertainty = Math.hypot(
+      accidentalCounting,
+      fold * accidentalRate * timing
+    );
+    const coincidenceRateUncertainty = Math.hypot(
+      sigmaC / liveTime,
+      coincidenceRate * timing
+    );
+    // The live time moves the measured and accidental rates together
+    const trueCoincidenceRateUncertainty = Math.hypot(
+      sigmaC / liveTime,
+      accidentalCounting,
+      (coincidenceRate - fold * accidentalRate) * timing
+    );
+
+    return {
+      inputs: [...inputs],
+      fold,
+      coincidenceChannel,
+      singlesChannels: { ...singlesChannels },
+      singles,
+      coincidences,
+      duration,
+      requestedDuration,
+      liveTime,
+      rates,
+      coincidenceRate,
+      accidentalRate,
+      trueCoincidenceRate,
+      uncertainty: {
+        singles: sigmaSingles,
+        coincidences: sigmaC,
+        liveTime: liveTimeUncertainty,
+        rates: sigmaRates,
+        coincidenceRate: coincidenceRateUncertainty,
+        accidentalRate: accidentalRateUncertainty,
+        trueCoincidenceRate: trueCoincidenceRateUncertainty,
+      },
+    };
+  }
+
+  /**
+   * Clear the counters, count for a duration and build a result.
+   *
+   * The window actually counted runs from the clear to the read, which is
+   * longer than the sleep by the command delay, serial latency and timer
+   * jitter. Each command took effect at some point between its write and
+   * the start of its reply, so the live time is taken between the
+   * midpoints of those two spans, with each span treated as a uniform
+   * uncertainty (width / sqrt(12)).
+   *
+   * An abort ends the wait at once. No command is in flight at that point
+   * and nothing but the counters has changed, so the counts gathered so
+   * far are read to build the partial result and the device is left as it
+   * was before the measurement.
+   * @param {number} duration - Requested counting time in seconds
+   * @param {AbortSignal} [signal] - Stops the measurement early
+   * @param {Function} build - (data, window) => result, where window is
+   *   { duration, requestedDuration, liveTime, liveTimeUncertainty } in
+   *   seconds; duration is the requested time, or the live time when aborted
+   * @returns {Promise<Object>} Result from build()
+   * @throws {AbortError} If aborted
+   * @private
+   */
+  async _countFor(duration, signal, build) {
+    if (signal?.aborted) {
+      throw new AbortError(null, signal.reason);
+    }
+
+    const { timing: cleared } = await this._readCounts();
+    const start = this._commandSpan(cleared);
+    const window = (read) =>
+      CD48._liveWindow(start, this._commandSpan(read), duration);
+
+    try {
+      await this.sleep(duration * 1000, signal);
+    } catch (error) {
+      if (!(error instanceof AbortError)) {
+        throw error;
+      }
+      let partial = null;
+      try {
+        const { data, timing } = await this._readCounts();
+        const measured = window(timing);
+        if (measured.liveTime > 0) {
+          partial = build(data, { ...measured, duration: measured.liveTime });
+        }
+      } catch {
+        // Device unavailable; there is nothing to report
+      }
+      throw new AbortError(partial, error.reason);
+    }
+
+    const { data, timing } = await this._readCounts();
+    return build(data, window(timing));
+  }
+
+  /**
+   * Counting window between a clear and a read.
+   * @param {{mid: number, width: number}} start - Span of the clear
+   * @param {{mid: number, width: number}} end - Span of the read
+   * @param {number} requestedDuration - Requested counting time in seconds
+   * @returns {Object} { duration, requestedDuration, liveTime,
+   *   liveTimeUncertainty } in seconds, duration being the requested time
+   * @private
+   */
+  static _liveWindow(start, end, requestedDuration) {
+    return {
+      duration: requestedDuration,
+      requestedDuration,
+      liveTime: (end.mid - start.mid) / 1000,
+      liveTimeUncertainty:
+        Math.hypot(start.width, end.width) / Math.sqrt(12) / 1000,
+    };
+  }
+
+  /**
+   * Time span in which a command took effect on the device.
+   * @param {{sentAt: number, receivedAt: number}} timing - From _readCounts()
+   * @returns {{mid: number, width: number}} Midpoint and width in ms
+   * @private
+   */
+  _commandSpan({ sentAt, receivedAt }) {
+    // Without a usable reply time, the span ends now
+    const end = receivedAt >= sentAt ? receivedAt : this.clock.now();
+    return { mid: (sentAt + end) / 2, width: end - sentAt };
+  }
 }
+
+export {
+  CD48,
+  CommandPriority,
+  Transport,
+  WebSerialTransport,
+  MemoryTransport,
+  CD48_USB_VENDOR_ID,
+};
+export default CD48;
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Clocks: real time, or virtual time for tests and simulation
+ * @module clock
+ *
+ * Everything in the library that waits or reads the time does so through
+ * a clock. The default, realClock, uses the host's timers. A VirtualClock
+ * only moves when told to, so a 60 s measurement against an in-memory
+ * transport or the simulator finishes in milliseconds and always sees the
+ * same times.
+ *
+ * A clock provides now() (monotonic ms, like performance.now()),
+ * timestamp() (ms since the epoch, like Date.now()), setTimeout(),
+ * clearTimeout(), setInterval() and clearInterval().
+ *
+ * @example
+ * import { VirtualClock } from 'jscd48/clock';
+ * import { SimulatorTransport } from 'jscd48/simulator';
+ *
+ * const clock = new VirtualClock({ autoAdvance: true });
+ * const cd48 = new CD48({
+ *   clock,
+ *   transport: new SimulatorTransport({ clock, seed: 1 }),
+ * });
+ * await cd48.connect();
+ * await cd48.measureRate(0, 60); // One simulated minute, no real wait
+ */
+
+/**
+ * Clock using the host's timers. Timer functions are looked up on every
+ * call, so test frameworks that replace the globals still take effect.
+ */
+export const realClock = Object.freeze({
+  now: () => performance.now(),
+  timestamp: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+  setInterval: (callback, ms) => setInterval(callback, ms),
+  clearInterval: (timer) => clearInterval(timer),
+});
+
+/**
+ * Let pending promise callbacks run, using a real macrotask.
+ * @returns {Promise<void>}
+ * @private
+ */
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+/**
+ * Clock whose time only moves on advance(), or by itself with autoAdvance.
+ *
+ * Timers fire in order of due time, then of creation. After each timer
+ * the clock waits for a real macrotask, so promise chains started by the
+ * timer (a transport reply, a resolved sleep) run before the next one.
+ */
+export class VirtualClock {
+  /**
+   * Create a virtual clock.
+   * @param {Object} [options] - Clock options
+   * @param {number} [options.start=0] - Initial now() in ms
+   * @param {number} [options.epoch=0] - timestamp() when now() is 0
+   * @param {boolean} [options.autoAdvance=false] - Jump to the next timer
+   *   whenever the program is waiting. Only for code that waits on nothing
+   *   but this clock, such as CD48 with a simulator or memory transport;
+   *   an interval keeps the clock running until it is cleared.
+   */
+  constructor(options = {}) {
+    this._now = options.start || 0;
+    this.epoch = options.epoch || 0;
+    this.autoAdvance = options.autoAdvance || false;
+    this._timers = [];
+    this._nextId = 1;
+    this._autoTimer = null;
+  }
+
+  /**
+   * Current time in ms.
+   * @returns {number}
+   */
+  now() {
+    return this._now;
+  }
+
+  /**
+   * Current time in ms since the epoch.
+   * @returns {number}
+   */
+  timestamp() {
+    return this.epoch + this._now;
+  }
+
+  /**
+   * Call a function once the clock has moved on by ms.
+   * @param {Function} callback - Function to call
+   * @param {number} [ms=0] - Delay in ms
+   * @returns {number} Timer id for clearTimeout()
+   */
+  setTimeout(callback, ms = 0) {
+    return this._add(callback, ms, null);
+  }
+
+  /**
+   * Cancel a timer.
+   * @param {number} id - Timer id
+   */
+  clearTimeout(id) {
+    this._timers = this._timers.filter((timer) => timer.id !== id);
+  }
+
+  /**
+   * Call a function every ms.
+   * @param {Function} callback - Function to call
+   * @param {number} ms - Period in ms
+   * @returns {number} Timer id for clearInterval()
+   */
+  setInterval(callback, ms) {
+    return this._add(callback, ms, Math.max(ms, 1));
+  }
+
+  /**
+   * Cancel an interval.
+   * @param {number} id - Timer id
+   */
+  clearInterval(id) {
+    this.clearTimeout(id);
+  }
+
+  /**
+   * Number of timers waiting to fire.
+   * @returns {number}
+   */
+  getPendingCount() {
+    return this._timers.length;
+  }
+
+  /**
+   * Move time forward, firing every timer that falls due on the way.
+   * @param {number} ms - Time to move forward in ms
+   * @returns {Promise<void>} Settles once the clock has reached the new time
+   */
+  async advance(ms) {
+    const end = this._now + ms;
+    await settle();
+    while (this._timers.length > 0 && this._timers[0].due <= end) {
+      this._fire();
+      await settle();
+    }
+    this._now = Math.max(this._now, end);
+  }
+
+  /**
+   * Move time forward to the next timer and fire it.
+   * @returns {Promise<boolean>} False if no timer was waiting
+   */
+  async next() {
+    await settle();
+    if (this._timers.length === 0) {
+      return false;
+    }
+    this._fire();
+    await settle();
+    return true;
+  }
+
+  /**
+   * Add a timer, keeping the list sorted by due time.
+   * @param {Function} callback - Function to call
+   * @param {number} ms - Delay in ms
+   * @param {number|null} period - Period for intervals, else null
+   * @returns {number} Timer id
+   * @private
+   */
+  _add(callback, ms, period) {
+    const timer = {
+      id: this._nextId++,
+      due: this._now + Math.max(Number(ms) || 0, 0),
+      callback,
+      period,
+    };
+    this._insert(timer);
+    this._scheduleAutoAdvance();
+    return timer.id;
+  }
+
+  /**
+   * Insert a timer after every timer due at the same time or earlier.
+   * @param {Object} timer - Timer record
+   * @private
+   */
+  _insert(timer) {
+    const index = this._timers.findIndex((other) => other.due > timer.due);
+    if (index === -1) {
+      this._timers.push(timer);
+    } else {
+      this._timers.splice(index, 0, timer);
+    }
+  }
+
+  /**
+   * Fire the earliest timer, moving time to when it is due.
+   * @private
+   */
+  _fire() {
+    const timer = this._timers.shift();
+    this._now = Math.max(this._now, timer.due);
+    if (timer.period !== null) {
+      timer.due += timer.period;
+      this._insert(timer);
+    }
+    timer.callback();
+  }
+
+  /**
+   * With autoAdvance, fire the next timer once the program is idle.
+   * @private
+   */
+  _scheduleAutoAdvance() {
+    if (!this.autoAdvance || this._autoTimer !== null) {
+      return;
+    }
+    this._autoTimer = setTimeout(() => {
+      this._autoTimer = null;
+      if (this._timers.length > 0) {
+        this._fire();
+        this._scheduleAutoAdvance();
+      }
+    }, 0);
+  }
+}
+
+export default {
+  realClock,
+  VirtualClock,
+};
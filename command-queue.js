@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Serialized command queue for CD48 communication
+ * @module command-queue
+ *
+ * The CD48 answers one command at a time over a single serial line, so
+ * only one command may be outstanding. The queue runs tasks one after
+ * another, ordered by priority and then by arrival.
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Command priorities, highest first
+ */
+export const CommandPriority = Object.freeze({
+  HIGH: 'high', // User configuration (trigger level, channels, LEDs)
+  NORMAL: 'normal', // Regular commands and measurements
+  LOW: 'low', // Background polling such as auto-refresh
+});
+
+const PRIORITY_ORDER = {
+  [CommandPriority.HIGH]: 0,
+  [CommandPriority.NORMAL]: 1,
+  [CommandPriority.LOW]: 2,
+};
+
+/**
+ * FIFO queue with priorities that allows one active task at a time
+ */
+export class CommandQueue {
+  constructor() {
+    this._waiting = [];
+    this._active = false;
+  }
+
+  /**
+   * Wait for exclusive access.
+   * @param {string} [priority='normal'] - One of CommandPriority
+   * @returns {Promise<Function>} Release function; call it exactly once
+   */
+  acquire(priority = CommandPriority.NORMAL) {
+    if (!(priority in PRIORITY_ORDER)) {
+      throw new ValidationError(
+        'priority',
+        priority,
+        "must be 'high', 'normal' or 'low'"
+      );
+    }
+
+    return new Promise((resolve) => {
+      const entry = { rank: PRIORITY_ORDER[priority], resolve };
+
+      // Insert after every entry of the same or higher priority
+      const index = this._waiting.findIndex((e) => e.rank > entry.rank);
+      if (index === -1) {
+        this._waiting.push(entry);
+      } else {
+        this._waiting.splice(index, 0, entry);
+      }
+
+      this._next();
+    });
+  }
+
+  /**
+   * Run a task with exclusive access.
+   * @param {Function} task - Async function to run
+   * @param {string} [priority='normal'] - One of CommandPriority
+   * @returns {Promise<*>} Result of the task
+   */
+  async run(task, priority = CommandPriority.NORMAL) {
+    const release = await this.acquire(priority);
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Number of tasks waiting or running.
+   * @returns {number}
+   */
+  getDepth() {
+    return this._waiting.length + (this._active ? 1 : 0);
+  }
+
+  /**
+   * Check if a task is currently running.
+   * @returns {boolean}
+   */
+  isBusy() {
+    return this._active;
+  }
+
+  /**
+   * Start the next waiting task if the queue is idle.
+   * @private
+   */
+  _next() {
+    if (this._active || this._waiting.length === 0) {
+      return;
+    }
+
+    this._active = true;
+    const entry = this._waiting.shift();
+    let released = false;
+
+    entry.resolve(() => {
+      if (released) {
+        return;
+      }
+      released = true;
+      this._active = false;
+      this._next();
+    });
+  }
+}
+
+export default {
+  CommandQueue,
+  CommandPriority,
+};
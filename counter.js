@@ -0,0 +1,333 @@
+/**
+ * @fileoverview Cumulative counts across reads and counter rollover
+ * @module counter
+ *
+ * Reading the CD48 counts also clears them, and a channel that counts past
+ * its counter width wraps and sets its overflow bit. The overflow bits are
+ * sticky: every reading reports them until 'E' (cd48.getOverflow()) reads
+ * and clears them. CumulativeCounter adds up every reading into BigInt
+ * totals per channel, and for channels that wrapped estimates the number
+ * of wraps from the channel's recent rate. Those intervals are flagged as
+ * ambiguous, since the overflow bit only says that the counter wrapped at
+ * least once.
+ *
+ * A counts read whose counts never reach the counter still clears the
+ * counters: a human-readable read (getCounts(true), command 'C'), or a
+ * 'c' whose reply timed out or was garbled. CD48 numbers its counts reads
+ * as they are written, so the next reading skips a number. That interval
+ * is flagged as a gap, and the totals miss those counts.
+ *
+ * @example
+ * import { CumulativeCounter } from 'jscd48/counter';
+ *
+ * const counter = new CumulativeCounter(cd48);
+ * counter.addEventListener('wrap', (event) => console.warn(event.detail));
+ * await counter.start();
+ * setInterval(() => counter.update(), 1000);
+ * // later
+ * counter.getTotals(); // [123456789012n, ...]
+ */
+
+import { decodeOverflow } from './protocol.js';
+import { realClock } from './clock.js';
+
+/**
+ * Number of channels reported in every counts reading
+ */
+const CHANNEL_COUNT = 8;
+
+/**
+ * Counter width assumed when neither the options nor the device say
+ */
+const DEFAULT_COUNT_WIDTH = 32;
+
+/**
+ * Accumulates CD48 counts into 64-bit-safe totals.
+ *
+ * Dispatches CustomEvents with a `detail` payload:
+ * - interval: interval record for every reading added
+ * - wrap: interval record for readings where a channel wrapped
+ * - gap: interval record for readings after counts were cleared unread
+ */
+export class CumulativeCounter extends EventTarget {
+  /**
+   * Create a cumulative counter.
+   * @param {Object} [cd48] - CD48 instance to read from; optional when
+   *   readings are passed to add() directly
+   * @param {Object} [options] - Counter options
+   * @param {number} [options.countWidth] - Counter width in bits
+   *   (default: cd48.capabilities.countWidth, else 32)
+   * @param {Object} [options.clock] - Clock for reading times
+   *   (default: cd48.clock, else realClock)
+   */
+  constructor(cd48 = null, options = {}) {
+    super();
+    this.cd48 = cd48;
+    this.countWidth = options.countWidth || null;
+    this.clock = options.clock || (cd48 && cd48.clock) || realClock;
+    this._listening = false;
+    this._onCounts = (event) => this.add(event.detail);
+    this._onResponse = (event) => {
+      if (event.detail.command === 'E') {
+        this._overflowCleared(parseInt(event.detail.response) || 0);
+      }
+    };
+    this.reset();
+  }
+
+  /**
+   * Start accumulating every counts reading the CD48 makes, including
+   * polling, measurements and stream(), and following overflow flags
+   * cleared by getOverflow().
+   * @param {Object} [options] - Start options
+   * @param {boolean} [options.clear=true] - Clear the device counters and,
+   *   where the firmware has 'E', its overflow flags first, so totals
+   *   start from zero now
+   * @returns {Promise<void>}
+   */
+  async start({ clear = true } = {}) {
+    if (clear) {
+      let sequence = null;
+      const onClear = (event) => {
+        sequence = event.detail.sequence;
+      };
+      this.cd48.addEventListener('counts', onClear);
+      try {
+        await this.cd48.clearCounts();
+      } finally {
+        this.cd48.removeEventListener('counts', onClear);
+      }
+      if (this.cd48.supports('E')) {
+        await this.cd48.getOverflow();
+      }
+      this.reset();
+      this._lastTimestamp = this.clock.timestamp();
+      this._lastSequence = sequence;
+    }
+    if (!this._listening) {
+      this.cd48.addEventListener('counts', this._onCounts);
+      this.cd48.addEventListener('response', this._onResponse);
+      this._listening = true;
+    }
+  }
+
+  /**
+   * Stop accumulating readings. Totals are kept.
+   */
+  stop() {
+    if (this._listening) {
+      this.cd48.removeEventListener('counts', this._onCounts);
+      this.cd48.removeEventListener('response', this._onResponse);
+      this._listening = false;
+    }
+  }
+
+  /**
+   * Read the counts now and add them.
+   * @param {Object} [options] - Passed to CD48.getCounts(), e.g. { priority }
+   * @returns {Promise<Object>} Interval record for the reading
+   */
+  async update(options = {}) {
+    const data = await this.cd48.getCounts(false, options);
+    if (!this._listening) {
+      this.add({ ...data, timestamp: this.clock.timestamp() });
+    }
+    return this._lastInterval;
+  }
+
+  /**
+   * Add one counts reading.
+   *
+   * A channel whose overflow bit is newly set wrapped at least once. The
+   * number of wraps is estimated from the channel's rate in its last
+   * interval without overflow, and is 1 when no such rate is known. A bit
+   * still set from an earlier reading says nothing about this interval,
+   * so its wraps are estimated from the rate alone and may be 0; the
+   * channel stays ambiguous until getOverflow() clears the flag.
+   *
+   * A reading whose sequence number skips one is a gap: some of its
+   * interval's counts were cleared unread, so it does not update the
+   * channel rates. Readings without a sequence, as passed to add()
+   * directly, are never gaps.
+   * @param {Object} reading - Counts reading
+   * @param {number[]} reading.counts - Counts per channel since the last read
+   * @param {number} [reading.overflow=0] - Overflow byte (bit n = channel n)
+   * @param {number} [reading.timestamp] - Host time of the reading in ms
+   * @param {number} [reading.sequence] - Sequence number from the CD48
+   *   counts event
+   * @returns {Object} Interval record: { index, timestamp, duration,
+   *   counts, overflowChannels, wraps, ambiguous, ambiguousChannels, gap }
+   */
+  add({ counts, overflow = 0, timestamp = this.clock.timestamp(), sequence }) {
+    const width = this.getCountWidth();
+    const modulus = 1n << BigInt(width);
+    const duration =
+      this._lastTimestamp === null ? null : timestamp - this._lastTimestamp;
+    const overflowChannels = decodeOverflow(overflow | this._wrappedUnread);
+    const fresh = (overflow | this._wrappedUnread) & ~this._stickyOverflow;
+    const wraps = new Array(CHANNEL_COUNT).fill(0);
+    const gap =
+      sequence !== undefined &&
+      this._lastSequence !== null &&
+      sequence !== this._lastSequence + 1;
+    if (sequence !== undefined) {
+      this._lastSequence = sequence;
+    }
+    this._stickyOverflow = overflow;
+    this._wrappedUnread = 0;
+
+    for (let channel = 0; channel < CHANNEL_COUNT; channel++) {
+      const raw = counts[channel] || 0;
+      if (fresh & (1 << channel)) {
+        wraps[channel] = this._estimateWraps(channel, raw, duration, width, 1);
+      } else if (overflowChannels.includes(channel)) {
+        wraps[channel] = this._estimateWraps(channel, raw, duration, width, 0);
+      } else if (duration > 0 && !gap) {
+        this._rates[channel] = raw / duration;
+      }
+      this._totals[channel] += BigInt(raw) + BigInt(wraps[channel]) * modulus;
+    }
+
+    const interval = {
+      index: this._intervalCount++,
+      timestamp,
+      duration,
+      counts: [...counts],
+      overflowChannels,
+      wraps,
+      ambiguous: overflowChannels.length > 0,
+      ambiguousChannels: [...overflowChannels],
+      gap,
+    };
+    this._lastTimestamp = timestamp;
+    this._lastInterval = interval;
+
+    this._emit('interval', interval);
+    if (interval.ambiguous) {
+      this._ambiguousIntervals.push(interval);
+      this._emit('wrap', interval);
+    }
+    if (gap) {
+      this._gapIntervals.push(interval);
+      this._emit('gap', interval);
+    }
+    return interval;
+  }
+
+  /**
+   * Running totals per channel.
+   * @returns {bigint[]} Totals, including estimated wraps
+   */
+  getTotals() {
+    return [...this._totals];
+  }
+
+  /**
+   * Intervals in which at least one channel wrapped.
+   * @returns {Object[]} Interval records
+   */
+  getAmbiguousIntervals() {
+    return [...this._ambiguousIntervals];
+  }
+
+  /**
+   * Intervals that followed counts cleared unread, so the totals miss
+   * some counts.
+   * @returns {Object[]} Interval records
+   */
+  getGapIntervals() {
+    return [...this._gapIntervals];
+  }
+
+  /**
+   * Check whether a channel's total depends on a wrap estimate.
+   * @param {number} channel - Channel number (0-7)
+   * @returns {boolean}
+   */
+  isAmbiguous(channel) {
+    return this._ambiguousIntervals.some((interval) =>
+      interval.ambiguousChannels.includes(channel)
+    );
+  }
+
+  /**
+   * Number of readings added since the last reset.
+   * @returns {number}
+   */
+  getIntervalCount() {
+    return this._intervalCount;
+  }
+
+  /**
+   * Counter width in bits used to undo wraps.
+   * @returns {number}
+   */
+  getCountWidth() {
+    return (
+      this.countWidth ||
+      (this.cd48 && this.cd48.capabilities
+        ? this.cd48.capabilities.countWidth
+        : null) ||
+      DEFAULT_COUNT_WIDTH
+    );
+  }
+
+  /**
+   * Zero the totals and forget earlier intervals.
+   */
+  reset() {
+    this._totals = new Array(CHANNEL_COUNT).fill(0n);
+    this._rates = new Array(CHANNEL_COUNT).fill(null);
+    this._ambiguousIntervals = [];
+    this._gapIntervals = [];
+    this._lastSequence = null;
+    this._stickyOverflow = 0;
+    this._wrappedUnread = 0;
+    this._intervalCount = 0;
+    this._lastTimestamp = null;
+    this._lastInterval = null;
+  }
+
+  /**
+   * Estimate how often a channel's counter wrapped during an interval.
+   * @param {number} channel - Channel number
+   * @param {number} raw - Count read after the wraps
+   * @param {number|null} duration - Interval length in ms
+   * @param {number} width - Counter width in bits
+   * @param {number} minimum - Fewest wraps: 1 for a newly set overflow
+   *   bit, 0 for one still set from an earlier reading
+   * @returns {number} Wraps, at least minimum
+   * @private
+   */
+  _estimateWraps(channel, raw, duration, width, minimum) {
+    const rate = this._rates[channel];
+    if (rate === null || !(duration > 0)) {
+      return minimum;
+    }
+    const expected = rate * duration;
+    return Math.max(minimum, Math.round((expected - raw) / Math.pow(2, width)));
+  }
+
+  /**
+   * Note the overflow flags read and cleared by 'E'. Bits the last
+   * reading did not show wrapped in the interval now running.
+   * @param {number} overflow - Overflow byte 'E' returned
+   * @private
+   */
+  _overflowCleared(overflow) {
+    this._wrappedUnread |= overflow & ~this._stickyOverflow;
+    this._stickyOverflow = 0;
+  }
+
+  /**
+   * Dispatch an event with a detail payload.
+   * @param {string} type - Event type
+   * @param {Object} detail - Event detail
+   * @private
+   */
+  _emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
+
+export default CumulativeCounter;
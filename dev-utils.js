@@ -3,8 +3,6 @@
  * @module dev-utils
  */
 
-/* eslint-disable no-undef */
-
 /**
  * Development logger with enhanced formatting and filtering
  */
@@ -90,3 +90,42 @@ export class CommunicationError extends CD48Error {
   cause?: any;
   constructor(message: string, cause?: any);
 }
+
+/**
+ * Error thrown when settings read back from the device differ from the
+ * settings that were applied
+ */
+export class SettingsMismatchError extends CD48Error {
+  mismatches: Array<{ setting: string; expected: any; actual: any }>;
+  constructor(
+    mismatches: Array<{ setting: string; expected: any; actual: any }>
+  );
+}
+
+/**
+ * Error thrown when the connected firmware does not support a command
+ */
+export class UnsupportedCommandError extends CD48Error {
+  command: string;
+  firmware: string | null;
+  constructor(command: string, firmware: string | null);
+}
+
+/**
+ * Error thrown when a long-running operation is cancelled through its
+ * AbortSignal
+ */
+export class AbortError extends CD48Error {
+  partial: any;
+  reason: any;
+  constructor(partial?: any, reason?: any);
+}
+
+/**
+ * Error thrown when no counting channel on the device is programmed with
+ * an input combination a measurement needs
+ */
+export class ChannelConfigurationError extends CD48Error {
+  missing: string[][];
+  constructor(missing: string[][]);
+}
@@ -127,3 +127,58 @@ export class CommunicationError extends CD48Error {
     this.cause = cause;
   }
 }
+
+/**
+ * Error thrown when settings read back from the device differ from the
+ * settings that were applied
+ */
+export class SettingsMismatchError extends CD48Error {
+  constructor(mismatches) {
+    const list = mismatches.map((m) => m.setting).join(', ');
+    super(`Device settings do not match: ${list}`);
+    this.name = 'SettingsMismatchError';
+    this.mismatches = mismatches;
+  }
+}
+
+/**
+ * Error thrown when the connected firmware does not support a command
+ */
+export class UnsupportedCommandError extends CD48Error {
+  constructor(command, firmware) {
+    super(
+      `Command '${command}' is not supported by firmware ${firmware || 'unknown'}`
+    );
+    this.name = 'UnsupportedCommandError';
+    this.command = command;
+    this.firmware = firmware;
+  }
+}
+
+/**
+ * Error thrown when a long-running operation is cancelled through its
+ * AbortSignal. `partial` holds whatever result was gathered before the
+ * operation stopped, or null.
+ */
+export class AbortError extends CD48Error {
+  constructor(partial = null, reason) {
+    super('Operation aborted');
+    this.name = 'AbortError';
+    this.partial = partial;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Error thrown when no counting channel on the device is programmed with
+ * an input combination a measurement needs
+ */
+export class ChannelConfigurationError extends CD48Error {
+  constructor(missing) {
+    super(
+      `No counting channel is set to ${missing.map((m) => m.join('+')).join(', ')}`
+    );
+    this.name = 'ChannelConfigurationError';
+    this.missing = missing;
+  }
+}
@@ -26,6 +26,10 @@ export default [
         TextEncoderStream: 'readonly',
         ReadableStream: 'readonly',
         WritableStream: 'readonly',
+        EventTarget: 'readonly',
+        Event: 'readonly',
+        CustomEvent: 'readonly',
+        performance: 'readonly',
         // Node.js globals
         module: 'readonly',
         require: 'readonly',
@@ -70,6 +74,7 @@ export default [
         TextEncoderStream: 'readonly',
         ReadableStream: 'readonly',
         WritableStream: 'readonly',
+        AbortController: 'readonly',
         CD48: 'readonly',
         Chart: 'readonly',
         alert: 'readonly',
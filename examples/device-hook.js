@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Device selection for the web interface and example pages
+ * @module examples/device-hook
+ *
+ * Pages create their CD48 through createPageCD48(), which opens a serial
+ * port unless the page's device hook says otherwise. The hook is the
+ * window.cd48Device object; a test sets it before the page loads, for
+ * example with Playwright's page.addInitScript():
+ *
+ * - transcript: transcript object or JSON text to replay instead of
+ *   opening a port (loadTranscriptFile() sets it from a file)
+ * - simulator: SimulatorTransport options (seed, rates, version...) to
+ *   run against the simulator instead, as does ?device=simulator with an
+ *   optional &seed=
+ * - faults: simulator faults to start with, see NO_FAULTS, as an object
+ *   or JSON text; ?faults= takes them as JSON
+ * - record: record a transcript from connect on, as does ?record
+ * - options: CD48 options that override the page's, such as
+ *   commandTimeout or autoReconnect
+ *
+ * A transcript takes precedence over the simulator. The CD48 created and
+ * its transport are stored as window.cd48Device.cd48 and .transport, so a
+ * test or the browser console can reach them while the page runs, for
+ * example to call transport.setFaults().
+ *
+ * @example
+ * // Replay a transcript on the next connect, then save the new session
+ * await loadTranscriptFile(fileInput.files[0]);
+ * const cd48 = createPageCD48({ record: true });
+ * await cd48.connect();
+ * downloadTranscript(cd48.getTranscript());
+ */
+
+import { CD48 } from '../cd48.js';
+import { SimulatorTransport } from '../simulator.js';
+import { ReplayTransport, parseTranscript } from '../transcript.js';
+
+/**
+ * Get the page's device hook, creating an empty one if none was set.
+ * @returns {Object} The window.cd48Device object
+ */
+export function getDeviceHook() {
+  if (!window.cd48Device) {
+    window.cd48Device = {};
+  }
+  return window.cd48Device;
+}
+
+/**
+ * Read the device settings from the hook and the page URL.
+ * @param {Object} [location] - Page location (default: window.location)
+ * @param {Object} [hook] - Device hook (default: window.cd48Device)
+ * @returns {{transcript: (Object|string|null), simulator: (Object|null), faults: (Object|string|null), record: boolean, options: Object}}
+ *   Settings; simulator is null unless the simulator is selected
+ */
+export function readDeviceConfig(
+  location = window.location,
+  hook = getDeviceHook()
+) {
+  const params = new window.URLSearchParams(location.search);
+  let simulator = hook.simulator || null;
+  if (!simulator && params.get('device') === 'simulator') {
+    simulator = {};
+  }
+  if (simulator && params.has('seed')) {
+    simulator = { ...simulator, seed: params.get('seed') };
+  }
+
+  return {
+    transcript: hook.transcript || null,
+    simulator,
+    faults: hook.faults || params.get('faults'),
+    record: Boolean(hook.record) || params.has('record'),
+    options: hook.options || {},
+  };
+}
+
+/**
+ * Check whether the page can connect: either the browser has Web Serial
+ * or the hook selects a device that does not need it.
+ * @returns {boolean} True if createPageCD48() can connect
+ */
+export function isDeviceAvailable() {
+  const { transcript, simulator } = readDeviceConfig();
+  return Boolean(transcript || simulator) || CD48.isSupported();
+}
+
+/**
+ * Create the page's CD48 for the device the hook selects.
+ * @param {Object} [options] - CD48 options; the hook's options override
+ *   them, and record is combined with the hook's record setting
+ * @returns {CD48} Unconnected CD48
+ * @throws {ValidationError} If the hook's transcript, simulator or faults
+ *   are not valid
+ * @throws {SyntaxError} If faults given as text are not valid JSON
+ */
+export function createPageCD48(options = {}) {
+  const hook = getDeviceHook();
+  const config = readDeviceConfig(window.location, hook);
+  const cd48Options = {
+    ...options,
+    ...config.options,
+    record: Boolean(options.record) || config.record,
+  };
+  if (config.transcript) {
+    cd48Options.transport = new ReplayTransport({
+      transcript: config.transcript,
+    });
+  } else if (config.simulator) {
+    const { faults } = config;
+    cd48Options.transport = new SimulatorTransport({
+      ...config.simulator,
+      faults: typeof faults === 'string' ? JSON.parse(faults) : faults || {},
+    });
+  }
+
+  const cd48 = new CD48(cd48Options);
+  hook.cd48 = cd48;
+  hook.transport = cd48.transport;
+  return cd48;
+}
+
+/**
+ * Load a transcript file into the hook, so the next createPageCD48()
+ * replays it.
+ * @param {Blob} file - Transcript file, as saved by downloadTranscript()
+ * @returns {Promise<Object>} The transcript
+ * @throws {ValidationError} If the file is not a transcript
+ */
+export async function loadTranscriptFile(file) {
+  const transcript = parseTranscript(await file.text());
+  getDeviceHook().transcript = transcript;
+  return transcript;
+}
+
+/**
+ * Stop replaying the loaded transcript; the next createPageCD48() uses
+ * the serial port again.
+ */
+export function clearTranscript() {
+  delete getDeviceHook().transcript;
+}
+
+/**
+ * Save a transcript as a JSON file through the browser's downloads.
+ * @param {Object} transcript - Transcript from cd48.getTranscript()
+ * @param {string} [filename] - File name (default: 'cd48-transcript.json')
+ */
+export function downloadTranscript(
+  transcript,
+  filename = 'cd48-transcript.json'
+) {
+  const blob = new window.Blob([JSON.stringify(transcript, null, 2)], {
+    type: 'application/json',
+  });
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+}
+
+export default {
+  getDeviceHook,
+  readDeviceConfig,
+  isDeviceAvailable,
+  createPageCD48,
+  loadTranscriptFile,
+  clearTranscript,
+  downloadTranscript,
+};
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview CD48 firmware versions and capabilities
+ * @module firmware
+ *
+ * The version reported by the 'v' command is parsed into a semver-like
+ * structure and looked up in a capability table describing which
+ * commands the firmware understands, the format of its replies and the
+ * width of its counters.
+ */
+
+/**
+ * Every single-character command of the CD48 protocol
+ */
+export const ALL_COMMANDS = Object.freeze([
+  'v', // Firmware version
+  'H', // Help text
+  'c', // Counts (machine-readable)
+  'C', // Counts (human-readable)
+  'p', // Settings (machine-readable)
+  'P', // Settings (human-readable)
+  'S', // Channel input mask
+  'L', // Trigger level
+  'z', // 50 Ohm impedance
+  'Z', // High-Z impedance
+  'r', // Repeat interval
+  'R', // Toggle repeat mode
+  'V', // DAC voltage
+  'E', // Overflow flags
+  'T', // LED test
+]);
+
+/**
+ * Capabilities per firmware, ordered by minimum version.
+ *
+ * An entry applies to every version from `minVersion` up to the next
+ * entry. Add entries here as firmware releases change the command set.
+ * - commands: command characters the firmware accepts
+ * - replyFormats.counts: 'counts+overflow' (the only known 'c' format)
+ * - replyFormats.settings: 'basic' ('p' ends after the DAC byte) or
+ *   'extended' (impedance and repeat fields follow); passed to
+ *   parseSettings() when reading and verifying settings
+ * - countWidth: counter width in bits
+ *
+ * Every release documented so far accepts the full command set and
+ * replies in the basic settings format, so this table restricts no
+ * command. Firmware that differs is described with the CD48
+ * `capabilityTable` option.
+ */
+export const FIRMWARE_CAPABILITIES = Object.freeze([
+  Object.freeze({
+    minVersion: '1.0.0',
+    commands: ALL_COMMANDS,
+    replyFormats: Object.freeze({
+      counts: 'counts+overflow',
+      settings: 'basic',
+    }),
+    countWidth: 32,
+  }),
+]);
+
+/**
+ * Parse a firmware version string such as 'CD48 Firmware v2.1.3'.
+ * @param {string|null} response - Reply to the 'v' command
+ * @returns {{major: number, minor: number, patch: number, prerelease: string|null, raw: string}|null}
+ *   Parsed version, or null if the reply contains no version number
+ */
+export function parseVersion(response) {
+  if (typeof response !== 'string') {
+    return null;
+  }
+
+  const match = response.match(
+    /(?:^|[^\d.])v?(\d+)\.(\d+)(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?/
+  );
+  if (!match) {
+    return null;
+  }
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: match[3] === undefined ? 0 : Number(match[3]),
+    prerelease: match[4] || null,
+    raw: response.trim(),
+  };
+}
+
+/**
+ * Compare two versions by major, minor and patch number.
+ * @param {Object|string} a - Parsed version or version string
+ * @param {Object|string} b - Parsed version or version string
+ * @returns {number} Negative if a < b, zero if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+  const left = typeof a === 'string' ? parseVersion(a) : a;
+  const right = typeof b === 'string' ? parseVersion(b) : b;
+  return (
+    left.major - right.major ||
+    left.minor - right.minor ||
+    left.patch - right.patch
+  );
+}
+
+/**
+ * Look up the capabilities of a firmware version.
+ * Unknown versions get the newest entry, so a firmware that cannot be
+ * identified is not restricted.
+ * @param {Object|null} version - Parsed version from parseVersion()
+ * @param {Array<Object>} [table=FIRMWARE_CAPABILITIES] - Capability table
+ * @returns {Object} Capability entry
+ */
+export function getCapabilities(version, table = FIRMWARE_CAPABILITIES) {
+  const newest = table[table.length - 1];
+  if (!version) {
+    return newest;
+  }
+
+  let match = null;
+  for (const entry of table) {
+    if (compareVersions(version, entry.minVersion) >= 0) {
+      match = entry;
+    }
+  }
+  return match || table[0];
+}
+
+export default {
+  ALL_COMMANDS,
+  FIRMWARE_CAPABILITIES,
+  parseVersion,
+  compareVersions,
+  getCapabilities,
+};
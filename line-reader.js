@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Buffered line reader for CD48 responses
+ * @module line-reader
+ *
+ * Wraps a transport and splits its text stream into lines. Exactly one
+ * read is kept outstanding on the transport; a read that outlives a
+ * timeout is kept and its data is buffered for the next caller instead of
+ * being lost.
+ */
+
+import { realClock } from './clock.js';
+
+/**
+ * Splits a transport's text stream into lines
+ */
+export class LineReader {
+  /**
+   * Create a line reader.
+   * @param {Object} source - Object with a read() method returning {value, done}
+   * @param {Object} [options] - Reader options
+   * @param {Function} [options.onEnd] - Called once when the stream ends
+   * @param {Function} [options.onError] - Called with each read error
+   * @param {Object} [options.clock] - Clock for timeouts and arrival times
+   *   (default: realClock)
+   */
+  constructor(source, options = {}) {
+    this.source = source;
+    this.clock = options.clock || realClock;
+    this._onEnd = options.onEnd || null;
+    this._onError = options.onError || null;
+    this._lines = [];
+    this._lineTimes = [];
+    this._partial = '';
+    this._partialTime = null;
+    // clock.now() at which the last line returned began to arrive
+    this.lastLineTime = null;
+    this._pending = null;
+    this._done = false;
+    this._error = null;
+  }
+
+  /**
+   * Check if the underlying stream has ended.
+   * @returns {boolean}
+   */
+  isDone() {
+    return this._done;
+  }
+
+  /**
+   * Number of complete lines waiting to be read.
+   * @returns {number}
+   */
+  getBufferedLineCount() {
+    return this._lines.length;
+  }
+
+  /**
+   * Read the next complete line.
+   * @param {number} timeoutMs - Maximum time to wait in milliseconds
+   * @returns {Promise<string|null>} Line without terminator, or null on timeout or end of stream
+   * @throws {Error} If the underlying read failed
+   */
+  async readLine(timeoutMs) {
+    const deadline = this.clock.now() + timeoutMs;
+
+    while (this._lines.length === 0) {
+      this._throwPendingError();
+      if (this._done) {
+        return null;
+      }
+
+      const remaining = deadline - this.clock.now();
+      if (remaining <= 0) {
+        return null;
+      }
+
+      let timer;
+      const timedOut = await Promise.race([
+        this._pull().then(() => false),
+        new Promise((resolve) => {
+          timer = this.clock.setTimeout(() => resolve(true), remaining);
+        }),
+      ]);
+      this.clock.clearTimeout(timer);
+
+      if (timedOut) {
+        return null;
+      }
+    }
+
+    this.lastLineTime = this._lineTimes.shift();
+    return this._lines.shift();
+  }
+
+  /**
+   * Discard everything buffered so far, including data the transport has
+   * already received. Read errors are kept for the next readLine().
+   * @returns {Promise<string>} The discarded text
+   */
+  async discard() {
+    if (!this._done) {
+      this._pull();
+    }
+    // Let data that is already available be delivered first
+    await new Promise((resolve) => this.clock.setTimeout(resolve, 0));
+
+    const discarded = [...this._lines, this._partial]
+      .filter((part) => part.length > 0)
+      .join('\n');
+    this._lines = [];
+    this._lineTimes = [];
+    this._partial = '';
+    this._partialTime = null;
+    return discarded;
+  }
+
+  /**
+   * Start a read unless one is already outstanding.
+   * @returns {Promise<void>} Settles when the outstanding read completes
+   * @private
+   */
+  _pull() {
+    if (!this._pending) {
+      this._pending = Promise.resolve()
+        .then(() => this.source.read())
+        .then(
+          ({ value, done }) => {
+            this._pending = null;
+            if (value) {
+              this._ingest(value);
+            }
+            if (done && !this._done) {
+              this._done = true;
+              if (this._onEnd) {
+                this._onEnd();
+              }
+            }
+          },
+          (error) => {
+            this._pending = null;
+            this._error = error;
+            if (this._onError) {
+              this._onError(error);
+            }
+          }
+        );
+    }
+    return this._pending;
+  }
+
+  /**
+   * Append received text and split off complete lines.
+   * Each line is stamped with the arrival time of its first chunk.
+   * @param {string} text - Received text
+   * @private
+   */
+  _ingest(text) {
+    const now = this.clock.now();
+    let lineTime = this._partial.length > 0 ? this._partialTime : now;
+    const parts = (this._partial + text).split(/\r\n|\r|\n/);
+    this._partial = parts.pop();
+    for (const line of parts) {
+      // A terminator split across chunks ('\r' then '\n') yields empty lines
+      if (line.length > 0) {
+        this._lines.push(line);
+        this._lineTimes.push(lineTime);
+      }
+      lineTime = now;
+    }
+    this._partialTime = lineTime;
+  }
+
+  /**
+   * Throw and clear a stored read error.
+   * @private
+   */
+  _throwPendingError() {
+    if (this._error) {
+      const error = this._error;
+      this._error = null;
+      throw error;
+    }
+  }
+}
+
+export default LineReader;
@@ -0,0 +1,385 @@
+/**
+ * @fileoverview Manage several CD48 units from one page
+ * @module manager
+ *
+ * Each unit gets its own CD48 instance bound to one granted serial port.
+ * Units are identified by USB info and the firmware version string, and
+ * carry user-defined names that can be matched against that identity on
+ * every page load. When replugged units come back as new ports, a
+ * reconnect only takes a port with the same USB product ID and rejects
+ * one whose version string differs. Units with identical USB info and
+ * version strings can still be swapped that way.
+ *
+ * @example
+ * import { CD48Manager } from 'jscd48/manager';
+ *
+ * const manager = new CD48Manager();
+ * await manager.connectAll({
+ *   north: { version: /SN 0042/ },
+ *   south: { version: /SN 0057/ },
+ * });
+ * const snapshot = await manager.getCounts();
+ * console.log(snapshot.north.counts, snapshot.north.timestamp);
+ */
+
+import CD48 from './cd48.js';
+import { WebSerialTransport, CD48_USB_VENDOR_ID } from './transport.js';
+import { ValidationError, ConnectionError } from './errors.js';
+
+/**
+ * Check whether an identity satisfies a matcher.
+ * Each matcher field is compared for equality, or tested if a RegExp.
+ * @param {Object} matcher - Fields to match, e.g. { usbProductId: 1, version: /v2/ }
+ * @param {Object} identity - Unit identity
+ * @returns {boolean}
+ */
+export function matchesIdentity(matcher, identity) {
+  return Object.entries(matcher).every(([key, expected]) =>
+    expected instanceof RegExp
+      ? expected.test(String(identity[key] ?? ''))
+      : identity[key] === expected
+  );
+}
+
+/**
+ * Connects to and coordinates several CD48 units
+ */
+export class CD48Manager {
+  /**
+   * Create a manager.
+   * @param {Object} [options] - Manager options
+   * @param {Array<Object>} [options.filters] - Port filters (default: Cypress VID)
+   * @param {Object} [options.cd48Options] - Options passed to every CD48 instance
+   * @param {Function} [options.createTransport] - (port) => Transport (default: WebSerialTransport)
+   * @param {Object} [options.serial] - Web Serial object (default: navigator.serial)
+   */
+  constructor(options = {}) {
+    this.filters = options.filters || [{ usbVendorId: CD48_USB_VENDOR_ID }];
+    this.cd48Options = options.cd48Options || {};
+    this.createTransport =
+      options.createTransport ||
+      ((port) =>
+        new WebSerialTransport({
+          port,
+          filters: this.filters,
+          baudRate: this.cd48Options.baudRate,
+        }));
+    this._serial = options.serial || null;
+    this._units = new Map();
+    // Names and ports of units still connecting
+    this._reservedNames = new Set();
+    this._reservedPorts = new Set();
+  }
+
+  /**
+   * Web Serial object used to find ports.
+   * @type {Object}
+   * @private
+   */
+  get serial() {
+    return this._serial || navigator.serial;
+  }
+
+  /**
+   * List granted ports that match the filters.
+   * @returns {Promise<Array<{port: Object, info: Object, name: string|null}>>}
+   *   Ports with their USB info and the name of the unit using them, if any
+   */
+  async listPorts() {
+    const ports = await this.serial.getPorts();
+    return ports
+      .filter((port) => {
+        const info = port.getInfo();
+        return this.filters.some(
+          (filter) => info.usbVendorId === filter.usbVendorId
+        );
+      })
+      .map((port) => ({
+        port,
+        info: port.getInfo(),
+        name: this._nameOfPort(port),
+      }));
+  }
+
+  /**
+   * Prompt the user for a port and add it under a name.
+   * @param {string} name - Name for the unit
+   * @returns {Promise<CD48>} Connected unit
+   */
+  async requestUnit(name) {
+    this._checkNameFree(name);
+    const port = await this.serial.requestPort({ filters: this.filters });
+    return await this.add(name, port);
+  }
+
+  /**
+   * Connect to a granted port and add it under a name.
+   * @param {string} name - Name for the unit
+   * @param {Object} port - Granted SerialPort
+   * @returns {Promise<CD48>} Connected unit
+   * @throws {ValidationError} If the name is already used
+   * @throws {ConnectionError} If the port already belongs to a unit
+   */
+  async add(name, port) {
+    this._checkNameFree(name);
+    this._reservedNames.add(name);
+    try {
+      const unit = await this._open(port, () => name);
+      return unit.cd48;
+    } finally {
+      this._reservedNames.delete(name);
+    }
+  }
+
+  /**
+   * Connect to every granted port not yet managed.
+   *
+   * Each unit is named after the first assignment whose matcher fits its
+   * identity; units that match none are named unit1, unit2, ...
+   * Units with identical USB info and version strings cannot be told
+   * apart, so give them matchers on a distinguishing version field.
+   *
+   * @param {Object<string, Object>} [assignments] - Name => identity matcher
+   * @returns {Promise<{names: string[], errors: Array<{info: Object, error: Error}>}>}
+   *   Names of the units added and ports that failed to connect
+   */
+  async connectAll(assignments = {}) {
+    const names = [];
+    const errors = [];
+
+    for (const { port, info } of await this.listPorts()) {
+      if (this._isPortTaken(port)) {
+        continue;
+      }
+
+      try {
+        await this._open(port, ({ identity }) => {
+          const unitName =
+            Object.keys(assignments).find(
+              (candidate) =>
+                !this._isNameTaken(candidate) &&
+                matchesIdentity(assignments[candidate], identity)
+            ) || this._nextDefaultName();
+          names.push(unitName);
+          return unitName;
+        });
+      } catch (error) {
+        errors.push({ info, error });
+      }
+    }
+
+    return { names, errors };
+  }
+
+  /**
+   * Get a unit by name.
+   * @param {string} name - Unit name
+   * @returns {CD48}
+   * @throws {ValidationError} If no unit has that name
+   */
+  get(name) {
+    return this._getUnit(name).cd48;
+  }
+
+  /**
+   * Get the identity recorded when a unit connected.
+   * @param {string} name - Unit name
+   * @returns {{usbVendorId: number, usbProductId: number, version: string}}
+   */
+  getIdentity(name) {
+    return { ...this._getUnit(name).identity };
+  }
+
+  /**
+   * Names of all managed units.
+   * @returns {string[]}
+   */
+  getNames() {
+    return [...this._units.keys()];
+  }
+
+  /**
+   * Rename a unit.
+   * @param {string} name - Current name
+   * @param {string} newName - New name
+   */
+  rename(name, newName) {
+    const unit = this._getUnit(name);
+    this._checkNameFree(newName);
+    this._units.delete(name);
+    this._units.set(newName, unit);
+  }
+
+  /**
+   * Disconnect a unit and stop managing it.
+   * @param {string} name - Unit name
+   */
+  async remove(name) {
+    const unit = this._getUnit(name);
+    this._units.delete(name);
+    await unit.cd48.disconnect();
+  }
+
+  /**
+   * Disconnect every unit.
+   */
+  async disconnectAll() {
+    const names = this.getNames();
+    await Promise.all(names.map((name) => this.remove(name)));
+  }
+
+  /**
+   * Read counts from every unit at once.
+   * All requests are issued together; each result carries the time its
+   * request was sent and the time its reply arrived.
+   * @param {Object} [options] - Passed to CD48.getCounts(), e.g. { priority }
+   * @returns {Promise<Object<string, Object>>} Name => { counts, overflow, requestedAt, timestamp } or { error, requestedAt, timestamp }
+   */
+  async getCounts(options = {}) {
+    const results = await Promise.all(
+      [...this._units].map(async ([name, { cd48 }]) => {
+        const requestedAt = cd48.clock.timestamp();
+        try {
+          const data = await cd48.getCounts(false, options);
+          const timestamp = cd48.clock.timestamp();
+          return [name, { ...data, requestedAt, timestamp }];
+        } catch (error) {
+          const timestamp = cd48.clock.timestamp();
+          return [name, { error, requestedAt, timestamp }];
+        }
+      })
+    );
+    return Object.fromEntries(results);
+  }
+
+  /**
+   * Connect a CD48 to a port, record its identity and add it under the
+   * name chosen for it. The port is reserved until then, so concurrent
+   * calls cannot open it twice.
+   * @param {Object} port - Granted SerialPort
+   * @param {Function} chooseName - (unit) => name for the connected unit
+   * @returns {Promise<{cd48: CD48, port: Object, identity: Object}>}
+   * @private
+   */
+  async _open(port, chooseName) {
+    if (this._isPortTaken(port)) {
+      throw new ConnectionError('Port already belongs to a managed unit');
+    }
+
+    this._reservedPorts.add(port);
+    try {
+      const cd48 = new CD48({
+        ...this.cd48Options,
+        transport: this.createTransport(port),
+      });
+      await cd48.connect();
+
+      try {
+        const info = port.getInfo();
+        const identity = {
+          usbVendorId: info.usbVendorId,
+          usbProductId: info.usbProductId,
+          version: await cd48.getVersion(),
+        };
+        const unit = { cd48, port, identity };
+        this._units.set(chooseName(unit), unit);
+        return unit;
+      } catch (error) {
+        await cd48.disconnect();
+        throw error;
+      }
+    } finally {
+      this._reservedPorts.delete(port);
+    }
+  }
+
+  /**
+   * Name of the unit using a port.
+   * @param {Object} port - SerialPort
+   * @returns {string|null}
+   * @private
+   */
+  _nameOfPort(port) {
+    for (const [name, unit] of this._units) {
+      if (this._portOf(unit) === port) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Port a unit uses now: its transport's port, which changes when a
+   * reconnect finds the device as a new port, else the port it was
+   * added with.
+   * @param {{cd48: CD48, port: Object}} unit - Managed unit
+   * @returns {Object} SerialPort
+   * @private
+   */
+  _portOf(unit) {
+    return unit.cd48.transport.port || unit.port;
+  }
+
+  /**
+   * Check if a unit uses a port or is connecting to it.
+   * @param {Object} port - SerialPort
+   * @returns {boolean}
+   * @private
+   */
+  _isPortTaken(port) {
+    return this._nameOfPort(port) !== null || this._reservedPorts.has(port);
+  }
+
+  /**
+   * Check if a unit uses a name or is connecting under it.
+   * @param {string} name - Unit name
+   * @returns {boolean}
+   * @private
+   */
+  _isNameTaken(name) {
+    return this._units.has(name) || this._reservedNames.has(name);
+  }
+
+  /**
+   * First unused default name.
+   * @returns {string}
+   * @private
+   */
+  _nextDefaultName() {
+    let index = 1;
+    while (this._isNameTaken(`unit${index}`)) {
+      index++;
+    }
+    return `unit${index}`;
+  }
+
+  /**
+   * Look up a unit by name.
+   * @param {string} name - Unit name
+   * @returns {Object} Unit record
+   * @private
+   */
+  _getUnit(name) {
+    const unit = this._units.get(name);
+    if (!unit) {
+      throw new ValidationError('name', name, 'no unit with this name');
+    }
+    return unit;
+  }
+
+  /**
+   * Ensure a name is a non-empty string not used by another unit.
+   * @param {string} name - Unit name
+   * @private
+   */
+  _checkNameFree(name) {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new ValidationError('name', name, 'must be a non-empty string');
+    }
+    if (this._isNameTaken(name)) {
+      throw new ValidationError('name', name, 'already in use');
+    }
+  }
+}
+
+export default CD48Manager;
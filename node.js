@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Node.js support for CD48, including a serial transport
+ * @module node
+ *
+ * Lets the CD48 class run in headless Node scripts by opening a tty device
+ * path (e.g. /dev/ttyUSB0, or a socat pseudo-terminal when testing).
+ *
+ * @example
+ * import { CD48, NodeSerialTransport } from 'jscd48/node';
+ *
+ * const transport = new NodeSerialTransport({ path: '/dev/ttyUSB0' });
+ * const cd48 = new CD48({ transport });
+ * await cd48.connect();
+ * console.log(await cd48.getCounts());
+ * await cd48.disconnect();
+ */
+
+import { openSync, constants } from 'node:fs';
+import { execFile } from 'node:child_process';
+import { isatty, ReadStream, WriteStream } from 'node:tty';
+import { Socket } from 'node:net';
+
+import CD48 from './cd48.js';
+import { Transport } from './transport.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Transport for serial devices opened through the Node.js file system
+ */
+export class NodeSerialTransport extends Transport {
+  /**
+   * Create a Node serial transport.
+   * @param {Object} options - Transport options
+   * @param {string} options.path - Device path (e.g. '/dev/ttyUSB0')
+   * @param {number} [options.baudRate=115200] - Baud rate
+   * @param {boolean} [options.configureTty=true] - Run stty to set baud rate and raw mode
+   */
+  constructor(options = {}) {
+    super();
+    if (typeof options.path !== 'string' || options.path.length === 0) {
+      throw new ValidationError(
+        'path',
+        options.path,
+        "must be a device path such as '/dev/ttyUSB0'"
+      );
+    }
+    this.path = options.path;
+    this.baudRate = options.baudRate || 115200;
+    this.configureTty = options.configureTty !== false;
+    this._input = null;
+    this._output = null;
+    this._chunks = [];
+    this._waiters = [];
+    this._error = null;
+  }
+
+  /**
+   * Check if running under Node.js.
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof process !== 'undefined' && Boolean(process.versions?.node);
+  }
+
+  /**
+   * Configure the tty and open the device.
+   */
+  async open() {
+    if (this.configureTty) {
+      await this._stty();
+    }
+
+    this._chunks = [];
+    this._error = null;
+
+    const fd = this._openFd();
+    if (isatty(fd)) {
+      // Separate descriptors so each tty stream owns and closes its own
+      this._input = new ReadStream(fd);
+      this._output = new WriteStream(this._openFd());
+    } else {
+      // Pipes and FIFOs, used for loopback testing
+      const socket = new Socket({ fd, readable: true, writable: true });
+      this._input = socket;
+      this._output = socket;
+    }
+
+    const input = this._input;
+    input.setEncoding('utf8');
+    input.on('data', (chunk) => this._deliver(chunk));
+    input.on('error', (error) => {
+      this._error = error;
+      this._flushWaiters();
+    });
+    input.on('close', () => {
+      // Device went away on its own: release the output side too
+      if (this._input === input) {
+        this.close();
+        this.dispatchEvent(new Event('disconnect'));
+      }
+    });
+  }
+
+  /**
+   * Open a non-blocking descriptor for the device path.
+   * @returns {number} File descriptor
+   * @private
+   */
+  _openFd() {
+    return openSync(
+      this.path,
+      constants.O_RDWR | constants.O_NOCTTY | constants.O_NONBLOCK
+    );
+  }
+
+  /**
+   * Set baud rate and raw mode with stty.
+   * @private
+   */
+  _stty() {
+    const flag = process.platform === 'darwin' ? '-f' : '-F';
+    const args = [flag, this.path, String(this.baudRate), 'raw', '-echo'];
+
+    return new Promise((resolve, reject) => {
+      execFile('stty', args, (error, _stdout, stderr) => {
+        if (error) {
+          reject(new Error(`stty failed for ${this.path}: ${stderr || error}`));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Close the device.
+   */
+  async close() {
+    if (!this._input) {
+      return;
+    }
+
+    // The streams own their descriptors and close them when destroyed
+    const streams = new Set([this._input, this._output]);
+    this._input = null;
+    this._output = null;
+    for (const stream of streams) {
+      stream.destroy();
+    }
+    this._flushWaiters();
+  }
+
+  /**
+   * Write text to the device.
+   * @param {string} data - Text to write
+   */
+  write(data) {
+    if (!this._output) {
+      return Promise.reject(new Error('Transport is not open'));
+    }
+    return new Promise((resolve, reject) => {
+      this._output.write(data, 'utf8', (error) =>
+        error ? reject(error) : resolve()
+      );
+    });
+  }
+
+  /**
+   * Read the next chunk of text, waiting until one is available.
+   * @returns {Promise<{value: string, done: boolean}>}
+   */
+  read() {
+    if (this._chunks.length > 0) {
+      return Promise.resolve({ value: this._chunks.shift(), done: false });
+    }
+    if (this._error) {
+      return Promise.reject(this._error);
+    }
+    if (!this._input) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise((resolve, reject) =>
+      this._waiters.push({ resolve, reject })
+    );
+  }
+
+  /**
+   * Check if the device is open.
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this._input !== null;
+  }
+
+  /**
+   * Hand a received chunk to a pending read or queue it.
+   * @param {string} chunk - Received text
+   * @private
+   */
+  _deliver(chunk) {
+    if (this._waiters.length > 0) {
+      this._waiters.shift().resolve({ value: chunk, done: false });
+    } else {
+      this._chunks.push(chunk);
+    }
+  }
+
+  /**
+   * Settle all pending reads after an error or close.
+   * @private
+   */
+  _flushWaiters() {
+    const waiters = this._waiters;
+    this._waiters = [];
+    for (const { resolve, reject } of waiters) {
+      if (this._error) {
+        reject(this._error);
+      } else {
+        resolve({ value: undefined, done: true });
+      }
+    }
+  }
+}
+
+export { CD48 };
+export default CD48;
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview CD48 serial protocol details
+ * @module protocol
+ */
+
+import { InvalidResponseError, ValidationError } from './errors.js';
+
+/**
+ * Default time to wait after the last line of a multi-line response
+ */
+export const DEFAULT_IDLE_GAP_MS = 100;
+
+/**
+ * How each command's response is framed.
+ *
+ * `lines` is the exact number of lines returned. Commands with
+ * `idleMs` return a variable number of lines; reading stops once no new
+ * line has arrived for that many milliseconds. Commands not listed here
+ * return a single line.
+ */
+export const RESPONSE_FRAMING = Object.freeze({
+  H: { idleMs: DEFAULT_IDLE_GAP_MS }, // Help text
+  C: { idleMs: DEFAULT_IDLE_GAP_MS }, // Human-readable counts
+  P: { idleMs: DEFAULT_IDLE_GAP_MS }, // Human-readable settings
+});
+
+/**
+ * Commands that can be resent without changing the outcome: queries and
+ * setters that write an absolute value.
+ */
+export const IDEMPOTENT_COMMANDS = Object.freeze([
+  'v', // Firmware version
+  'H', // Help text
+  'p', // Settings (machine-readable)
+  'P', // Settings (human-readable)
+  'S', // Channel input mask
+  'L', // Trigger level
+  'z', // 50 Ohm impedance
+  'Z', // High-Z impedance
+  'r', // Repeat interval
+  'V', // DAC voltage
+  'T', // LED test
+]);
+
+/**
+ * Commands whose effect is lost or doubled if they are sent twice. They
+ * are never retried, whatever retry policy is configured.
+ */
+export const NON_IDEMPOTENT_COMMANDS = Object.freeze([
+  'c', // Read and clear counts
+  'C', // Read and clear counts (human-readable)
+  'E', // Read and clear overflow flags
+  'R', // Toggle repeat mode
+]);
+
+/**
+ * Commands that clear the counters as they read them. The counts are gone
+ * once the device has the command, whether or not its reply arrives.
+ */
+export const COUNT_CLEARING_COMMANDS = Object.freeze([
+  'c', // Read and clear counts
+  'C', // Read and clear counts (human-readable)
+]);
+
+/**
+ * Get the response framing for a command.
+ * @param {string} command - Command string (first character is the command)
+ * @returns {{lines: number}|{idleMs: number}} Framing rule
+ */
+export function getResponseFraming(command) {
+  return RESPONSE_FRAMING[command.charAt(0)] || { lines: 1 };
+}
+
+/**
+ * Parse a machine-readable count line ('c' response or repeat output).
+ * @param {string} response - Response text: 8 counts followed by the overflow byte
+ * @returns {{counts: number[], overflow: number}} Parsed counts
+ * @throws {InvalidResponseError} If the line is not a count record
+ */
+export function parseCounts(response) {
+  const parts = response.split(/\s+/).filter((p) => p.length > 0);
+
+  if (parts.length >= 9 && parts.slice(0, 9).every((p) => /^\d+$/.test(p))) {
+    return {
+      counts: parts.slice(0, 8).map(Number),
+      overflow: parseInt(parts[8]),
+    };
+  }
+
+  throw new InvalidResponseError(response, '8 counts + overflow flag');
+}
+
+/**
+ * List the channels whose bit is set in an overflow byte.
+ * @param {number} overflow - 8-bit overflow flag (bit n = channel n)
+ * @returns {number[]} Channel numbers that overflowed
+ */
+export function decodeOverflow(overflow) {
+  const channels = [];
+  for (let channel = 0; channel < 8; channel++) {
+    if (overflow & (1 << channel)) {
+      channels.push(channel);
+    }
+  }
+  return channels;
+}
+
+/**
+ * Inputs of a coincidence channel, in the order used by the 'S' command
+ */
+export const CHANNEL_INPUTS = Object.freeze(['A', 'B', 'C', 'D']);
+
+/**
+ * Parse one channel input mask from a settings reply.
+ * @param {string} token - Four 0/1 digits in ABCD order, or an integer with bit 0 = A
+ * @returns {{A: number, B: number, C: number, D: number}|null} Mask, or null if invalid
+ * @private
+ */
+function parseChannelMask(token) {
+  let bits;
+  if (/^[01]{4}$/.test(token)) {
+    bits = token.split('').map(Number);
+  } else if (/^\d{1,2}$/.test(token) && Number(token) <= 15) {
+    bits = CHANNEL_INPUTS.map((_, i) => (Number(token) >> i) & 1);
+  } else {
+    return null;
+  }
+  return { A: bits[0], B: bits[1], C: bits[2], D: bits[3] };
+}
+
+/**
+ * Number of fields in each settings reply format
+ */
+const SETTINGS_FIELDS = Object.freeze({ basic: 10, extended: 13 });
+
+/**
+ * Parse the machine-readable settings reply ('p' response).
+ *
+ * The reply lists the eight channel input masks, the trigger level byte
+ * and the DAC byte. Newer firmware appends the impedance flag
+ * (1 = 50 Ohm), the repeat flag and the repeat interval in ms; fields the
+ * firmware does not report are null.
+ *
+ * The format comes from the firmware's capabilities (replyFormats.settings).
+ * 'basic' reads only the first ten fields, and 'extended' requires all
+ * thirteen, so a truncated reply is an error instead of missing settings.
+ * Without a format, the fields present are read.
+ *
+ * @param {string} response - Response text
+ * @param {string} [format] - 'basic' or 'extended'
+ * @returns {Object} Settings: { channels, triggerLevel, dacVoltage, impedance, repeatEnabled, repeatInterval }
+ * @throws {InvalidResponseError} If the reply is not a settings record
+ * @throws {ValidationError} If the format is unknown
+ */
+export function parseSettings(response, format) {
+  if (format !== undefined && !(format in SETTINGS_FIELDS)) {
+    throw new ValidationError('format', format, "'basic' or 'extended'");
+  }
+  const expected =
+    format === 'extended'
+      ? '8 channel masks, trigger, DAC, impedance, repeat and interval'
+      : '8 channel masks, trigger and DAC bytes';
+  let parts = response.split(/\s+/).filter((p) => p.length > 0);
+
+  const minimum = SETTINGS_FIELDS[format || 'basic'];
+  if (parts.length < minimum || !parts.every((p) => /^\d+$/.test(p))) {
+    throw new InvalidResponseError(response, expected);
+  }
+  if (format !== undefined) {
+    parts = parts.slice(0, SETTINGS_FIELDS[format]);
+  }
+
+  const channels = parts.slice(0, 8).map(parseChannelMask);
+  const [triggerLevel, dacVoltage, impedance, repeat, interval] = parts
+    .slice(8)
+    .map(Number);
+
+  if (channels.includes(null) || triggerLevel > 255 || dacVoltage > 255) {
+    throw new InvalidResponseError(response, expected);
+  }
+
+  return {
+    channels,
+    triggerLevel,
+    dacVoltage,
+    impedance: impedance === undefined ? null : impedance ? '50ohm' : 'highz',
+    repeatEnabled: repeat === undefined ? null : repeat === 1,
+    repeatInterval: interval === undefined ? null : interval,
+  };
+}
+
+/**
+ * Compare expected settings with settings read back from the device.
+ *
+ * Only settings present in `expected` are compared; `expected.channels`
+ * may be sparse (keyed by channel number). Settings the device did not
+ * report (null in `actual`) are skipped.
+ *
+ * @param {Object} expected - Settings that should be active
+ * @param {Object} actual - Settings from parseSettings()
+ * @returns {Array<{setting: string, expected: *, actual: *}>} Differences
+ */
+export function diffSettings(expected, actual) {
+  const mismatches = [];
+
+  for (const [channel, mask] of Object.entries(expected.channels || {})) {
+    const reported = actual.channels[channel];
+    if (CHANNEL_INPUTS.some((input) => mask[input] !== reported[input])) {
+      mismatches.push({
+        setting: `channel${channel}`,
+        expected: mask,
+        actual: reported,
+      });
+    }
+  }
+
+  for (const setting of [
+    'triggerLevel',
+    'dacVoltage',
+    'impedance',
+    'repeatEnabled',
+    'repeatInterval',
+  ]) {
+    const value = expected[setting];
+    if (value === undefined || value === null || actual[setting] === null) {
+      continue;
+    }
+    if (value !== actual[setting]) {
+      mismatches.push({ setting, expected: value, actual: actual[setting] });
+    }
+  }
+
+  return mismatches;
+}
+
+export default {
+  DEFAULT_IDLE_GAP_MS,
+  RESPONSE_FRAMING,
+  IDEMPOTENT_COMMANDS,
+  NON_IDEMPOTENT_COMMANDS,
+  COUNT_CLEARING_COMMANDS,
+  CHANNEL_INPUTS,
+  getResponseFraming,
+  parseCounts,
+  decodeOverflow,
+  parseSettings,
+  diffSettings,
+};
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Seeded random numbers for simulations and tests
+ * @module random
+ *
+ * SeededRandom is a small, fast PRNG (mulberry32) with the samplers a
+ * counting simulation needs: exponential waiting times, Poisson counts
+ * and Gaussian noise. The same seed always yields the same sequence, so
+ * simulated count streams, statistics and screenshots are reproducible.
+ *
+ * @example
+ * import { SeededRandom } from 'jscd48/random';
+ *
+ * const random = new SeededRandom(42);
+ * random.poisson(100); // Same value on every run
+ * random.exponential(1000); // Seconds until the next pulse at 1000 cps
+ * random.gaussian(0, 1);
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Mean above which poisson() switches from multiplication to rejection
+ * sampling
+ */
+const POISSON_REJECTION_THRESHOLD = 30;
+
+/**
+ * Lanczos coefficients (g = 7) for logGamma()
+ */
+const LANCZOS_COEFFICIENTS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+  771.32342877765313, -176.61502916214059, 12.507343278686905,
+  -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+/**
+ * Natural logarithm of the gamma function, for x > 0.
+ * @param {number} x - Argument
+ * @returns {number} ln(Gamma(x))
+ * @private
+ */
+function logGamma(x) {
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const z = x - 1;
+  let sum = LANCZOS_COEFFICIENTS[0];
+  for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) {
+    sum += LANCZOS_COEFFICIENTS[i] / (z + i);
+  }
+  const t = z + 7.5;
+  return (
+    0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum)
+  );
+}
+
+/**
+ * Reduce a seed to an unsigned 32-bit integer.
+ * Strings are hashed (FNV-1a) so readable seeds such as test names work.
+ * @param {number|string} seed - Seed
+ * @returns {number} 32-bit seed
+ * @throws {ValidationError} If the seed is not a finite number or a string
+ * @private
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'string') {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash = Math.imul(hash ^ seed.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+  }
+  if (typeof seed !== 'number' || !Number.isFinite(seed)) {
+    throw new ValidationError('seed', seed, 'finite number or string');
+  }
+  return Math.trunc(seed) >>> 0;
+}
+
+/**
+ * Pick a seed for callers that did not supply one.
+ * @returns {number} 32-bit seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Seedable pseudo-random number generator with Poisson, exponential and
+ * Gaussian samplers.
+ */
+export class SeededRandom {
+  /**
+   * Create a generator.
+   * @param {number|string} [seed] - Seed (default: randomSeed()); read
+   *   back from `seed` to reproduce a run
+   * @throws {ValidationError} If the seed is invalid
+   */
+  constructor(seed = randomSeed()) {
+    this.seed = normalizeSeed(seed);
+    this._state = this.seed;
+    this._spareGaussian = null;
+  }
+
+  /**
+   * Next uniform number in [0, 1).
+   * @returns {number}
+   */
+  next() {
+    this._state = (this._state + 0x6d2b79f5) >>> 0;
+    let t = this._state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Uniform number in [min, max).
+   * @param {number} [min=0] - Lower bound
+   * @param {number} [max=1] - Upper bound
+   * @returns {number}
+   */
+  uniform(min = 0, max = 1) {
+    return min + (max - min) * this.next();
+  }
+
+  /**
+   * Exponentially distributed number, such as the time to the next pulse
+   * of a source.
+   * @param {number} [rate=1] - Rate parameter (events per unit time)
+   * @returns {number} Waiting time in units of 1 / rate
+   */
+  exponential(rate = 1) {
+    return -Math.log(1 - this.next()) / rate;
+  }
+
+  /**
+   * Gaussian (normal) number, by the Box-Muller transform.
+   * @param {number} [mean=0] - Mean
+   * @param {number} [std=1] - Standard deviation
+   * @returns {number}
+   */
+  gaussian(mean = 0, std = 1) {
+    if (this._spareGaussian !== null) {
+      const spare = this._spareGaussian;
+      this._spareGaussian = null;
+      return mean + std * spare;
+    }
+    const u = 1 - this.next();
+    const v = this.next();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    this._spareGaussian = radius * Math.sin(2 * Math.PI * v);
+    return mean + std * radius * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * Poisson-distributed count.
+   * Small means multiply uniforms (Knuth); larger means use Hörmann's
+   * transformed rejection (PTRS), so the cost does not grow with the mean.
+   * @param {number} mean - Expected count
+   * @returns {number} Non-negative integer
+   * @throws {ValidationError} If the mean is negative or not finite
+   */
+  poisson(mean) {
+    if (!(mean >= 0) || !Number.isFinite(mean)) {
+      throw new ValidationError('mean', mean, 'non-negative number');
+    }
+
+    if (mean < POISSON_REJECTION_THRESHOLD) {
+      const limit = Math.exp(-mean);
+      let k = 0;
+      let p = this.next();
+      while (p > limit) {
+        k++;
+        p *= this.next();
+      }
+      return k;
+    }
+
+    const sqrtMean = Math.sqrt(mean);
+    const logMean = Math.log(mean);
+    const b = 0.931 + 2.53 * sqrtMean;
+    const a = -0.059 + 0.02483 * b;
+    const invAlpha = 1.1239 + 1.1328 / (b - 3.4);
+    const vr = 0.9277 - 3.6224 / (b - 2);
+
+    while (true) {
+      const u = this.next() - 0.5;
+      const v = this.next();
+      const us = 0.5 - Math.abs(u);
+      const k = Math.floor(((2 * a) / us + b) * u + mean + 0.43);
+      if (us >= 0.07 && v <= vr) {
+        return k;
+      }
+      if (k < 0 || (us < 0.013 && v > us)) {
+        continue;
+      }
+      if (
+        Math.log(v) + Math.log(invAlpha) - Math.log(a / (us * us) + b) <=
+        -mean + k * logMean - logGamma(k + 1)
+      ) {
+        return k;
+      }
+    }
+  }
+}
+
+export default {
+  SeededRandom,
+  randomSeed,
+};
@@ -0,0 +1,887 @@
+/**
+ * @fileoverview Protocol-level CD48 simulator
+ * @module simulator
+ *
+ * CD48Simulator models the device behind the serial port: it answers the
+ * real command set with the same reply text as the hardware, keeps the
+ * channel masks and settings the commands program, and counts pulses from
+ * Poisson sources on inputs A-D. Coincidence channels are computed from
+ * the programmed masks, pulse by pulse, so accidental coincidences appear
+ * at the rate the hardware would see them.
+ *
+ * SimulatorTransport plugs a simulator into CD48, so every command goes
+ * through the same sendCommand() framing and parsing as on hardware. Its
+ * faults make the link misbehave on demand: latency, dropped, duplicated
+ * or garbled output, partial replies, stuck counters and a device that
+ * disappears after a number of commands.
+ *
+ * @example
+ * import CD48 from 'jscd48';
+ * import { SimulatorTransport } from 'jscd48/simulator';
+ *
+ * const transport = new SimulatorTransport({
+ *   seed: 42,
+ *   rates: { A: 1000, B: 1000 },
+ *   correlations: [{ inputs: ['A', 'B'], rate: 50 }],
+ * });
+ * const cd48 = new CD48({ transport });
+ * await cd48.connect();
+ * await cd48.measureCoincidenceRate({ duration: 10 });
+ */
+
+import { MemoryTransport } from './transport.js';
+import { ValidationError } from './errors.js';
+import { CHANNEL_INPUTS } from './protocol.js';
+import { SeededRandom } from './random.js';
+import { realClock } from './clock.js';
+import {
+  FIRMWARE_CAPABILITIES,
+  parseVersion,
+  getCapabilities,
+} from './firmware.js';
+
+/**
+ * Firmware version reported by default
+ */
+export const DEFAULT_SIMULATOR_VERSION = 'CD48 v1.0.0';
+
+/**
+ * Channel masks at power-on: A, B, C, D, A+B, A+C, A+D, B+C+D
+ */
+export const DEFAULT_CHANNEL_MASKS = Object.freeze([
+  '1000',
+  '0100',
+  '0010',
+  '0001',
+  '1100',
+  '1010',
+  '1001',
+  '0111',
+]);
+
+/**
+ * Reply to commands that are unknown or malformed
+ */
+export const INVALID_COMMAND_REPLY = 'Invalid command';
+
+/**
+ * Faults of a healthy link.
+ * - latencyMs: delay before output reaches the host
+ * - dropRate, duplicateRate: chance of each output character being
+ *   dropped or sent twice
+ * - garbleRate: chance of each output line having a character replaced
+ * - partialRate: chance of a reply or repeat line being cut short; the
+ *   rest never arrives
+ * - stuckChannels: channels whose counters stop counting and keep
+ *   reporting the value they had
+ * - disconnectAfter: number of commands answered before the device is
+ *   unplugged, or null
+ * - reappearAfterMs: time until a device unplugged by disconnectAfter
+ *   is plugged back in, or null to leave it unplugged
+ */
+export const NO_FAULTS = Object.freeze({
+  latencyMs: 0,
+  dropRate: 0,
+  duplicateRate: 0,
+  garbleRate: 0,
+  partialRate: 0,
+  stuckChannels: Object.freeze([]),
+  disconnectAfter: null,
+  reappearAfterMs: null,
+});
+
+/**
+ * Characters substituted into garbled lines
+ */
+const GARBLE_CHARACTERS = '0123456789 ?#~';
+
+/**
+ * Full scale of the trigger level and DAC bytes in volts
+ */
+const VOLTAGE_FULL_SCALE = 4.08;
+
+/**
+ * Settings at power-on, as the device stores them
+ * @returns {Object}
+ * @private
+ */
+function powerOnSettings() {
+  return {
+    channels: DEFAULT_CHANNEL_MASKS.map((mask) => mask.split('').map(Number)),
+    triggerLevel: 128,
+    dacVoltage: 0,
+    impedance: 0,
+    repeatEnabled: false,
+    repeatInterval: 1000,
+  };
+}
+
+/**
+ * Check and copy per-input source rates.
+ * @param {Object} rates - Counts per second keyed by input
+ * @returns {{A: number, B: number, C: number, D: number}}
+ * @throws {ValidationError} If an input or rate is invalid
+ * @private
+ */
+function normalizeRates(rates) {
+  const normalized = { A: 0, B: 0, C: 0, D: 0 };
+  for (const [input, rate] of Object.entries(rates)) {
+    if (!CHANNEL_INPUTS.includes(input)) {
+      throw new ValidationError('rates', input, "inputs 'A' to 'D'");
+    }
+    if (!(rate >= 0) || !Number.isFinite(rate)) {
+      throw new ValidationError(`rates.${input}`, rate, 'non-negative number');
+    }
+    normalized[input] = rate;
+  }
+  return normalized;
+}
+
+/**
+ * Check and copy correlated sources.
+ * @param {Array<{inputs: string[], rate: number}>} correlations - Sources
+ *   that fire on several inputs at once
+ * @returns {Array<{inputs: string[], rate: number}>}
+ * @throws {ValidationError} If a source is invalid
+ * @private
+ */
+function normalizeCorrelations(correlations) {
+  if (!Array.isArray(correlations)) {
+    throw new ValidationError('correlations', correlations, 'array');
+  }
+  return correlations.map(({ inputs, rate }, i) => {
+    if (
+      !Array.isArray(inputs) ||
+      inputs.length < 2 ||
+      new Set(inputs).size !== inputs.length ||
+      !inputs.every((input) => CHANNEL_INPUTS.includes(input))
+    ) {
+      throw new ValidationError(
+        `correlations[${i}].inputs`,
+        inputs,
+        "two to four distinct inputs 'A' to 'D'"
+      );
+    }
+    if (!(rate >= 0) || !Number.isFinite(rate)) {
+      throw new ValidationError(
+        `correlations[${i}].rate`,
+        rate,
+        'non-negative number'
+      );
+    }
+    return { inputs: [...inputs], rate };
+  });
+}
+
+/**
+ * Check fault settings and merge them over the current ones.
+ * @param {Object} faults - Faults to change, see NO_FAULTS
+ * @param {Object} current - Faults in effect
+ * @returns {Object} Complete faults
+ * @throws {ValidationError} If a fault setting is invalid
+ * @private
+ */
+function normalizeFaults(faults, current) {
+  if (typeof faults !== 'object' || faults === null) {
+    throw new ValidationError('faults', faults, 'must be an object');
+  }
+
+  const merged = { ...current };
+  for (const [name, value] of Object.entries(faults)) {
+    if (!(name in NO_FAULTS)) {
+      throw new ValidationError('faults', name, 'known fault name');
+    }
+    if (name.endsWith('Rate')) {
+      if (!(value >= 0 && value <= 1)) {
+        throw new ValidationError(`faults.${name}`, value, '0-1');
+      }
+    } else if (name === 'stuckChannels') {
+      if (
+        !Array.isArray(value) ||
+        !value.every((ch) => Number.isInteger(ch) && ch >= 0 && ch <= 7)
+      ) {
+        throw new ValidationError(`faults.${name}`, value, 'channels 0-7');
+      }
+    } else if (name === 'disconnectAfter') {
+      if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+        throw new ValidationError(
+          `faults.${name}`,
+          value,
+          'non-negative integer or null'
+        );
+      }
+    } else if (
+      (value !== null || name === 'latencyMs') &&
+      !(value >= 0 && Number.isFinite(value))
+    ) {
+      throw new ValidationError(`faults.${name}`, value, 'non-negative number');
+    }
+    merged[name] = value;
+  }
+  return merged;
+}
+
+/**
+ * Simulated CD48 that answers commands the way the hardware does.
+ *
+ * Pulses are generated lazily: whenever a command needs the counters,
+ * every pulse since the previous update is simulated in time order. A
+ * channel counts when the AND of its inputs rises, that is when a pulse
+ * arrives while every other input of its mask saw a pulse within the
+ * coincidence window. A counter that passes the firmware's counter width
+ * wraps and sets its overflow bit, which stays set until 'E' reads it.
+ */
+export class CD48Simulator {
+  /**
+   * Create a simulated device at its power-on settings.
+   * @param {Object} [options] - Simulator options
+   * @param {Object} [options.rates] - Independent Poisson rates in counts
+   *   per second keyed by input (default: 100 on each of A-D)
+   * @param {Array<{inputs: string[], rate: number}>} [options.correlations] -
+   *   Sources that fire on several inputs at the same instant
+   * @param {number} [options.coincidenceWindow=25e-9] - Coincidence window in seconds
+   * @param {string} [options.version] - Reply to 'v' (default: DEFAULT_SIMULATOR_VERSION)
+   * @param {Array<Object>} [options.capabilityTable] - Firmware capability
+   *   table deciding the command set, reply formats and counter width
+   * @param {number|string} [options.seed] - Seed for the pulse times and
+   *   faults; the same seed reproduces the same count stream
+   * @param {SeededRandom} [options.random] - Generator to use instead of
+   *   seeding a new one
+   * @param {Object} [options.clock] - Clock for the simulated time and
+   *   repeat output; share a VirtualClock with CD48 to simulate without
+   *   waiting (default: realClock)
+   * @param {Function} [options.now] - Current time in ms (default: clock.now)
+   */
+  constructor(options = {}) {
+    this.version = options.version || DEFAULT_SIMULATOR_VERSION;
+    this.capabilities = getCapabilities(
+      parseVersion(this.version),
+      options.capabilityTable || FIRMWARE_CAPABILITIES
+    );
+    this.coincidenceWindow = options.coincidenceWindow || 25e-9;
+    this.random = options.random || new SeededRandom(options.seed);
+    this.clock = options.clock || realClock;
+    this.now = options.now || (() => this.clock.now());
+    this.output = null;
+    this._stuck = new Map();
+    this._repeatTimer = null;
+    this._repeatPaused = false;
+    this.setSources({
+      rates: options.rates || { A: 100, B: 100, C: 100, D: 100 },
+      correlations: options.correlations || [],
+    });
+    this.reset();
+  }
+
+  /**
+   * Return to power-on settings with cleared counters, as after a power
+   * cycle. Repeat output stops.
+   */
+  reset() {
+    this._stopRepeat();
+    this.settings = powerOnSettings();
+    this.counts = new Array(8).fill(0);
+    this.overflow = 0;
+    this._time = this.now() / 1000;
+    this._lastPulse = CHANNEL_INPUTS.map(() => -Infinity);
+    this._scheduleSources();
+  }
+
+  /**
+   * Change the sources. Pulses up to now are counted with the old rates.
+   * @param {Object} sources - New sources
+   * @param {Object} [sources.rates] - Rates keyed by input; omitted inputs are 0
+   * @param {Array<{inputs: string[], rate: number}>} [sources.correlations] -
+   *   Correlated sources (default: unchanged)
+   * @throws {ValidationError} If a rate or source is invalid
+   */
+  setSources({ rates, correlations } = {}) {
+    const normalizedRates = rates ? normalizeRates(rates) : this.rates;
+    const normalizedCorrelations = correlations
+      ? normalizeCorrelations(correlations)
+      : this.correlations;
+
+    if (this.settings) {
+      this._advance();
+    }
+    this.rates = normalizedRates;
+    this.correlations = normalizedCorrelations;
+    if (this.settings) {
+      this._scheduleSources();
+    }
+  }
+
+  /**
+   * Answer a command line.
+   * @param {string} command - Command without line terminator
+   * @returns {string} Reply text including line terminators
+   */
+  execute(command) {
+    const op = command.charAt(0);
+    if (!this.capabilities.commands.includes(op)) {
+      return `${INVALID_COMMAND_REPLY}\r\n`;
+    }
+
+    const reply = this._handle(op, command.slice(1));
+    return `${(reply === null ? [INVALID_COMMAND_REPLY] : reply).join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Current settings and counters, without clearing them.
+   * @returns {{settings: Object, counts: number[], overflow: number}}
+   */
+  getState() {
+    this._advance();
+    return {
+      settings: {
+        ...this.settings,
+        channels: this.settings.channels.map((mask) => [...mask]),
+      },
+      counts: [...this.counts],
+      overflow: this.overflow,
+    };
+  }
+
+  /**
+   * Freeze counters: a stuck channel stops counting and keeps reporting
+   * its current value, even after reads. Other channels recover.
+   * @param {number[]} channels - Channels to freeze
+   */
+  setStuckChannels(channels) {
+    this._advance();
+    const stuck = new Map();
+    for (const channel of channels) {
+      stuck.set(
+        channel,
+        this._stuck.has(channel)
+          ? this._stuck.get(channel)
+          : this.counts[channel]
+      );
+    }
+    this._stuck = stuck;
+  }
+
+  /**
+   * Stop pushing repeat output until resumeOutput(), e.g. while the port
+   * is closed. Counting continues.
+   */
+  pauseOutput() {
+    this._repeatPaused = true;
+    this._stopRepeat();
+  }
+
+  /**
+   * Resume repeat output after pauseOutput().
+   */
+  resumeOutput() {
+    this._repeatPaused = false;
+    this._startRepeat();
+  }
+
+  /**
+   * Carry out a command with a supported command character.
+   * @param {string} op - Command character
+   * @param {string} args - Rest of the command line
+   * @returns {string[]|null} Reply lines, or null if the arguments are invalid
+   * @private
+   */
+  _handle(op, args) {
+    const settings = this.settings;
+    const noArgs = args === '';
+
+    switch (op) {
+      case 'v':
+        return noArgs ? [this.version] : null;
+      case 'H':
+        return noArgs ? this._help() : null;
+      case 'c':
+        return noArgs ? [this._readAndClear()] : null;
+      case 'C':
+        return noArgs ? this._humanCounts() : null;
+      case 'p':
+        return noArgs ? [this._settingsLine()] : null;
+      case 'P':
+        return noArgs ? this._humanSettings() : null;
+      case 'E': {
+        if (!noArgs) {
+          return null;
+        }
+        this._advance();
+        const overflow = this.overflow;
+        this.overflow = 0;
+        return [String(overflow)];
+      }
+      case 'S': {
+        const match = args.match(/^([0-7])([01])([01])([01])([01])$/);
+        if (!match) {
+          return null;
+        }
+        this._advance();
+        settings.channels[Number(match[1])] = match.slice(2).map(Number);
+        return ['OK'];
+      }
+      case 'L':
+      case 'V': {
+        const value = /^\d{1,3}$/.test(args) ? Number(args) : NaN;
+        if (!(value <= 255)) {
+          return null;
+        }
+        settings[op === 'L' ? 'triggerLevel' : 'dacVoltage'] = value;
+        return ['OK'];
+      }
+      case 'z':
+      case 'Z':
+        if (!noArgs) {
+          return null;
+        }
+        settings.impedance = op === 'z' ? 1 : 0;
+        return ['OK'];
+      case 'r': {
+        const interval = /^\d{1,5}$/.test(args) ? Number(args) : NaN;
+        if (!(interval >= 100 && interval <= 65535)) {
+          return null;
+        }
+        settings.repeatInterval = interval;
+        if (settings.repeatEnabled) {
+          this._stopRepeat();
+          this._startRepeat();
+        }
+        return ['OK'];
+      }
+      case 'R':
+        if (!noArgs) {
+          return null;
+        }
+        settings.repeatEnabled = !settings.repeatEnabled;
+        if (settings.repeatEnabled) {
+          this._startRepeat();
+        } else {
+          this._stopRepeat();
+        }
+        return ['OK'];
+      case 'T':
+        return noArgs ? ['OK'] : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Count line for 'c' and repeat output; clears the counters but not the
+   * overflow flags, which only 'E' clears.
+   * @returns {string}
+   * @private
+   */
+  _readAndClear() {
+    this._advance();
+    for (const [channel, value] of this._stuck) {
+      this.counts[channel] = value;
+    }
+    const line = [...this.counts, this.overflow].join(' ');
+    this.counts.fill(0);
+    return line;
+  }
+
+  /**
+   * Human-readable counts for 'C'; clears the counters like 'c'.
+   * @returns {string[]}
+   * @private
+   */
+  _humanCounts() {
+    const values = this._readAndClear().split(' ').map(Number);
+    return [
+      ...this.settings.channels.map(
+        (mask, channel) =>
+          `Counter ${channel} (${this._maskLabel(mask)}): ${values[channel]}`
+      ),
+      `Overflow: ${values[8]}`,
+    ];
+  }
+
+  /**
+   * Machine-readable settings for 'p' in the firmware's reply format.
+   * @returns {string}
+   * @private
+   */
+  _settingsLine() {
+    const settings = this.settings;
+    const fields = [
+      ...settings.channels.map((mask) => mask.join('')),
+      settings.triggerLevel,
+      settings.dacVoltage,
+    ];
+    if (this.capabilities.replyFormats.settings === 'extended') {
+      fields.push(
+        settings.impedance,
+        settings.repeatEnabled ? 1 : 0,
+        settings.repeatInterval
+      );
+    }
+    return fields.join(' ');
+  }
+
+  /**
+   * Human-readable settings for 'P'.
+   * @returns {string[]}
+   * @private
+   */
+  _humanSettings() {
+    const settings = this.settings;
+    const volts = (byte) =>
+      ((byte / 255) * VOLTAGE_FULL_SCALE).toFixed(2) + ' V';
+    return [
+      ...settings.channels.map(
+        (mask, channel) => `Counter ${channel}: ${this._maskLabel(mask)}`
+      ),
+      `Trigger level: ${settings.triggerLevel} (${volts(settings.triggerLevel)})`,
+      `DAC voltage: ${settings.dacVoltage} (${volts(settings.dacVoltage)})`,
+      `Impedance: ${settings.impedance ? '50 Ohm' : 'High-Z'}`,
+      `Repeat: ${settings.repeatEnabled ? 'on' : 'off'}, ${settings.repeatInterval} ms`,
+    ];
+  }
+
+  /**
+   * Help text for 'H', listing the commands the firmware accepts.
+   * @returns {string[]}
+   * @private
+   */
+  _help() {
+    const descriptions = {
+      v: 'v        Firmware version',
+      H: 'H        This help',
+      c: 'c        Read and clear counts',
+      C: 'C        Read and clear counts (text)',
+      p: 'p        Settings',
+      P: 'P        Settings (text)',
+      S: 'Snabcd   Set counter n inputs A-D',
+      L: 'Lnnn     Trigger level (0-255)',
+      z: 'z        50 Ohm inputs',
+      Z: 'Z        High-Z inputs',
+      r: 'rnnnnn   Repeat interval in ms',
+      R: 'R        Toggle repeat',
+      V: 'Vnnn     DAC voltage (0-255)',
+      E: 'E        Read and clear overflow flags',
+      T: 'T        Test LEDs',
+    };
+    return [
+      this.version,
+      ...this.capabilities.commands.map((op) => descriptions[op] || op),
+    ];
+  }
+
+  /**
+   * Label of a mask such as 'A+B', or '-' for no inputs.
+   * @param {number[]} mask - Bits in ABCD order
+   * @returns {string}
+   * @private
+   */
+  _maskLabel(mask) {
+    const inputs = CHANNEL_INPUTS.filter((_, i) => mask[i]);
+    return inputs.length > 0 ? inputs.join('+') : '-';
+  }
+
+  /**
+   * Draw the first pulse time of every source from the current time.
+   * @private
+   */
+  _scheduleSources() {
+    const sources = [
+      ...CHANNEL_INPUTS.map((input) => ({
+        inputs: [input],
+        rate: this.rates[input],
+      })),
+      ...this.correlations,
+    ];
+    this._sources = sources
+      .filter((source) => source.rate > 0)
+      .map((source) => ({
+        inputs: source.inputs.map((input) => CHANNEL_INPUTS.indexOf(input)),
+        rate: source.rate,
+        next: this._time + this.random.exponential(source.rate),
+      }));
+  }
+
+  /**
+   * Count every pulse up to now.
+   * @private
+   */
+  _advance() {
+    const end = this.now() / 1000;
+    const sources = this._sources;
+
+    while (sources.length > 0) {
+      let source = sources[0];
+      for (const candidate of sources) {
+        if (candidate.next < source.next) {
+          source = candidate;
+        }
+      }
+      if (source.next > end) {
+        break;
+      }
+      for (const input of source.inputs) {
+        this._pulse(input, source.next);
+      }
+      source.next += this.random.exponential(source.rate);
+    }
+
+    this._time = Math.max(this._time, end);
+  }
+
+  /**
+   * Count a pulse on one input at time t.
+   * Pulses of a correlated source arrive at the same instant; they are
+   * handled one input at a time, so the coincidence is counted once.
+   * @param {number} input - Input index (0 = A)
+   * @param {number} t - Time in seconds
+   * @private
+   */
+  _pulse(input, t) {
+    const window = this.coincidenceWindow;
+    const high = (j) => t - this._lastPulse[j] < window;
+    const limit = 2 ** this.capabilities.countWidth;
+
+    this.settings.channels.forEach((mask, channel) => {
+      if (!mask[input] || this._stuck.has(channel)) {
+        return;
+      }
+      const inputs = [];
+      mask.forEach((bit, j) => bit && inputs.push(j));
+      const wasHigh = inputs.every(high);
+      const isHigh = inputs.every((j) => j === input || high(j));
+      if (isHigh && !wasHigh) {
+        this.counts[channel]++;
+        if (this.counts[channel] >= limit) {
+          this.counts[channel] = 0;
+          this.overflow |= 1 << channel;
+        }
+      }
+    });
+
+    this._lastPulse[input] = t;
+  }
+
+  /**
+   * Start pushing a count line every repeat interval.
+   * @private
+   */
+  _startRepeat() {
+    if (
+      this._repeatTimer ||
+      this._repeatPaused ||
+      !this.settings.repeatEnabled
+    ) {
+      return;
+    }
+    this._repeatTimer = this.clock.setInterval(() => {
+      const line = this._readAndClear();
+      if (this.output) {
+        this.output(`${line}\r\n`);
+      }
+    }, this.settings.repeatInterval);
+  }
+
+  /**
+   * Stop repeat output.
+   * @private
+   */
+  _stopRepeat() {
+    if (this._repeatTimer) {
+      this.clock.clearInterval(this._repeatTimer);
+      this._repeatTimer = null;
+    }
+  }
+}
+
+/**
+ * Transport connecting CD48 to a CD48Simulator.
+ *
+ * Commands are answered by the simulator and repeat output is pushed as
+ * it is produced. Repeat output pauses while the transport is closed.
+ * unplug() powers the simulator off, so it comes back at its power-on
+ * settings like a device after a USB reconnect.
+ *
+ * Faults set with setFaults() apply from the next command or output on.
+ * Fault settings are plain JSON, so a Playwright test can hand them to
+ * the example pages' device hook (examples/device-hook.js).
+ */
+export class SimulatorTransport extends MemoryTransport {
+  /**
+   * Create a simulator transport.
+   * @param {Object} [options] - Transport options, plus CD48Simulator
+   *   options when no simulator is given
+   * @param {CD48Simulator} [options.simulator] - Simulated device to use
+   * @param {Object} [options.faults] - Faults to start with, see NO_FAULTS
+   */
+  constructor(options = {}) {
+    super();
+    this.simulator = options.simulator || new CD48Simulator(options);
+    // Faults draw from their own stream, seeded apart from the pulse
+    // times, so they neither shift the counts nor follow them
+    this.random = new SeededRandom(`${this.simulator.random.seed}:faults`);
+    this.simulator.output = (text) => {
+      if (this.isOpen()) {
+        this.push(text);
+      }
+    };
+    this.simulator.pauseOutput();
+    this.respond = (command) => this._answer(command);
+    this.faults = NO_FAULTS;
+    this._commandCount = 0;
+    this._timers = [];
+    this.setFaults(options.faults || {});
+  }
+
+  /**
+   * Change faults; settings not given keep their value. Setting
+   * disconnectAfter restarts its command count.
+   * @param {Object} faults - Faults, see NO_FAULTS
+   * @throws {ValidationError} If a fault setting is invalid
+   */
+  setFaults(faults) {
+    this.faults = normalizeFaults(faults, this.faults);
+    if ('disconnectAfter' in faults) {
+      this._commandCount = 0;
+    }
+    this.simulator.setStuckChannels(this.faults.stuckChannels);
+  }
+
+  /**
+   * Return to a healthy link and unfreeze stuck counters.
+   */
+  clearFaults() {
+    this.setFaults(NO_FAULTS);
+  }
+
+  /**
+   * Open the transport and resume repeat output.
+   */
+  async open() {
+    await super.open();
+    this.simulator.resumeOutput();
+  }
+
+  /**
+   * Close the transport, pause repeat output and drop output in flight.
+   */
+  async close() {
+    this.simulator.pauseOutput();
+    this._cancel();
+    await super.close();
+  }
+
+  /**
+   * Unplug the simulated device, which loses power and its settings.
+   */
+  unplug() {
+    this.simulator.reset();
+    this.simulator.pauseOutput();
+    this._cancel();
+    super.unplug();
+  }
+
+  /**
+   * Send output to the host through the faulty link.
+   * @param {string} data - Output text
+   */
+  push(data) {
+    const text = this._distort(data);
+    if (text === '') {
+      return;
+    }
+    if (this.faults.latencyMs > 0) {
+      const timer = this.simulator.clock.setTimeout(() => {
+        this._timers = this._timers.filter((t) => t !== timer);
+        super.push(text);
+      }, this.faults.latencyMs);
+      this._timers.push(timer);
+    } else {
+      super.push(text);
+    }
+  }
+
+  /**
+   * Answer a command, or unplug once disconnectAfter commands have been
+   * answered.
+   * @param {string} command - Command line without terminator
+   * @returns {string|null} Reply text
+   * @private
+   */
+  _answer(command) {
+    const { disconnectAfter, reappearAfterMs } = this.faults;
+    if (disconnectAfter !== null && this._commandCount >= disconnectAfter) {
+      // The fault fires once; the device is healthy when it returns
+      this.faults = { ...this.faults, disconnectAfter: null };
+      this.unplug();
+      if (reappearAfterMs !== null) {
+        this.simulator.clock.setTimeout(() => this.replug(), reappearAfterMs);
+      }
+      return null;
+    }
+
+    this._commandCount++;
+    return this.simulator.execute(command);
+  }
+
+  /**
+   * Apply partial, garble, drop and duplicate faults to output text.
+   * @param {string} data - Output text
+   * @returns {string} Text as received by the host
+   * @private
+   */
+  _distort(data) {
+    const { dropRate, duplicateRate, garbleRate, partialRate } = this.faults;
+    const random = () => this.random.next();
+    let text = data;
+
+    if (partialRate > 0 && random() < partialRate) {
+      text = text.slice(0, Math.floor(random() * text.length));
+    }
+    if (garbleRate > 0) {
+      text = text
+        .split('\r\n')
+        .map((line) => {
+          if (line === '' || random() >= garbleRate) {
+            return line;
+          }
+          const at = Math.floor(random() * line.length);
+          const replacement =
+            GARBLE_CHARACTERS[Math.floor(random() * GARBLE_CHARACTERS.length)];
+          return line.slice(0, at) + replacement + line.slice(at + 1);
+        })
+        .join('\r\n');
+    }
+    if (dropRate > 0 || duplicateRate > 0) {
+      let out = '';
+      for (const char of text) {
+        if (dropRate > 0 && random() < dropRate) {
+          continue;
+        }
+        out += char;
+        if (duplicateRate > 0 && random() < duplicateRate) {
+          out += char;
+        }
+      }
+      text = out;
+    }
+    return text;
+  }
+
+  /**
+   * Drop output still delayed by latency.
+   * @private
+   */
+  _cancel() {
+    this._timers.forEach((timer) => this.simulator.clock.clearTimeout(timer));
+    this._timers = [];
+  }
+}
+
+export default {
+  DEFAULT_SIMULATOR_VERSION,
+  DEFAULT_CHANNEL_MASKS,
+  INVALID_COMMAND_REPLY,
+  NO_FAULTS,
+  CD48Simulator,
+  SimulatorTransport,
+};
@@ -87,6 +87,12 @@ test.describe('Accessibility Features', () => {
   });
 
   test('should navigate with keyboard (Tab)', async ({ page }) => {
+    // Without Web Serial the page disables Connect, so it takes no focus
+    test.skip(
+      await page.evaluate(() => !('serial' in navigator)),
+      'Connect is disabled without Web Serial'
+    );
+
     // Start at the beginning
     await page.keyboard.press('Tab');
 
@@ -112,6 +118,12 @@ test.describe('Accessibility Features', () => {
   });
 
   test('should have focus indicators visible', async ({ page }) => {
+    // Without Web Serial the page disables Connect, so it takes no focus
+    test.skip(
+      await page.evaluate(() => !('serial' in navigator)),
+      'Connect is disabled without Web Serial'
+    );
+
     const connectBtn = page.locator('#connectBtn');
     await connectBtn.focus();
 
@@ -303,3 +303,86 @@ test.describe('Error Scenarios - Recovery', () => {
     expect(text.trim().length).toBeLessThan(50); // Should only have "Console cleared" message
   });
 });
+
+test.describe('Error Scenarios - Simulated Device Faults', () => {
+  /**
+   * Open the web interface on a simulated device through its device hook
+   * and press Connect
+   */
+  async function connectSimulated(page, hook) {
+    await page.addInitScript((hook) => {
+      window.cd48Device = hook;
+    }, hook);
+    await page.goto('/');
+    await page.locator('#connectBtn').click();
+  }
+
+  test('connects to the simulator selected in the URL', async ({ page }) => {
+    await page.goto('/?device=simulator&seed=7');
+    await page.locator('#connectBtn').click();
+
+    await expect(page.locator('#statusText')).toHaveText('Connected');
+    await expect(page.locator('#firmware')).toHaveText('CD48 v1.0.0');
+  });
+
+  test('commands time out when replies are dropped', async ({ page }) => {
+    await connectSimulated(page, {
+      simulator: { seed: 1 },
+      faults: { dropRate: 1 },
+      options: { commandTimeout: 300 },
+    });
+
+    await expect(page.locator('#log')).toContainText(
+      "Command 'v' timed out after 300ms"
+    );
+    await expect(page.locator('#firmware')).toHaveText('-');
+  });
+
+  test('reports errors for faults set while connected', async ({ page }) => {
+    await connectSimulated(page, {
+      simulator: { seed: 1 },
+      options: { commandTimeout: 300 },
+    });
+    await expect(page.locator('#statusText')).toHaveText('Connected');
+
+    await page.evaluate(() =>
+      window.cd48Device.transport.setFaults({ dropRate: 1 })
+    );
+    await page.locator('#settingsBtn').click();
+
+    await expect(page.locator('#log')).toContainText(
+      'Error getting settings: Command'
+    );
+  });
+
+  test('reconnects when the device reappears', async ({ page }) => {
+    await connectSimulated(page, {
+      simulator: { seed: 1 },
+      options: { autoReconnect: true, reconnectDelay: 100 },
+    });
+    await expect(page.locator('#statusText')).toHaveText('Connected');
+
+    await page.evaluate(() =>
+      window.cd48Device.transport.setFaults({
+        disconnectAfter: 0,
+        reappearAfterMs: 500,
+      })
+    );
+    await page.locator('#settingsBtn').click();
+
+    await expect(page.locator('#log')).toContainText('Device lost');
+    await expect(page.locator('#log')).toContainText('Reconnected');
+  });
+
+  test('example pages take faults from the URL', async ({ page }) => {
+    await page.goto(
+      '/examples/graphing.html?device=simulator&faults={"latencyMs":50}'
+    );
+
+    const hook = await page.evaluate(() => ({
+      connected: window.cd48Device.cd48.isConnected(),
+      latencyMs: window.cd48Device.transport.faults.latencyMs,
+    }));
+    expect(hook).toEqual({ connected: false, latencyMs: 50 });
+  });
+});
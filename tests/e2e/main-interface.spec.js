@@ -1,4 +1,8 @@
+import { readFile } from 'node:fs/promises';
 import { test, expect } from '@playwright/test';
+import { CD48 } from '../../cd48.js';
+import { SimulatorTransport } from '../../simulator.js';
+import { VirtualClock } from '../../clock.js';
 
 test.describe('CD48 Main Interface', () => {
   test.beforeEach(async ({ page }) => {
@@ -30,7 +34,14 @@ test.describe('CD48 Main Interface', () => {
     const connectBtn = page.locator('#connectBtn');
     await expect(connectBtn).toBeVisible();
     await expect(connectBtn).toHaveText('Connect');
-    await expect(connectBtn).toBeEnabled();
+
+    // Without Web Serial, Connect waits for a transcript to replay
+    if (await page.evaluate(() => 'serial' in navigator)) {
+      await expect(connectBtn).toBeEnabled();
+    } else {
+      await expect(connectBtn).toBeDisabled();
+      await expect(page.locator('#browserWarning')).toBeVisible();
+    }
   });
 
   test('should have navigation tabs', async ({ page }) => {
@@ -225,3 +236,74 @@ test.describe('CD48 Main Interface', () => {
     await expect(peakRate).toBeVisible();
   });
 });
+
+test.describe('CD48 Main Interface - Transcripts', () => {
+  /**
+   * Record a session like the page's connect, on a simulated device
+   */
+  async function recordSession() {
+    const clock = new VirtualClock({ autoAdvance: true });
+    const cd48 = new CD48({
+      clock,
+      record: true,
+      transport: new SimulatorTransport({ seed: 'e2e', clock }),
+    });
+    await cd48.connect();
+    await cd48.getVersion();
+    await cd48.getCounts();
+    return cd48.stopRecording();
+  }
+
+  test('replays a loaded transcript', async ({ page }) => {
+    const transcript = await recordSession();
+    await page.goto('/');
+
+    await page.locator('#transcriptFile').setInputFiles({
+      name: 'session.json',
+      mimeType: 'application/json',
+      buffer: Buffer.from(JSON.stringify(transcript)),
+    });
+    await expect(page.locator('#log')).toContainText('Transcript loaded');
+    await page.locator('#connectBtn').click();
+
+    await expect(page.locator('#statusText')).toHaveText('Connected');
+    await expect(page.locator('#firmware')).toHaveText(
+      transcript.metadata.firmware
+    );
+  });
+
+  test('rejects a file that is not a transcript', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#transcriptFile').setInputFiles({
+      name: 'counts.json',
+      mimeType: 'application/json',
+      buffer: Buffer.from('{"counts": [1, 2, 3]}'),
+    });
+    await expect(page.locator('#log')).toContainText('Transcript not loaded');
+  });
+
+  test('records the replayed session for download', async ({ page }) => {
+    const transcript = await recordSession();
+    await page.addInitScript((transcript) => {
+      window.cd48Device = { transcript };
+    }, transcript);
+    await page.goto('/?record');
+
+    await expect(page.locator('#recordTranscript')).toBeChecked();
+    await page.locator('#connectBtn').click();
+    await expect(page.locator('#statusText')).toHaveText('Connected');
+
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      page.locator('#downloadTranscriptBtn').click(),
+    ]);
+    expect(download.suggestedFilename()).toBe('cd48-transcript.json');
+    const saved = JSON.parse(await readFile(await download.path(), 'utf8'));
+    expect(saved.format).toBe('cd48-transcript');
+    expect(saved.metadata.firmware).toBe(transcript.metadata.firmware);
+    expect(saved.entries).toContainEqual(
+      expect.objectContaining({ type: 'write', data: 'v\r' })
+    );
+  });
+});
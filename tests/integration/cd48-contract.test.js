@@ -0,0 +1,300 @@
+/**
+ * Contract tests: every stand-in for the CD48 class must behave like
+ * CD48 itself. The same assertions run against CD48 over the simulator
+ * and against each mock. The public surface of CD48 is compared with
+ * cd48.d.ts. MockCD48 inherits that surface from CD48, so the check on
+ * it is that it only adds test helpers and overrides nothing but the
+ * static isSupported().
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { readFileSync, readdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CD48 } from '../../cd48.js';
+import { SimulatorTransport } from '../../simulator.js';
+import { VirtualClock } from '../../clock.js';
+import { NotConnectedError, ValidationError } from '../../errors.js';
+import { MockCD48 } from '../mock-cd48.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+const RATES = { A: 1000, B: 1000, C: 0, D: 0 };
+const CORRELATIONS = [{ inputs: ['A', 'B'], rate: 50 }];
+
+/**
+ * Expected singles rate on A, including the correlated pulses
+ */
+const RATE_A = RATES.A + CORRELATIONS[0].rate;
+
+/**
+ * Implementations under contract, each created with the sources above
+ */
+const SUBJECTS = [
+  {
+    name: 'CD48 over SimulatorTransport',
+    create: (seed) => {
+      const clock = new VirtualClock({ autoAdvance: true });
+      const transport = new SimulatorTransport({
+        clock,
+        seed,
+        rates: RATES,
+        correlations: CORRELATIONS,
+      });
+      return new CD48({ clock, transport, commandDelay: 10 });
+    },
+  },
+  {
+    name: 'MockCD48',
+    create: (seed) => {
+      const mock = new MockCD48({ seed });
+      mock.simulator.setSources({ rates: RATES, correlations: CORRELATIONS });
+      return mock;
+    },
+  },
+];
+
+/**
+ * Public methods and accessors of a class, including inherited ones up to
+ * EventTarget, with the declared parameter count of each method.
+ * @param {Function} type - Class
+ * @returns {{methods: Map<string, number>, accessors: Set<string>}}
+ */
+function publicSurface(type) {
+  const methods = new Map();
+  const accessors = new Set();
+  for (
+    let proto = type.prototype;
+    proto && proto !== EventTarget.prototype && proto !== Object.prototype;
+    proto = Object.getPrototypeOf(proto)
+  ) {
+    for (const name of Object.getOwnPropertyNames(proto)) {
+      if (
+        name === 'constructor' ||
+        name.startsWith('_') ||
+        methods.has(name) ||
+        accessors.has(name)
+      ) {
+        continue;
+      }
+      const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+      if (typeof descriptor.value === 'function') {
+        methods.set(name, descriptor.value.length);
+      } else {
+        accessors.add(name);
+      }
+    }
+  }
+  return { methods, accessors };
+}
+
+/**
+ * Static methods of a class.
+ * @param {Function} type - Class
+ * @returns {string[]}
+ */
+function staticMethods(type) {
+  return Object.getOwnPropertyNames(type).filter(
+    (name) => !name.startsWith('_') && typeof type[name] === 'function'
+  );
+}
+
+/**
+ * Members declared on the CD48 class in cd48.d.ts.
+ * @returns {{methods: Set<string>, statics: Set<string>, properties: Set<string>}}
+ */
+function declaredSurface() {
+  const source = readFileSync(join(ROOT, 'cd48.d.ts'), 'utf8');
+  const body = source.match(/^export class CD48 [^{]*\{\n([\s\S]*?)^\}/m)[1];
+  const methods = new Set();
+  const statics = new Set();
+  const properties = new Set();
+  for (const line of body.split('\n')) {
+    const member = line.match(
+      /^ {2}(static )?(readonly )?(\w+)\??(<.*>)?(\(|:)/
+    );
+    if (!member || member[3] === 'constructor') {
+      continue;
+    }
+    const [, isStatic, , name, , kind] = member;
+    if (isStatic) {
+      statics.add(name);
+    } else if (kind === '(') {
+      methods.add(name);
+    } else {
+      properties.add(name);
+    }
+  }
+  // Inherited from EventTarget, declared only for the event map types
+  methods.delete('addEventListener');
+  methods.delete('removeEventListener');
+  return { methods, statics, properties };
+}
+
+describe('CD48 public surface', () => {
+  const surface = publicSurface(CD48);
+  const declared = declaredSurface();
+
+  it('should declare every public method in cd48.d.ts', () => {
+    expect([...declared.methods].sort()).toEqual(
+      [...surface.methods.keys()].sort()
+    );
+    expect([...declared.statics].sort()).toEqual(staticMethods(CD48).sort());
+  });
+
+  it('should have every property cd48.d.ts declares', () => {
+    const cd48 = new CD48({ transport: new SimulatorTransport() });
+    for (const name of declared.properties) {
+      expect(name in cd48, name).toBe(true);
+    }
+    for (const name of surface.accessors) {
+      expect(declared.properties.has(name), name).toBe(true);
+    }
+  });
+
+  it('should be inherited unchanged by MockCD48', () => {
+    expect(MockCD48.prototype).toBeInstanceOf(CD48);
+    const added = Object.getOwnPropertyNames(MockCD48.prototype).filter(
+      (name) => name !== 'constructor'
+    );
+    for (const name of added) {
+      expect(name in CD48.prototype, `MockCD48.${name}`).toBe(false);
+    }
+    // The one override: a mock needs no Web Serial support
+    expect(staticMethods(MockCD48).filter((name) => name in CD48)).toEqual([
+      'isSupported',
+    ]);
+    expect(MockCD48.isSupported.length).toBe(CD48.isSupported.length);
+  });
+
+  it('should not be imitated by hand in the examples', () => {
+    // Examples without hardware use CD48 with the simulator instead
+    const examples = join(ROOT, 'examples');
+    for (const file of readdirSync(examples)) {
+      if (file.endsWith('.html')) {
+        const html = readFileSync(join(examples, file), 'utf8');
+        expect(html, file).not.toMatch(/class \w*CD48\b/);
+      }
+    }
+  });
+});
+
+describe.each(SUBJECTS)('CD48 contract: $name', ({ create }) => {
+  let cd48;
+
+  beforeEach(async () => {
+    cd48 = create('contract');
+    expect(await cd48.connect()).toBe(true);
+  });
+
+  afterEach(async () => {
+    if (cd48.isConnected()) {
+      await cd48.disconnect();
+    }
+  });
+
+  it('should connect, identify and disconnect', async () => {
+    expect(cd48.isConnected()).toBe(true);
+    expect(typeof (await cd48.getVersion())).toBe('string');
+    expect(typeof (await cd48.getHelp())).toBe('string');
+
+    await cd48.disconnect();
+    expect(cd48.isConnected()).toBe(false);
+    await expect(cd48.getCounts()).rejects.toThrow(NotConnectedError);
+  });
+
+  it('should read and clear counts', async () => {
+    const events = [];
+    cd48.addEventListener('counts', (event) => events.push(event.detail));
+
+    await cd48.clearCounts();
+    await cd48.sleep(1000);
+    const data = await cd48.getCounts();
+    const again = await cd48.getCounts();
+
+    expect(Object.keys(data).sort()).toEqual(['counts', 'overflow']);
+    expect(data.counts).toHaveLength(8);
+    expect(data.counts.every(Number.isInteger)).toBe(true);
+    expect(data.overflow).toBe(0);
+    expect(data.counts[0]).toBeGreaterThan(800);
+    expect(again.counts[0]).toBeLessThan(data.counts[0] / 10);
+
+    expect(events).toHaveLength(3);
+    expect(typeof events[1].timestamp).toBe('number');
+    expect(typeof (await cd48.getCounts(true))).toBe('string');
+  });
+
+  it('should apply settings', async () => {
+    expect(await cd48.setChannel(6, { B: 1, D: 1 })).toBe('OK');
+    await cd48.setTriggerLevel(0.5);
+    await cd48.setDacVoltage(1.0);
+
+    const state = await cd48.getDeviceState();
+    expect(state.channels[6]).toEqual({ A: 0, B: 1, C: 0, D: 1 });
+    expect(state.triggerLevel).toBeCloseTo(0.5, 1);
+    expect(state.dacVoltage).toBeCloseTo(1.0, 1);
+    expect(await cd48.getOverflow()).toBe(0);
+  });
+
+  it('should measure rates with uncertainties', async () => {
+    const result = await cd48.measureRate(0, 10);
+
+    expect(Object.keys(result).sort()).toEqual(
+      [
+        'channel',
+        'counts',
+        'duration',
+        'liveTime',
+        'rate',
+        'requestedDuration',
+        'uncertainty',
+      ].sort()
+    );
+    expect(result.channel).toBe(0);
+    expect(result.duration).toBe(10);
+    expect(Math.abs(result.rate - RATE_A)).toBeLessThan(
+      5 * result.uncertainty.rate
+    );
+    await expect(cd48.measureRate(8, 1)).rejects.toThrow(ValidationError);
+  });
+
+  it('should measure coincidences with accidental correction', async () => {
+    const result = await cd48.measureCoincidenceRate({ duration: 10 });
+
+    for (const key of [
+      'singlesA',
+      'singlesB',
+      'coincidences',
+      'rateA',
+      'rateB',
+      'coincidenceRate',
+      'accidentalRate',
+      'trueCoincidenceRate',
+      'uncertainty',
+    ]) {
+      expect(result, key).toHaveProperty(key);
+    }
+    expect(Math.abs(result.trueCoincidenceRate - 50)).toBeLessThan(
+      5 * result.uncertainty.trueCoincidenceRate
+    );
+
+    const nfold = await cd48.measureNFoldCoincidenceRate({
+      inputs: ['A', 'B'],
+      duration: 10,
+    });
+    expect(nfold.coincidenceChannel).toBe(4);
+    expect(Math.abs(nfold.trueCoincidenceRate - 50)).toBeLessThan(
+      5 * nfold.uncertainty.trueCoincidenceRate
+    );
+  });
+
+  it('should reproduce measurements for the same seed', async () => {
+    const first = await cd48.measureRate(1, 5);
+    await cd48.disconnect();
+
+    const other = create('contract');
+    await other.connect();
+    expect(await other.measureRate(1, 5)).toEqual(first);
+    await other.disconnect();
+  });
+});
@@ -1,5 +1,10 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { MockCD48 } from '../mock-cd48.js';
+import {
+  NotConnectedError,
+  ValidationError,
+  CommunicationError,
+} from '../../errors.js';
 
 describe('CD48 Integration Tests - Mock Hardware', () => {
   let cd48;
@@ -41,7 +46,7 @@ describe('CD48 Integration Tests - Mock Hardware', () => {
     });
 
     it('should throw error when sending command while disconnected', async () => {
-      await expect(cd48.getVersion()).rejects.toThrow('Device not connected');
+      await expect(cd48.getVersion()).rejects.toThrow(NotConnectedError);
     });
   });
 
@@ -62,6 +67,7 @@ describe('CD48 Integration Tests - Mock Hardware', () => {
     });
 
     it('should clear counts', async () => {
+      cd48.simulator.setSources({ rates: {} }); // No new counts after clearing
       cd48.setCounts([10, 20, 30, 40, 50, 60, 70, 80]);
       await cd48.clearCounts();
       const data = await cd48.getCounts();
@@ -69,17 +75,13 @@ describe('CD48 Integration Tests - Mock Hardware', () => {
     });
 
     it('should auto-increment counts over time', async () => {
-      cd48.autoIncrement = true;
-      cd48._startAutoIncrement();
-
-      const before = await cd48.getCounts();
-      await cd48.sleep(200);
+      await cd48.clearCounts();
+      await cd48.sleep(1000);
       const after = await cd48.getCounts();
 
-      // At least some channels should have increased
-      const increased = before.counts.some(
-        (count, i) => after.counts[i] > count
-      );
+      // Reading clears the counters, so these are the counts of the last
+      // second; at 10 counts/s on A-D some channels must have counted
+      const increased = after.counts.slice(0, 4).some((count) => count > 0);
       expect(increased).toBe(true);
     });
   });
@@ -94,19 +96,17 @@ describe('CD48 Integration Tests - Mock Hardware', () => {
       expect(result.channel).toBe(0);
       expect(result.duration).toBe(0.5);
       expect(result.rate).toBeGreaterThanOrEqual(0);
-      expect(result.uncertainty).toBeGreaterThanOrEqual(0);
+      expect(result.uncertainty.rate).toBeGreaterThanOrEqual(0);
     });
 
     it('should throw error for invalid channel', async () => {
-      await expect(cd48.measureRate(10, 1.0)).rejects.toThrow(
-        'Invalid channel'
-      );
+      await expect(cd48.measureRate(10, 1.0)).rejects.toThrow(ValidationError);
     });
 
     it('should measure coincidence rate', async () => {
       const result = await cd48.measureCoincidenceRate({ duration: 0.5 });
       expect(result.duration).toBe(0.5);
-      expect(result.rate).toBeGreaterThanOrEqual(0);
+      expect(result.coincidenceRate).toBeGreaterThanOrEqual(0);
     });
   });
 
@@ -124,9 +124,8 @@ describe('CD48 Integration Tests - Mock Hardware', () => {
       cd48.setDisconnectAfter(2);
       await cd48.getVersion(); // 1st command
       await cd48.getCounts(); // 2nd command
-      await expect(cd48.getSettings()).rejects.toThrow(
-        'Device disconnected unexpectedly'
-      );
+      await expect(cd48.getSettings()).rejects.toThrow(CommunicationError);
+      expect(cd48.isConnected()).toBe(false);
     });
   });
 
@@ -165,7 +164,7 @@ describe('CD48 Integration Tests - Mock Hardware', () => {
     it('should handle setting custom count values', () => {
       const customCounts = [100, 200, 300, 400, 500, 600, 700, 800];
       cd48.setCounts(customCounts);
-      expect(cd48.counts).toEqual(customCounts);
+      expect(cd48.simulator.counts).toEqual(customCounts);
     });
 
     it('should throw error when setting invalid count array', () => {
@@ -216,20 +215,20 @@ describe('CD48 Integration Tests - Mock Hardware', () => {
       const data2 = await cd48.getCounts();
 
       expect(data1).toHaveProperty('counts');
-      expect(data1).toHaveProperty('coincidenceCounts');
-      expect(data1).toHaveProperty('timestamp');
+      expect(data1).toHaveProperty('overflow');
 
       expect(data2).toHaveProperty('counts');
-      expect(data2).toHaveProperty('coincidenceCounts');
-      expect(data2).toHaveProperty('timestamp');
+      expect(data2).toHaveProperty('overflow');
     });
 
     it('should increment timestamp with each read', async () => {
-      const data1 = await cd48.getCounts();
+      const readings = [];
+      cd48.addEventListener('counts', (event) => readings.push(event.detail));
+      await cd48.getCounts();
       await cd48.sleep(10);
-      const data2 = await cd48.getCounts();
+      await cd48.getCounts();
 
-      expect(data2.timestamp).toBeGreaterThan(data1.timestamp);
+      expect(readings[1].timestamp).toBeGreaterThan(readings[0].timestamp);
     });
   });
 });
@@ -1,276 +1,176 @@
 /**
  * Mock CD48 device for testing
  * Simulates the behavior of a real CD48 without hardware
+ *
+ * MockCD48 is the real CD48 class talking to the protocol simulator, so
+ * it has exactly the public API, return shapes and errors of CD48; the
+ * contract suite in integration/cd48-contract.test.js keeps it that way.
+ * Time is virtual by default, so waits and measurements return at once.
+ * Test helpers set the counters and inject failures.
  */
 
-export class MockCD48 {
-  constructor(options = {}) {
-    this.connected = false;
-    this.counts = options.initialCounts || [0, 0, 0, 0, 0, 0, 0, 0];
-    this.coincidenceCounts = options.initialCoincidenceCounts || 0;
-    this.version = options.version || 'Mock v1.0.0';
-    this.autoIncrement = options.autoIncrement !== false;
-    this.incrementRate = options.incrementRate || 10; // counts per second
-    this.commandDelay = options.commandDelay || 10; // ms
-    this.failConnection = options.failConnection || false;
-    this.failCommands = options.failCommands || false;
-    this.disconnectAfter = options.disconnectAfter || null; // commands before disconnect
-    this.commandCount = 0;
-  }
-
-  /**
-   * Check if Web Serial API is supported
-   */
-  static isSupported() {
-    return true; // Mock always reports as supported
-  }
-
-  /**
-   * Simulate connection to device
-   */
-  async connect() {
-    await this._delay(this.commandDelay);
-
-    if (this.failConnection) {
-      throw new Error('Mock connection failed');
-    }
+import { CD48 } from '../cd48.js';
+import { SimulatorTransport } from '../simulator.js';
+import { VirtualClock } from '../clock.js';
 
-    this.connected = true;
-    this.commandCount = 0;
+const CHANNEL_COUNT = 8;
 
-    // Start auto-incrementing counts if enabled
-    if (this.autoIncrement) {
-      this._startAutoIncrement();
-    }
+/**
+ * Channel holding the A+B coincidences at power-on
+ */
+const COINCIDENCE_CHANNEL = 4;
 
-    return true;
+/**
+ * Simulator transport that can refuse to open or fail writes
+ */
+export class MockTransport extends SimulatorTransport {
+  constructor(options = {}) {
+    super(options);
+    this.failOpen = false;
+    this.failWrites = false;
+    this._failNextWrite = false;
   }
 
-  /**
-   * Simulate disconnection
-   */
-  async disconnect() {
-    await this._delay(this.commandDelay);
-    this.connected = false;
-    this._stopAutoIncrement();
-    return true;
+  async open() {
+    if (this.failOpen) {
+      throw new Error('Mock connection failed');
+    }
+    await super.open();
   }
 
-  /**
-   * Check if device is connected
-   */
-  isConnected() {
-    return this.connected;
+  async write(data) {
+    if (this.failWrites || this._failNextWrite) {
+      this._failNextWrite = false;
+      throw new Error('Mock command failed');
+    }
+    await super.write(data);
   }
 
   /**
-   * Get firmware version
+   * Fail the next write only.
    */
-  async getVersion() {
-    await this._executeCommand();
-    return this.version;
+  failNextWrite() {
+    this._failNextWrite = true;
   }
+}
 
-  /**
-   * Get current counts for all channels
+export class MockCD48 extends CD48 {
+  /**
+   * Create a mock device. Other options are passed to CD48.
+   * @param {Object} [options] - Mock options
+   * @param {boolean} [options.autoIncrement=true] - Count on inputs A-D
+   * @param {number} [options.incrementRate=10] - Counts per second per input
+   * @param {number} [options.commandDelay=10] - Delay after commands in ms
+   * @param {string} [options.version='Mock v1.0.0'] - Firmware version
+   * @param {number[]} [options.initialCounts] - Starting counts
+   * @param {number} [options.initialCoincidenceCounts] - Starting A+B counts
+   * @param {boolean} [options.failConnection=false] - Refuse to connect
+   * @param {boolean} [options.failCommands=false] - Fail every command
+   * @param {number} [options.disconnectAfter] - Commands before unplugging
+   * @param {number|string} [options.seed] - Same seed, same counts
+   * @param {Object} [options.clock] - Clock (default: a VirtualClock that
+   *   skips idle time)
    */
-  async getCounts() {
-    await this._executeCommand();
-    return {
-      counts: [...this.counts], // Return copy
-      coincidenceCounts: this.coincidenceCounts,
-      timestamp: Date.now(),
-    };
-  }
+  constructor(options = {}) {
+    const clock =
+      options.clock ||
+      new VirtualClock({ autoAdvance: true, epoch: Date.now() });
+    const rate =
+      options.autoIncrement === false ? 0 : options.incrementRate || 10;
+    const transport = new MockTransport({
+      clock,
+      seed: options.seed,
+      version: options.version || 'Mock v1.0.0',
+      rates: { A: rate, B: rate, C: rate, D: rate },
+      faults: options.disconnectAfter
+        ? { disconnectAfter: options.disconnectAfter }
+        : {},
+    });
+    super({
+      ...options,
+      commandDelay: options.commandDelay || 10,
+      clock,
+      transport,
+    });
 
-  /**
-   * Get device settings
-   */
-  async getSettings() {
-    await this._executeCommand();
-    return {
-      baud: 9600,
-      timeout: 1000,
-      commandDelay: 50,
-      firmware: this.version,
-    };
+    this.failConnection = options.failConnection || false;
+    this.failCommands = options.failCommands || false;
+    if (options.initialCounts) {
+      this.setCounts(options.initialCounts);
+    }
+    if (options.initialCoincidenceCounts) {
+      this.setCoincidenceCounts(options.initialCoincidenceCounts);
+    }
   }
 
   /**
-   * Clear all counters
+   * Check if Web Serial API is supported
    */
-  async clearCounts() {
-    await this._executeCommand();
-    this.counts = [0, 0, 0, 0, 0, 0, 0, 0];
-    this.coincidenceCounts = 0;
-    return true;
+  static isSupported() {
+    return true; // Mock always reports as supported
   }
 
   /**
-   * Measure count rate for a channel
+   * Simulated device behind the mock
    */
-  async measureRate(channel, duration) {
-    await this._executeCommand();
-
-    if (channel < 0 || channel > 7) {
-      throw new Error(`Invalid channel: ${channel}`);
-    }
-
-    const startCounts = this.counts[channel];
-    await this._delay(duration * 1000);
-    const endCounts = this.counts[channel];
-
-    const totalCounts = endCounts - startCounts;
-    const rate = totalCounts / duration;
-
-    return {
-      channel,
-      duration,
-      counts: totalCounts,
-      rate,
-      uncertainty: Math.sqrt(totalCounts) / duration,
-    };
+  get simulator() {
+    return this.transport.simulator;
   }
 
   /**
-   * Measure coincidence rate
+   * Whether connect() fails (for testing)
    */
-  async measureCoincidenceRate(options = {}) {
-    await this._executeCommand();
-
-    const duration = options.duration || 1.0;
-    const startCounts = this.coincidenceCounts;
-
-    await this._delay(duration * 1000);
-
-    const endCounts = this.coincidenceCounts;
-    const totalCounts = endCounts - startCounts;
-    const rate = totalCounts / duration;
-
-    return {
-      duration,
-      counts: totalCounts,
-      rate,
-      uncertainty: Math.sqrt(totalCounts) / duration,
-    };
+  get failConnection() {
+    return this.transport.failOpen;
   }
 
-  /**
-   * Set repeat mode (auto-update)
-   */
-  async setRepeat(intervalMs) {
-    await this._executeCommand();
-    // Mock implementation - not actually used
-    return true;
+  set failConnection(value) {
+    this.transport.failOpen = value;
   }
 
   /**
-   * Toggle repeat mode
+   * Whether every command fails (for testing)
    */
-  async toggleRepeat() {
-    await this._executeCommand();
-    // Mock implementation
-    return true;
+  get failCommands() {
+    return this.transport.failWrites;
   }
 
-  /**
-   * Sleep utility
-   */
-  async sleep(ms) {
-    await this._delay(ms);
+  set failCommands(value) {
+    this.transport.failWrites = value;
   }
 
   /**
    * Set count values (for testing)
    */
   setCounts(counts) {
-    if (counts.length !== 8) {
+    if (counts.length !== CHANNEL_COUNT) {
       throw new Error('Must provide 8 count values');
     }
-    this.counts = [...counts];
+    // Count pulses up to now first, so they are not added afterwards
+    this.simulator.getState();
+    this.simulator.counts = [...counts];
   }
 
   /**
    * Set coincidence counts (for testing)
    */
   setCoincidenceCounts(count) {
-    this.coincidenceCounts = count;
+    this.simulator.getState();
+    this.simulator.counts[COINCIDENCE_CHANNEL] = count;
   }
 
   /**
    * Simulate error on next command (for testing)
    */
   failNextCommand() {
-    this.failCommands = true;
-    setTimeout(() => {
-      this.failCommands = false;
-    }, 100);
+    this.transport.failNextWrite();
   }
 
   /**
    * Simulate disconnect after N commands (for testing)
    */
   setDisconnectAfter(n) {
-    this.disconnectAfter = n;
-    this.commandCount = 0;
-  }
-
-  // Private methods
-
-  async _executeCommand() {
-    if (!this.connected) {
-      throw new Error('Device not connected');
-    }
-
-    await this._delay(this.commandDelay);
-
-    if (this.failCommands) {
-      throw new Error('Mock command failed');
-    }
-
-    this.commandCount++;
-
-    if (
-      this.disconnectAfter !== null &&
-      this.commandCount > this.disconnectAfter
-    ) {
-      this.connected = false;
-      throw new Error('Device disconnected unexpectedly');
-    }
-  }
-
-  async _delay(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
-  }
-
-  _startAutoIncrement() {
-    this._stopAutoIncrement();
-    this._autoIncrementInterval = setInterval(() => {
-      if (!this.connected) {
-        this._stopAutoIncrement();
-        return;
-      }
-
-      // Increment each channel with some randomness
-      for (let i = 0; i < 8; i++) {
-        const increment = Math.floor(
-          Math.random() * this.incrementRate * 2 * (100 / 1000)
-        );
-        this.counts[i] += increment;
-      }
-
-      // Increment coincidence counts (less frequent)
-      this.coincidenceCounts += Math.floor(
-        Math.random() * this.incrementRate * 0.1
-      );
-    }, 100);
-  }
-
-  _stopAutoIncrement() {
-    if (this._autoIncrementInterval) {
-      clearInterval(this._autoIncrementInterval);
-      this._autoIncrementInterval = null;
-    }
+    this.transport.setFaults({ disconnectAfter: n });
   }
 }
 
@@ -0,0 +1,44 @@
+import { VirtualClock } from '../../clock.js';
+import { MemoryTransport } from '../../transport.js';
+import { SimulatorTransport } from '../../simulator.js';
+import CD48 from '../../cd48.js';
+
+/**
+ * Connected CD48 running on a virtual clock
+ *
+ * Measurement tests connect through connectDevice() so that connecting,
+ * measuring and timing out take no real time, and every run sees the
+ * same timings.
+ */
+
+/**
+ * Connect a CD48 to a scripted or simulated device. The clock advances
+ * by itself whenever the test is waiting, so timers that should fire
+ * during a measurement must use clock.setTimeout().
+ * @param {Object} [options] - Device and CD48 options
+ * @param {Function} [options.respond] - Script for a MemoryTransport:
+ *   (command, { transport, clock }) returns the reply text, or null for
+ *   no reply
+ * @param {Object} [options.simulator] - SimulatorTransport options, used
+ *   when there is no respond script
+ * @param {Object} [options.cd48] - CD48 options (default commandDelay: 1)
+ * @returns {Promise<{cd48: CD48, transport: MemoryTransport, clock: VirtualClock}>}
+ *   Lines written while connecting are already cleared from transport
+ */
+export async function connectDevice(options = {}) {
+  const { respond, simulator = {}, cd48: cd48Options = {} } = options;
+  const clock = new VirtualClock({ autoAdvance: true });
+  const transport = respond
+    ? new MemoryTransport({
+        respond: (command) => respond(command, { transport, clock }),
+      })
+    : new SimulatorTransport({ ...simulator, clock });
+  const cd48 = new CD48({ commandDelay: 1, ...cd48Options, clock, transport });
+  await cd48.connect();
+  transport.written.length = 0;
+  return { cd48, transport, clock };
+}
+
+export default {
+  connectDevice,
+};
@@ -34,6 +34,14 @@ export function createMockSerialPort(options = {}) {
   let isOpen = false;
   let commandQueue = [];
   let responseQueue = [];
+  let readWaiters = [];
+
+  // Wake reads that are blocked waiting for data
+  const wakeReaders = () => {
+    const waiters = readWaiters;
+    readWaiters = [];
+    waiters.forEach((resolve) => resolve());
+  };
 
   // Mock reader
   const mockReader = {
@@ -42,19 +50,23 @@ export function createMockSerialPort(options = {}) {
         return { value: '', done: true };
       }
 
-      if (responseQueue.length > 0) {
-        const value = responseQueue.shift();
-        if (responseDelay > 0) {
-          await new Promise((resolve) => setTimeout(resolve, responseDelay));
+      // Block until data arrives or the reader is cancelled, like a real stream
+      while (responseQueue.length === 0) {
+        if (!isOpen) {
+          return { value: undefined, done: true };
         }
-        return { value, done: false };
+        await new Promise((resolve) => readWaiters.push(resolve));
       }
 
-      // Return empty value if no response
-      return { value: '', done: false };
+      const value = responseQueue.shift();
+      if (responseDelay > 0) {
+        await new Promise((resolve) => setTimeout(resolve, responseDelay));
+      }
+      return { value, done: false };
     }),
     cancel: vi.fn(async () => {
       isOpen = false;
+      wakeReaders();
     }),
     releaseLock: vi.fn(),
   };
@@ -70,10 +82,14 @@ export function createMockSerialPort(options = {}) {
 
       // Add response to queue based on command
       const response = responses[data] || 'OK\r\n';
-      responseQueue.push(response);
+      responseQueue.push(
+        typeof response === 'function' ? response() : response
+      );
+      wakeReaders();
     }),
     close: vi.fn(async () => {
       isOpen = false;
+      wakeReaders();
     }),
     releaseLock: vi.fn(),
   };
@@ -107,6 +123,7 @@ export function createMockSerialPort(options = {}) {
     }),
     close: vi.fn(async () => {
       isOpen = false;
+      wakeReaders();
       return Promise.resolve();
     }),
     readable: mockReadable,
@@ -125,6 +142,11 @@ export function createMockSerialPort(options = {}) {
     },
     _queueResponse: (response) => {
       responseQueue.push(response);
+      wakeReaders();
+    },
+    _unplug: () => {
+      isOpen = false;
+      wakeReaders();
     },
     _mockReader: mockReader,
     _mockWriter: mockWriter,
@@ -139,6 +161,12 @@ export function createMockSerialPort(options = {}) {
  */
 export function createMockNavigatorSerial(options = {}) {
   const mockPort = createMockSerialPort(options);
+  const listeners = { connect: [], disconnect: [] };
+  let present = true;
+
+  const dispatch = (type) => {
+    listeners[type].forEach((listener) => listener({ type, target: mockPort }));
+  };
 
   return {
     requestPort: vi.fn(async (filters) => {
@@ -148,13 +176,27 @@ export function createMockNavigatorSerial(options = {}) {
       return mockPort;
     }),
     getPorts: vi.fn(async () => {
-      if (options.hasPreviousPort) {
+      if (options.hasPreviousPort && present) {
         return [mockPort];
       }
       return [];
     }),
-    addEventListener: vi.fn(),
-    removeEventListener: vi.fn(),
+    addEventListener: vi.fn((type, listener) => {
+      listeners[type]?.push(listener);
+    }),
+    removeEventListener: vi.fn((type, listener) => {
+      listeners[type] = listeners[type]?.filter((l) => l !== listener);
+    }),
+    // Simulate the device being unplugged and plugged back in
+    _simulateUnplug: () => {
+      present = false;
+      mockPort._unplug();
+      dispatch('disconnect');
+    },
+    _simulateReplug: () => {
+      present = true;
+      dispatch('connect');
+    },
     _mockPort: mockPort,
   };
 }
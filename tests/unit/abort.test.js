@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import { MemoryTransport } from '../../transport.js';
+import { AbortError, CD48Error } from '../../errors.js';
+import { CalibrationWizard } from '../../calibration.js';
+import CD48 from '../../cd48.js';
+import { connectDevice } from '../mocks/cd48-device.js';
+
+// Every count read finds the same counts
+function respond(command) {
+  return command === 'c' ? '100 200 300 400 50 0 0 0 0\r\n' : 'OK\r\n';
+}
+
+function abortAfter(ms, clock = globalThis) {
+  const controller = new AbortController();
+  clock.setTimeout(() => controller.abort(), ms);
+  return controller.signal;
+}
+
+describe('AbortError', () => {
+  it('should be a CD48Error carrying the partial result and reason', () => {
+    const error = new AbortError({ rate: 1 }, 'stop');
+
+    expect(error).toBeInstanceOf(CD48Error);
+    expect(error.name).toBe('AbortError');
+    expect(error.partial).toEqual({ rate: 1 });
+    expect(error.reason).toBe('stop');
+  });
+});
+
+describe('CD48 sleep() with a signal', () => {
+  it('should reject as soon as the signal aborts', async () => {
+    const cd48 = new CD48({ transport: new MemoryTransport() });
+    const started = Date.now();
+
+    await expect(cd48.sleep(5000, abortAfter(20))).rejects.toThrow(AbortError);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
+
+describe('CD48 measurement abort', () => {
+  it('should reject measureRate with the rate over the time measured', async () => {
+    const { cd48, transport, clock } = await connectDevice({ respond });
+
+    const error = await cd48
+      .measureRate(1, 10, { signal: abortAfter(100, clock) })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(AbortError);
+    expect(error.partial.counts).toBe(200);
+    expect(error.partial.duration).toBeGreaterThan(0);
+    expect(error.partial.duration).toBeLessThan(10);
+    expect(error.partial.rate).toBeCloseTo(200 / error.partial.duration, 6);
+    expect(transport.written).toEqual(['c\r', 'c\r']);
+    expect(cd48.getQueueDepth()).toBe(0);
+  });
+
+  it('should not touch the device when already aborted', async () => {
+    const { cd48, transport } = await connectDevice({ respond });
+
+    const error = await cd48
+      .measureRate(0, 1, { signal: AbortSignal.abort('stop') })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(AbortError);
+    expect(error.partial).toBeNull();
+    expect(error.reason).toBe('stop');
+    expect(transport.written).toEqual([]);
+  });
+
+  it('should reject measureCoincidenceRate with a partial result', async () => {
+    const { cd48, clock } = await connectDevice({ respond });
+
+    const error = await cd48
+      .measureCoincidenceRate({
+        duration: 10,
+        signal: abortAfter(100, clock),
+      })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(AbortError);
+    expect(error.partial.singlesA).toBe(100);
+    expect(error.partial.coincidences).toBe(50);
+    expect(error.partial.duration).toBeLessThan(10);
+  });
+
+  it('should leave the device usable after an abort', async () => {
+    const { cd48, clock } = await connectDevice({ respond });
+
+    await cd48
+      .measureRate(0, 10, { signal: abortAfter(50, clock) })
+      .catch(() => {});
+    const result = await cd48.measureRate(0, 0.05);
+
+    expect(result.counts).toBe(100);
+  });
+});
+
+describe('CalibrationWizard abort', () => {
+  it('should report the backgrounds finished before the abort', async () => {
+    const { cd48 } = await connectDevice({ respond });
+    const wizard = new CalibrationWizard(cd48);
+    const controller = new AbortController();
+    const measureRate = cd48.measureRate.bind(cd48);
+    cd48.measureRate = async (channel, duration, options) => {
+      if (channel === 2) {
+        controller.abort();
+      }
+      return measureRate(channel, duration, options);
+    };
+
+    const error = await wizard
+      .measureBackground([0, 1, 2, 3], 0.05, { signal: controller.signal })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(AbortError);
+    expect(Object.keys(error.partial)).toEqual(['0', '1']);
+    expect(wizard.profile.metadata).not.toHaveProperty('background_ch2');
+  });
+
+  it('should leave the profile unchanged when a threshold scan aborts', async () => {
+    const { cd48 } = await connectDevice({ respond });
+    const wizard = new CalibrationWizard(cd48);
+    const controller = new AbortController();
+    const measureRate = cd48.measureRate.bind(cd48);
+    let calls = 0;
+    cd48.measureRate = async (channel, duration, options) => {
+      if (++calls === 2) {
+        controller.abort();
+      }
+      return measureRate(channel, duration, options);
+    };
+
+    const error = await wizard
+      .findOptimalThreshold(0, [0.1, 0.2, 0.3], 0.05, {
+        signal: controller.signal,
+      })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(AbortError);
+    expect(error.partial.results).toHaveLength(1);
+    expect(wizard.profile.getThreshold(0)).toBeNull();
+  });
+
+  it('should report the rate so far when gain calibration aborts', async () => {
+    const { cd48, clock } = await connectDevice({ respond });
+    const wizard = new CalibrationWizard(cd48);
+
+    const error = await wizard
+      .calibrateGain(0, 50, 10, { signal: abortAfter(100, clock) })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(AbortError);
+    expect(error.partial).toBeGreaterThan(0);
+    expect(wizard.profile.getGain(0)).toBeNull();
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it, expect } from 'vitest';
+import { ValidationError, NotConnectedError } from '../../errors.js';
+import { connectDevice } from '../mocks/cd48-device.js';
+
+/**
+ * Device whose nth count read finds n counts on channel 0, unless
+ * drop(n) says to send no reply or garble(n) to send junk
+ */
+function connectCountingDevice({
+  drop = () => false,
+  garble = () => false,
+} = {}) {
+  let reads = 0;
+  return connectDevice({
+    respond: (command) => {
+      if (command !== 'c') {
+        return 'OK\r\n';
+      }
+      reads++;
+      if (garble(reads)) {
+        return '#@! 10 0\r\n';
+      }
+      return drop(reads) ? null : `${reads} 10 0 0 1 0 0 0 0\r\n`;
+    },
+    cd48: { commandTimeout: 100 },
+  });
+}
+
+async function take(iterator, count, onInterval = async () => {}) {
+  const intervals = [];
+  for await (const interval of iterator) {
+    intervals.push(interval);
+    await onInterval(interval);
+    if (intervals.length === count) {
+      break;
+    }
+  }
+  return intervals;
+}
+
+describe('CD48 acquire()', () => {
+  it('should yield back-to-back intervals from read-and-clear', async () => {
+    const { cd48, transport } = await connectCountingDevice();
+
+    const intervals = await take(cd48.acquire({ intervalMs: 50 }), 3);
+
+    expect(intervals.map((i) => i.index)).toEqual([0, 1, 2]);
+    expect(intervals.map((i) => i.counts[0])).toEqual([2, 3, 4]);
+    expect(transport.written).toEqual(['c\r', 'c\r', 'c\r', 'c\r']);
+
+    const sum = intervals.reduce((total, i) => total + i.liveTime, 0);
+    const last = intervals[2];
+    expect(last.totalLiveTime).toBeCloseTo(sum, 9);
+    expect(last.elapsed).toBeCloseTo(sum, 9);
+    expect(last.coverage).toBeCloseTo(1, 9);
+    for (const interval of intervals) {
+      expect(interval.gap).toBe(0);
+      expect(interval.liveTime).toBeGreaterThan(0.04);
+      expect(interval.uncertainty.liveTime).toBeGreaterThanOrEqual(0);
+    }
+  });
+
+  it('should report counts read elsewhere as a gap', async () => {
+    const { cd48 } = await connectCountingDevice();
+
+    const intervals = await take(
+      cd48.acquire({ intervalMs: 50 }),
+      2,
+      async (interval) => {
+        if (interval.index === 0) {
+          await cd48.getCounts();
+        }
+      }
+    );
+
+    // Reading 3 went to getCounts(); reading 4 only restarted the chain
+    expect(intervals[1].counts[0]).toBe(5);
+    expect(intervals[1].gap).toBeGreaterThan(0.04);
+    expect(intervals[1].totalLiveTime).toBeCloseTo(
+      intervals[0].liveTime + intervals[1].liveTime,
+      9
+    );
+    expect(intervals[1].coverage).toBeLessThan(0.9);
+    expect(intervals[1].totalLiveTime + intervals[1].gap).toBeCloseTo(
+      intervals[1].elapsed,
+      9
+    );
+  });
+
+  it('should report counts read in human-readable form as a gap', async () => {
+    const { cd48, transport } = await connectCountingDevice();
+
+    const intervals = await take(
+      cd48.acquire({ intervalMs: 50 }),
+      2,
+      async (interval) => {
+        if (interval.index === 0) {
+          await cd48.getCounts(true);
+        }
+      }
+    );
+
+    // 'C' cleared the counts of reading 3, which only restarted the chain
+    expect(transport.written).toEqual(['c\r', 'c\r', 'C\r', 'c\r', 'c\r']);
+    expect(intervals[1].counts[0]).toBe(4);
+    expect(intervals[1].gap).toBeGreaterThan(0.04);
+    expect(intervals[1].coverage).toBeLessThan(0.9);
+  });
+
+  it('should report counts cleared by a failed read elsewhere as a gap', async () => {
+    const { cd48 } = await connectCountingDevice({
+      drop: (read) => read === 3,
+    });
+
+    const intervals = await take(
+      cd48.acquire({ intervalMs: 50 }),
+      2,
+      async (interval) => {
+        if (interval.index === 0) {
+          await cd48.getCounts().catch(() => {});
+        }
+      }
+    );
+
+    // Reading 3 timed out but still cleared the counters
+    expect(intervals[1].counts[0]).toBe(5);
+    expect(intervals[1].gap).toBeGreaterThan(0.04);
+    expect(intervals[1].coverage).toBeLessThan(0.9);
+  });
+
+  it('should carry on with a gap after a failed read', async () => {
+    const { cd48 } = await connectCountingDevice({
+      drop: (read) => read === 3,
+    });
+    const errors = [];
+    cd48.addEventListener('error', (event) => errors.push(event.detail));
+
+    const intervals = await take(cd48.acquire({ intervalMs: 50 }), 2);
+
+    expect(errors).toHaveLength(1);
+    expect(intervals[0].counts[0]).toBe(2);
+    expect(intervals[1].counts[0]).toBe(5);
+    expect(intervals[1].gap).toBeGreaterThan(0.1);
+    expect(intervals[1].coverage).toBeLessThan(1);
+  });
+
+  it('should carry on with a gap after a garbled read', async () => {
+    const { cd48 } = await connectCountingDevice({
+      garble: (read) => read === 3,
+    });
+
+    const intervals = await take(cd48.acquire({ intervalMs: 50 }), 2);
+
+    expect(cd48.isConnected()).toBe(true);
+    expect(intervals[0].counts[0]).toBe(2);
+    expect(intervals[1].counts[0]).toBe(5);
+    expect(intervals[1].gap).toBeGreaterThanOrEqual(0.1);
+    expect(intervals[1].coverage).toBeLessThan(1);
+  });
+
+  it('should end when the signal aborts', async () => {
+    const { cd48 } = await connectCountingDevice();
+    const controller = new AbortController();
+
+    const intervals = await take(
+      cd48.acquire({ intervalMs: 50, signal: controller.signal }),
+      10,
+      async (interval) => {
+        if (interval.index === 1) {
+          controller.abort();
+        }
+      }
+    );
+
+    expect(intervals).toHaveLength(2);
+    expect(cd48.getQueueDepth()).toBe(0);
+  });
+
+  it('should reject an invalid interval', async () => {
+    const { cd48 } = await connectCountingDevice();
+
+    await expect(take(cd48.acquire({ intervalMs: 0 }), 1)).rejects.toThrow(
+      ValidationError
+    );
+  });
+
+  it('should end with an error when the device is disconnected', async () => {
+    const { cd48 } = await connectCountingDevice();
+
+    await expect(
+      take(cd48.acquire({ intervalMs: 50 }), 3, async () => {
+        await cd48.disconnect();
+      })
+    ).rejects.toThrow(NotConnectedError);
+  });
+});
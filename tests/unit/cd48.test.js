@@ -85,6 +85,33 @@ describe('CD48', () => {
       await cd48.disconnect();
       expect(cd48.isConnected()).toBe(false);
     });
+
+    it('should detect an unplugged port and reconnect when it returns', async () => {
+      cleanupWebSerialMock();
+      mocks = setupWebSerialMock({ hasPreviousPort: true });
+
+      const cd48 = new CD48({ autoReconnect: true, reconnectDelay: 1 });
+      let disconnects = 0;
+      cd48.onDisconnect(() => disconnects++);
+      await cd48.connect();
+
+      const failed = new Promise((resolve) =>
+        cd48.addEventListener('reconnect-failed', resolve, { once: true })
+      );
+      mocks.mockSerial._simulateUnplug();
+      expect(cd48.isConnected()).toBe(false);
+      await failed;
+      expect(disconnects).toBe(1);
+
+      const reconnected = new Promise((resolve) =>
+        cd48.addEventListener('reconnect', resolve, { once: true })
+      );
+      mocks.mockSerial._simulateReplug();
+      await reconnected;
+
+      expect(cd48.isConnected()).toBe(true);
+      expect(await cd48.getVersion()).toBe('CD48 v1.0.0');
+    });
   });
 
   describe('Helper methods', () => {
@@ -0,0 +1,184 @@
+import { describe, it, expect } from 'vitest';
+import { realClock, VirtualClock } from '../../clock.js';
+import { CD48, MemoryTransport } from '../../cd48.js';
+import { SimulatorTransport } from '../../simulator.js';
+import { CommandTimeoutError } from '../../errors.js';
+
+describe('realClock', () => {
+  it('should follow the host clock', async () => {
+    expect(Math.abs(realClock.timestamp() - Date.now())).toBeLessThan(5);
+
+    const started = realClock.now();
+    await new Promise((resolve) => realClock.setTimeout(resolve, 20));
+    expect(realClock.now() - started).toBeGreaterThanOrEqual(15);
+  });
+});
+
+describe('VirtualClock', () => {
+  it('should only move on advance()', async () => {
+    const clock = new VirtualClock({ start: 100, epoch: 1e12 });
+    const fired = [];
+    clock.setTimeout(() => fired.push(['b', clock.now()]), 50);
+    clock.setTimeout(() => fired.push(['a', clock.now()]), 10);
+    clock.setTimeout(() => fired.push(['c', clock.now()]), 50);
+    const cancelled = clock.setTimeout(() => fired.push(['x']), 20);
+    clock.clearTimeout(cancelled);
+
+    expect(clock.now()).toBe(100);
+    expect(clock.timestamp()).toBe(1e12 + 100);
+
+    await clock.advance(30);
+    expect(fired).toEqual([['a', 110]]);
+    expect(clock.now()).toBe(130);
+
+    await clock.advance(100);
+    expect(fired).toEqual([
+      ['a', 110],
+      ['b', 150],
+      ['c', 150],
+    ]);
+    expect(clock.getPendingCount()).toBe(0);
+  });
+
+  it('should repeat intervals and step with next()', async () => {
+    const clock = new VirtualClock();
+    const ticks = [];
+    const interval = clock.setInterval(() => ticks.push(clock.now()), 40);
+
+    await clock.advance(100);
+    expect(ticks).toEqual([40, 80]);
+
+    expect(await clock.next()).toBe(true);
+    expect(ticks).toEqual([40, 80, 120]);
+
+    clock.clearInterval(interval);
+    expect(await clock.next()).toBe(false);
+  });
+
+  it('should run timers started by earlier timers', async () => {
+    const clock = new VirtualClock();
+    const sleep = (ms) =>
+      new Promise((resolve) => clock.setTimeout(resolve, ms));
+    let finishedAt = null;
+
+    (async () => {
+      await sleep(10);
+      await sleep(10);
+      finishedAt = clock.now();
+    })();
+
+    await clock.advance(25);
+    expect(finishedAt).toBe(20);
+  });
+
+  it('should advance by itself with autoAdvance', async () => {
+    const clock = new VirtualClock({ autoAdvance: true });
+    const started = Date.now();
+
+    await new Promise((resolve) => clock.setTimeout(resolve, 3600e3));
+
+    expect(clock.now()).toBe(3600e3);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
+
+describe('CD48 with a virtual clock', () => {
+  function connectSimulated(options = {}) {
+    const clock = new VirtualClock({ autoAdvance: true });
+    const transport = new SimulatorTransport({
+      clock,
+      seed: 'clock',
+      rates: { A: 1000, B: 0, C: 0, D: 0 },
+      ...options.simulator,
+    });
+    const cd48 = new CD48({ clock, transport, ...options.cd48 });
+    return { clock, transport, cd48 };
+  }
+
+  it('should measure for a simulated minute without waiting', async () => {
+    const { clock, cd48 } = connectSimulated();
+    await cd48.connect();
+    const started = Date.now();
+
+    const result = await cd48.measureRate(0, 60);
+
+    expect(Date.now() - started).toBeLessThan(5000);
+    expect(clock.now()).toBeGreaterThanOrEqual(60000);
+    expect(result.liveTime).toBeCloseTo(60, 1);
+    expect(result.rate).toBeGreaterThan(950);
+    expect(result.rate).toBeLessThan(1050);
+    await cd48.disconnect();
+  });
+
+  it('should repeat the same result for the same seed', async () => {
+    const measure = async () => {
+      const { cd48 } = connectSimulated();
+      await cd48.connect();
+      const result = await cd48.measureRate(0, 10);
+      await cd48.disconnect();
+      return result;
+    };
+
+    expect(await measure()).toEqual(await measure());
+  });
+
+  it('should poll in simulated time', async () => {
+    const { clock, cd48 } = connectSimulated();
+    await cd48.connect();
+    const started = clock.now();
+
+    const intervals = [];
+    for await (const interval of cd48.acquire({ intervalMs: 1000 })) {
+      intervals.push(interval);
+      if (intervals.length === 30) {
+        break;
+      }
+    }
+
+    expect(clock.now() - started).toBeGreaterThanOrEqual(30000);
+    expect(intervals[29].timestamp).toBe(clock.timestamp());
+    expect(intervals[29].coverage).toBeCloseTo(1, 2);
+    await cd48.disconnect();
+  });
+
+  it('should back off between reconnect attempts in simulated time', async () => {
+    const { clock, transport, cd48 } = connectSimulated({
+      cd48: { autoReconnect: true, reconnectDelay: 10000 },
+    });
+    await cd48.connect();
+
+    transport.setFaults({ disconnectAfter: 0, reappearAfterMs: 60000 });
+    const lostAt = clock.now();
+    await expect(cd48.getVersion()).rejects.toThrow();
+    await new Promise((resolve) => {
+      cd48.addEventListener('reconnect', resolve);
+    });
+
+    expect(clock.now() - lostAt).toBeGreaterThanOrEqual(60000);
+    expect(await cd48.getVersion()).toBe('CD48 v1.0.0');
+    await cd48.disconnect();
+  });
+
+  it('should time out only when the clock passes the deadline', async () => {
+    const clock = new VirtualClock();
+    const transport = new MemoryTransport({
+      respond: (command) => (command === 'v' ? 'CD48 v1.0.0\r\n' : null),
+    });
+    const cd48 = new CD48({ clock, transport, commandDelay: 1 });
+    const connecting = cd48.connect();
+    await clock.advance(1000);
+    await connecting;
+
+    const started = clock.now();
+    let outcome = null;
+    cd48
+      .sendCommand('c', { timeout: 5000 })
+      .catch((error) => (outcome = error));
+    await clock.advance(4000);
+    expect(outcome).toBeNull();
+
+    await clock.advance(2000);
+    expect(outcome).toBeInstanceOf(CommandTimeoutError);
+    expect(clock.now() - started).toBe(6000);
+  });
+});
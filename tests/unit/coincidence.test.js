@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import { ChannelConfigurationError, ValidationError } from '../../errors.js';
+import { Coincidence } from '../../analysis.js';
+import { connectDevice } from '../mocks/cd48-device.js';
+
+// Firmware defaults: A, B, C, D, A+B, A+C, A+D, B+C+D
+const DEFAULT_MASKS = '1000 0100 0010 0001 1100 1010 1001 0111';
+
+function connectMaskedDevice({ masks = DEFAULT_MASKS } = {}) {
+  return connectDevice({
+    respond: (command) => {
+      if (command === 'c') {
+        return '1000 2000 3000 4000 50 60 70 9 0\r\n';
+      }
+      if (command === 'p') {
+        return `${masks} 100 50\r\n`;
+      }
+      return 'OK\r\n';
+    },
+  });
+}
+
+describe('Coincidence.accidentalRateN', () => {
+  it('should match the two-fold formula for two inputs', () => {
+    expect(Coincidence.accidentalRateN([100, 200], 25e-9)).toBeCloseTo(
+      Coincidence.accidentalRate(100, 200, 25e-9),
+      15
+    );
+  });
+
+  it('should apply N * tau^(N-1) * product of rates', () => {
+    expect(Coincidence.accidentalRateN([1e4, 2e4, 3e4], 1e-7)).toBeCloseTo(
+      3 * 1e-14 * 6e12,
+      10
+    );
+  });
+});
+
+describe('CD48 measureNFoldCoincidenceRate()', () => {
+  it('should find the triple on the channel programmed for it', async () => {
+    const { cd48, transport } = await connectMaskedDevice();
+
+    const result = await cd48.measureNFoldCoincidenceRate({
+      inputs: ['B', 'C', 'D'],
+      duration: 0.05,
+      coincidenceWindow: 1e-7,
+    });
+
+    expect(transport.written[0]).toBe('p\r');
+    expect(result.fold).toBe(3);
+    expect(result.coincidenceChannel).toBe(7);
+    expect(result.singlesChannels).toEqual({ B: 1, C: 2, D: 3 });
+    expect(result.singles).toEqual({ B: 2000, C: 3000, D: 4000 });
+    expect(result.coincidences).toBe(9);
+
+    const T = result.liveTime;
+    expect(result.rates.B).toBeCloseTo(2000 / T, 6);
+    expect(result.accidentalRate).toBeCloseTo(
+      3 * 1e-14 * (2000 / T) * (3000 / T) * (4000 / T),
+      9
+    );
+    expect(result.trueCoincidenceRate).toBeCloseTo(
+      9 / T - result.accidentalRate,
+      9
+    );
+  });
+
+  it('should propagate counting and live time uncertainties', async () => {
+    const { cd48 } = await connectMaskedDevice();
+
+    const result = await cd48.measureNFoldCoincidenceRate({
+      inputs: ['B', 'C', 'D'],
+      duration: 0.05,
+      coincidenceWindow: 1e-7,
+    });
+
+    const T = result.liveTime;
+    const sigmaT = result.uncertainty.liveTime;
+    const acc = result.accidentalRate;
+    // Relative counting uncertainty of a product adds in quadrature
+    const counting = acc * Math.sqrt(1 / 2000 + 1 / 3000 + 1 / 4000);
+    const expected = Math.hypot(counting, (3 * acc * sigmaT) / T);
+
+    expect(result.uncertainty.singles.C).toBeCloseTo(Math.sqrt(3000), 9);
+    expect(result.uncertainty.accidentalRate).toBeCloseTo(expected, 9);
+    expect(result.uncertainty.trueCoincidenceRate).toBeGreaterThanOrEqual(
+      Math.sqrt(9) / T
+    );
+  });
+
+  it('should reduce to the two-fold result for a pair', async () => {
+    const { cd48 } = await connectMaskedDevice();
+
+    const result = await cd48.measureNFoldCoincidenceRate({
+      inputs: ['A', 'B'],
+      duration: 0.05,
+    });
+
+    expect(result.coincidenceChannel).toBe(4);
+    expect(result.accidentalRate).toBeCloseTo(
+      Coincidence.accidentalRate(result.rates.A, result.rates.B, 25e-9),
+      12
+    );
+  });
+
+  it('should follow masks reprogrammed on the device', async () => {
+    const { cd48 } = await connectMaskedDevice({
+      masks: '0100 1000 0010 0001 0000 0000 1110 0000',
+    });
+
+    const result = await cd48.measureNFoldCoincidenceRate({
+      inputs: ['C', 'A', 'B'],
+      duration: 0.05,
+    });
+
+    expect(result.coincidenceChannel).toBe(6);
+    expect(result.singlesChannels).toEqual({ C: 2, A: 1, B: 0 });
+    expect(result.coincidences).toBe(70);
+  });
+
+  it('should reject when the device has no channel for a combination', async () => {
+    const { cd48, transport } = await connectMaskedDevice();
+
+    const error = await cd48
+      .measureNFoldCoincidenceRate({ inputs: ['A', 'B', 'C'] })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(ChannelConfigurationError);
+    expect(error.missing).toEqual([['A', 'B', 'C']]);
+    expect(transport.written).toEqual(['p\r']);
+  });
+
+  it('should reject invalid inputs', async () => {
+    const { cd48 } = await connectMaskedDevice();
+
+    for (const inputs of [undefined, ['A'], ['A', 'A'], ['A', 'E']]) {
+      await expect(
+        cd48.measureNFoldCoincidenceRate({ inputs })
+      ).rejects.toThrow(ValidationError);
+    }
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { CommandQueue, CommandPriority } from '../../command-queue.js';
+import { ValidationError } from '../../errors.js';
+import { MemoryTransport } from '../../transport.js';
+import CD48 from '../../cd48.js';
+
+describe('CommandQueue', () => {
+  it('should run one task at a time', async () => {
+    const queue = new CommandQueue();
+    let running = 0;
+    let maxRunning = 0;
+
+    const task = async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      running--;
+    };
+
+    await Promise.all([queue.run(task), queue.run(task), queue.run(task)]);
+    expect(maxRunning).toBe(1);
+    expect(queue.getDepth()).toBe(0);
+  });
+
+  it('should order waiting tasks by priority, then arrival', async () => {
+    const queue = new CommandQueue();
+    const order = [];
+    const release = await queue.acquire();
+
+    const runs = [
+      queue.run(() => order.push('low'), CommandPriority.LOW),
+      queue.run(() => order.push('normal-1'), CommandPriority.NORMAL),
+      queue.run(() => order.push('high'), CommandPriority.HIGH),
+      queue.run(() => order.push('normal-2'), CommandPriority.NORMAL),
+    ];
+
+    expect(queue.getDepth()).toBe(5);
+    expect(queue.isBusy()).toBe(true);
+
+    release();
+    await Promise.all(runs);
+    expect(order).toEqual(['high', 'normal-1', 'normal-2', 'low']);
+  });
+
+  it('should release the queue when a task throws', async () => {
+    const queue = new CommandQueue();
+
+    await expect(
+      queue.run(async () => {
+        throw new Error('boom');
+      })
+    ).rejects.toThrow('boom');
+
+    expect(await queue.run(() => 'next')).toBe('next');
+  });
+
+  it('should ignore repeated release calls', async () => {
+    const queue = new CommandQueue();
+    const release = await queue.acquire();
+    const second = queue.acquire();
+
+    release();
+    release();
+    const releaseSecond = await second;
+
+    expect(queue.isBusy()).toBe(true);
+    releaseSecond();
+    expect(queue.isBusy()).toBe(false);
+  });
+
+  it('should reject unknown priorities', () => {
+    const queue = new CommandQueue();
+    expect(() => queue.acquire('urgent')).toThrow(ValidationError);
+  });
+});
+
+describe('CD48 command serialization', () => {
+  function createSlowDevice() {
+    const transport = new MemoryTransport({
+      respond: (command) => {
+        const reply = command === 'v' ? 'CD48 v1.0\r\n' : `${command} OK\r\n`;
+        // Reply arrives later, in two pieces, as over a real serial line
+        setTimeout(() => transport.push(reply.slice(0, 3)), 5);
+        setTimeout(() => transport.push(reply.slice(3)), 10);
+      },
+    });
+    return transport;
+  }
+
+  it('should not interleave concurrent commands', async () => {
+    const cd48 = new CD48({ transport: createSlowDevice(), commandDelay: 1 });
+    await cd48.connect();
+
+    const [version, trigger, leds] = await Promise.all([
+      cd48.getVersion(),
+      cd48.setTriggerLevel(1.0),
+      cd48.testLeds(),
+    ]);
+
+    expect(version).toBe('CD48 v1.0');
+    expect(trigger).toBe('L63 OK');
+    expect(leds).toBe('T OK');
+  });
+
+  it('should send configuration ahead of polling', async () => {
+    const transport = createSlowDevice();
+    const cd48 = new CD48({ transport, commandDelay: 1 });
+    await cd48.connect();
+    transport.written.length = 0;
+
+    const first = cd48.getVersion();
+    const poll = cd48.sendCommand('C', { priority: CommandPriority.LOW });
+    const config = cd48.setImpedance50Ohm();
+
+    expect(cd48.getQueueDepth()).toBe(3);
+    await Promise.all([first, poll, config]);
+
+    expect(transport.written).toEqual(['v\r', 'z\r', 'C\r']);
+    expect(cd48.getQueueDepth()).toBe(0);
+  });
+});
@@ -0,0 +1,219 @@
+import { describe, it, expect } from 'vitest';
+import { CumulativeCounter } from '../../counter.js';
+import { connectDevice } from '../mocks/cd48-device.js';
+
+const WRAP = 2 ** 32;
+
+describe('CumulativeCounter add()', () => {
+  it('should accumulate readings into BigInt totals', () => {
+    const counter = new CumulativeCounter();
+    counter.add({ counts: [4000000000, 1, 0, 0, 0, 0, 0, 0], timestamp: 0 });
+    counter.add({
+      counts: [4000000000, 2, 0, 0, 0, 0, 0, 0],
+      timestamp: 1000,
+    });
+
+    const totals = counter.getTotals();
+    expect(totals[0]).toBe(8000000000n);
+    expect(totals[1]).toBe(3n);
+    expect(counter.getIntervalCount()).toBe(2);
+    expect(counter.getAmbiguousIntervals()).toEqual([]);
+  });
+
+  it('should count one wrap when no rate is known yet', () => {
+    const counter = new CumulativeCounter();
+    const interval = counter.add({
+      counts: [5, 0, 0, 0, 0, 0, 0, 0],
+      overflow: 0b1,
+    });
+
+    expect(interval.ambiguous).toBe(true);
+    expect(interval.ambiguousChannels).toEqual([0]);
+    expect(interval.wraps[0]).toBe(1);
+    expect(counter.getTotals()[0]).toBe(BigInt(WRAP) + 5n);
+    expect(counter.isAmbiguous(0)).toBe(true);
+    expect(counter.isAmbiguous(1)).toBe(false);
+  });
+
+  it('should estimate several wraps from the recent rate', () => {
+    const counter = new CumulativeCounter(null, { countWidth: 16 });
+    // 60000 counts per second on channel 2
+    counter.add({ counts: [0, 0, 0, 0, 0, 0, 0, 0], timestamp: 0 });
+    counter.add({ counts: [0, 0, 60000, 0, 0, 0, 0, 0], timestamp: 1000 });
+    // 3 s later: 180000 counts = 2 wraps of 65536 plus 48928
+    const interval = counter.add({
+      counts: [0, 0, 48928, 0, 0, 0, 0, 0],
+      overflow: 0b100,
+      timestamp: 4000,
+    });
+
+    expect(interval.wraps[2]).toBe(2);
+    expect(counter.getTotals()[2]).toBe(60000n + 180000n);
+  });
+
+  it('should dispatch a wrap event for ambiguous intervals', () => {
+    const counter = new CumulativeCounter();
+    const events = [];
+    counter.addEventListener('wrap', (event) => events.push(event.detail));
+
+    counter.add({ counts: [1, 1, 1, 1, 1, 1, 1, 1] });
+    counter.add({ counts: [1, 1, 1, 1, 1, 1, 1, 1], overflow: 0b10010000 });
+
+    expect(events).toHaveLength(1);
+    expect(events[0].ambiguousChannels).toEqual([4, 7]);
+  });
+
+  it('should not count a wrap again for a sticky overflow bit', () => {
+    const counter = new CumulativeCounter(null, { countWidth: 16 });
+    counter.add({ counts: [0, 0, 0, 0, 0, 0, 0, 0], timestamp: 0 });
+    counter.add({ counts: [1000, 0, 0, 0, 0, 0, 0, 0], timestamp: 1000 });
+    counter.add({
+      counts: [1000, 0, 0, 0, 0, 0, 0, 0],
+      overflow: 1,
+      timestamp: 2000,
+    });
+    // Still set, although the counter did not wrap again
+    const sticky = counter.add({
+      counts: [1000, 0, 0, 0, 0, 0, 0, 0],
+      overflow: 1,
+      timestamp: 3000,
+    });
+
+    expect(sticky.wraps[0]).toBe(0);
+    expect(sticky.ambiguousChannels).toEqual([0]);
+    expect(counter.getTotals()[0]).toBe(65536n + 3000n);
+  });
+
+  it('should start again from zero after reset()', () => {
+    const counter = new CumulativeCounter();
+    counter.add({ counts: [9, 9, 9, 9, 9, 9, 9, 9], overflow: 1 });
+    counter.reset();
+
+    expect(counter.getTotals()).toEqual(new Array(8).fill(0n));
+    expect(counter.isAmbiguous(0)).toBe(false);
+  });
+});
+
+describe('CumulativeCounter with a CD48', () => {
+  async function connectCounter(readings, flags = []) {
+    const { cd48 } = await connectDevice({
+      respond: (command) => {
+        if (command === 'c') {
+          return (readings.shift() || '0 0 0 0 0 0 0 0 0') + '\r\n';
+        }
+        if (command === 'E') {
+          return (flags.shift() || '0') + '\r\n';
+        }
+        return command === 'v' ? 'CD48 v1.0\r\n' : 'OK\r\n';
+      },
+    });
+    return cd48;
+  }
+
+  it('should add every reading the CD48 makes once started', async () => {
+    const cd48 = await connectCounter([
+      '7 7 7 7 7 7 7 7 0',
+      '10 0 0 0 0 0 0 0 0',
+      '20 0 0 0 0 0 0 0 1',
+    ]);
+    const counter = new CumulativeCounter(cd48);
+
+    await counter.start();
+    await cd48.getCounts();
+    const interval = await counter.update();
+
+    expect(counter.getTotals()[0]).toBe(BigInt(WRAP) + 30n);
+    expect(interval.ambiguousChannels).toEqual([0]);
+    expect(interval.duration).toBeGreaterThan(0);
+  });
+
+  it('should flag the reading after a human-readable read as a gap', async () => {
+    const cd48 = await connectCounter([
+      '0 0 0 0 0 0 0 0 0',
+      '10 0 0 0 0 0 0 0 0',
+      '5 0 0 0 0 0 0 0 0',
+    ]);
+    const counter = new CumulativeCounter(cd48);
+    const gaps = [];
+    counter.addEventListener('gap', (event) => gaps.push(event.detail));
+
+    await counter.start();
+    await cd48.getCounts(true);
+    const gap = await counter.update();
+    const next = await counter.update();
+
+    // The counts cleared by 'C' are missing from the totals
+    expect(counter.getTotals()[0]).toBe(15n);
+    expect(gap.gap).toBe(true);
+    expect(next.gap).toBe(false);
+    expect(gaps).toEqual([gap]);
+    expect(counter.getGapIntervals()).toEqual([gap]);
+  });
+
+  it('should flag the reading after a failed read as a gap', async () => {
+    const cd48 = await connectCounter([
+      '0 0 0 0 0 0 0 0 0',
+      '#@! 0 0',
+      '5 0 0 0 0 0 0 0 0',
+    ]);
+    const counter = new CumulativeCounter(cd48);
+
+    await counter.start();
+    await cd48.getCounts().catch(() => {});
+    const gap = await counter.update();
+
+    expect(gap.gap).toBe(true);
+    expect(counter.getTotals()[0]).toBe(5n);
+  });
+
+  it('should follow overflow flags cleared by getOverflow()', async () => {
+    const cd48 = await connectCounter(
+      [
+        '0 0 0 0 0 0 0 0 0',
+        '10 10 0 0 0 0 0 0 1',
+        '10 10 0 0 0 0 0 0 1',
+        '10 10 0 0 0 0 0 0 0',
+      ],
+      ['0', '3']
+    );
+    const counter = new CumulativeCounter(cd48);
+
+    await counter.start();
+    const wrapped = await counter.update();
+    const sticky = await counter.update();
+    // Channel 0 was already reported; channel 1 wrapped since the reading
+    await cd48.getOverflow();
+    const cleared = await counter.update();
+
+    expect(wrapped.wraps[0]).toBe(1);
+    expect(sticky.wraps[0]).toBe(0);
+    expect(cleared.wraps).toEqual([0, 1, 0, 0, 0, 0, 0, 0]);
+    expect(counter.getTotals().slice(0, 2)).toEqual([
+      BigInt(WRAP) + 30n,
+      BigInt(WRAP) + 30n,
+    ]);
+  });
+
+  it('should use the counter width of the connected firmware', async () => {
+    const cd48 = await connectCounter([]);
+    cd48.capabilities = { ...cd48.capabilities, countWidth: 24 };
+
+    expect(new CumulativeCounter(cd48).getCountWidth()).toBe(24);
+  });
+
+  it('should add only explicit updates after stop()', async () => {
+    const cd48 = await connectCounter([
+      '0 0 0 0 0 0 0 0 0',
+      '5 0 0 0 0 0 0 0 0',
+    ]);
+    const counter = new CumulativeCounter(cd48);
+    await counter.start();
+    counter.stop();
+
+    await cd48.getCounts();
+    expect(counter.getTotals()[0]).toBe(0n);
+
+    await counter.update();
+    expect(counter.getIntervalCount()).toBe(1);
+  });
+});
@@ -0,0 +1,227 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { MemoryTransport } from '../../transport.js';
+import {
+  CommandTimeoutError,
+  CommunicationError,
+  NotConnectedError,
+} from '../../errors.js';
+import CD48 from '../../cd48.js';
+
+function record(cd48, types) {
+  const events = [];
+  for (const type of types) {
+    cd48.addEventListener(type, (event) => {
+      events.push({ type, detail: event.detail });
+    });
+  }
+  return events;
+}
+
+describe('CD48 events', () => {
+  let transport;
+  let cd48;
+  let replies;
+
+  beforeEach(() => {
+    replies = {
+      v: 'CD48 v1.0\r\n',
+      c: '10 20 30 40 5 6 7 8 0\r\n',
+      E: '0\r\n',
+    };
+    transport = new MemoryTransport({
+      respond: (command) => replies[command],
+    });
+    cd48 = new CD48({ transport, commandDelay: 1 });
+  });
+
+  it('should be an EventTarget', () => {
+    expect(cd48).toBeInstanceOf(EventTarget);
+  });
+
+  it('should dispatch connect and disconnect', async () => {
+    const events = record(cd48, ['connect', 'disconnect']);
+
+    await cd48.connect();
+    await cd48.disconnect();
+
+    expect(events.map((e) => e.type)).toEqual(['connect', 'disconnect']);
+    expect(events[0].detail.transport).toBe(transport);
+    expect(events[0].detail.firmware.raw).toBe('CD48 v1.0');
+    expect(events[1].detail.reason).toBe('user');
+  });
+
+  it('should deliver to every listener and keep legacy callbacks', async () => {
+    let first = 0;
+    let second = 0;
+    let legacy = 0;
+    cd48.addEventListener('disconnect', () => first++);
+    cd48.addEventListener('disconnect', () => second++);
+    cd48.onDisconnect(() => legacy++);
+
+    await cd48.connect();
+    await cd48.disconnect();
+
+    expect([first, second, legacy]).toEqual([1, 1, 1]);
+  });
+
+  it('should dispatch command and response', async () => {
+    const events = record(cd48, ['command', 'response']);
+    await cd48.connect();
+
+    await cd48.getVersion();
+
+    expect(events[0]).toEqual({ type: 'command', detail: { command: 'v' } });
+    expect(events[1].type).toBe('response');
+    expect(events[1].detail.command).toBe('v');
+    expect(events[1].detail.response).toBe('CD48 v1.0');
+    expect(events[1].detail.durationMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it('should dispatch counts, and overflow when a bit is set', async () => {
+    const events = record(cd48, ['counts', 'overflow']);
+    await cd48.connect();
+
+    await cd48.getCounts();
+    replies.c = '10 20 30 40 5 6 7 8 3\r\n';
+    await cd48.getCounts();
+
+    expect(events.map((e) => e.type)).toEqual(['counts', 'counts', 'overflow']);
+    expect(events[0].detail.counts).toEqual([10, 20, 30, 40, 5, 6, 7, 8]);
+    expect(typeof events[0].detail.timestamp).toBe('number');
+    expect(events[2].detail.channels).toEqual([0, 1]);
+  });
+
+  it('should dispatch overflow from getOverflow()', async () => {
+    const events = record(cd48, ['overflow']);
+    await cd48.connect();
+
+    await cd48.getOverflow();
+    replies.E = '128\r\n';
+    await cd48.getOverflow();
+
+    expect(events).toHaveLength(1);
+    expect(events[0].detail.channels).toEqual([7]);
+  });
+
+  it('should dispatch error when a command fails', async () => {
+    const events = record(cd48, ['error']);
+    await cd48.connect();
+
+    delete replies.v;
+    await expect(cd48.getVersion()).rejects.toThrow(CommandTimeoutError);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].detail.command).toBe('v');
+    expect(events[0].detail.error).toBeInstanceOf(CommandTimeoutError);
+  });
+
+  it('should dispatch reconnect', async () => {
+    const events = record(cd48, ['reconnect']);
+    await cd48.connect();
+
+    await cd48.reconnect();
+
+    expect(events).toHaveLength(1);
+    expect(events[0].detail).toEqual({ attempt: 1 });
+  });
+
+  it('should report an unplugged device as lost', async () => {
+    const events = record(cd48, ['disconnect']);
+    let legacy = 0;
+    cd48.onDisconnect(() => legacy++);
+    await cd48.connect();
+
+    transport.unplug();
+    await cd48.sleep(0);
+
+    expect(cd48.isConnected()).toBe(false);
+    expect(events).toHaveLength(1);
+    expect(events[0].detail.reason).toBe('lost');
+    expect(legacy).toBe(1);
+    await expect(cd48.getVersion()).rejects.toThrow(NotConnectedError);
+  });
+
+  it('should report a stream that ends mid-command as lost', async () => {
+    const events = record(cd48, ['disconnect']);
+    await cd48.connect();
+    transport.respond = () => {
+      setTimeout(() => transport.close(), 5);
+    };
+
+    await expect(cd48.getVersion()).rejects.toThrow(CommunicationError);
+
+    expect(cd48.isConnected()).toBe(false);
+    expect(events.map((e) => e.detail.reason)).toEqual(['lost']);
+  });
+
+  it('should report a device unplugged during a write as lost', async () => {
+    const events = record(cd48, ['disconnect']);
+    await cd48.connect();
+    transport.respond = () => {
+      transport.unplug();
+      return null;
+    };
+
+    await expect(cd48.getVersion()).rejects.toThrow(CommunicationError);
+    await expect(cd48.getVersion()).rejects.toThrow(NotConnectedError);
+
+    expect(events.map((e) => e.detail.reason)).toEqual(['lost']);
+  });
+
+  it('should auto-reconnect once an unplugged device returns', async () => {
+    const events = record(cd48, ['reconnect', 'reconnect-failed']);
+    cd48.autoReconnect = true;
+    cd48.reconnectAttempts = 1;
+    cd48.reconnectDelay = 1;
+    await cd48.connect();
+
+    transport.unplug();
+    await cd48.sleep(20);
+    expect(events.map((e) => e.type)).toEqual(['reconnect-failed']);
+
+    transport.replug();
+    await cd48.sleep(600);
+
+    expect(events.map((e) => e.type)).toEqual([
+      'reconnect-failed',
+      'reconnect',
+    ]);
+    expect(cd48.isConnected()).toBe(true);
+    expect(await cd48.getVersion()).toBe('CD48 v1.0');
+  });
+
+  it('should report which auto-reconnect attempt succeeded', async () => {
+    const events = record(cd48, ['reconnect']);
+    await cd48.connect();
+    const reopen = transport.reopen.bind(transport);
+    let failures = 1;
+    transport.reopen = async () => {
+      if (failures-- > 0) {
+        throw new Error('unplugged');
+      }
+      await reopen();
+    };
+    cd48.autoReconnect = true;
+    cd48.reconnectDelay = 1;
+
+    expect(await cd48._attemptAutoReconnect()).toBe(true);
+
+    expect(events.map((e) => e.detail)).toEqual([{ attempt: 2 }]);
+  });
+
+  it('should dispatch reconnect-failed after all attempts', async () => {
+    const events = record(cd48, ['reconnect-failed']);
+    transport.reopen = async () => {
+      throw new Error('unplugged');
+    };
+    cd48.autoReconnect = true;
+    cd48.reconnectAttempts = 2;
+    cd48.reconnectDelay = 1;
+
+    expect(await cd48._attemptAutoReconnect()).toBe(false);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].detail.attempts).toBe(2);
+    expect(events[0].detail.error.message).toContain('unplugged');
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ALL_COMMANDS,
+  FIRMWARE_CAPABILITIES,
+  parseVersion,
+  compareVersions,
+  getCapabilities,
+} from '../../firmware.js';
+import { MemoryTransport } from '../../transport.js';
+import { UnsupportedCommandError } from '../../errors.js';
+import CD48 from '../../cd48.js';
+
+const TABLE = [
+  {
+    minVersion: '0.9.0',
+    commands: ALL_COMMANDS.filter((c) => !'rRE'.includes(c)),
+    replyFormats: { counts: 'counts+overflow', settings: 'basic' },
+    countWidth: 24,
+  },
+  {
+    minVersion: '1.0.0',
+    commands: ALL_COMMANDS,
+    replyFormats: { counts: 'counts+overflow', settings: 'extended' },
+    countWidth: 32,
+  },
+];
+
+describe('parseVersion', () => {
+  it('should parse version strings as reported by the firmware', () => {
+    expect(parseVersion('CD48 Firmware v2.1.3')).toEqual({
+      major: 2,
+      minor: 1,
+      patch: 3,
+      prerelease: null,
+      raw: 'CD48 Firmware v2.1.3',
+    });
+    expect(parseVersion('CD48 v1.2 SN 0042')).toMatchObject({
+      major: 1,
+      minor: 2,
+      patch: 0,
+    });
+    expect(parseVersion('v1.0.0-beta.2').prerelease).toBe('beta.2');
+  });
+
+  it('should return null when there is no version number', () => {
+    expect(parseVersion('OK')).toBeNull();
+    expect(parseVersion('CD48')).toBeNull();
+    expect(parseVersion(null)).toBeNull();
+  });
+});
+
+describe('getCapabilities', () => {
+  it('should pick the newest entry not newer than the firmware', () => {
+    expect(getCapabilities(parseVersion('v0.9.5'), TABLE).countWidth).toBe(24);
+    expect(getCapabilities(parseVersion('v1.4.0'), TABLE).countWidth).toBe(32);
+    expect(compareVersions('v1.0.0', 'v0.9.9')).toBeGreaterThan(0);
+  });
+
+  it('should not restrict unknown firmware', () => {
+    expect(getCapabilities(null)).toBe(
+      FIRMWARE_CAPABILITIES[FIRMWARE_CAPABILITIES.length - 1]
+    );
+    expect(getCapabilities(null).commands).toEqual(ALL_COMMANDS);
+  });
+});
+
+describe('CD48 capability negotiation', () => {
+  function createDevice(version) {
+    const transport = new MemoryTransport({
+      respond: (command) =>
+        command === 'v' ? version : command === 'E' ? '0\r\n' : 'OK\r\n',
+    });
+    const cd48 = new CD48({
+      transport,
+      commandDelay: 1,
+      capabilityTable: TABLE,
+    });
+    return { transport, cd48 };
+  }
+
+  it('should parse the firmware version on connect', async () => {
+    const { cd48 } = createDevice('CD48 v1.1.0\r\n');
+    const events = [];
+    cd48.addEventListener('connect', (e) => events.push(e.detail));
+
+    await cd48.connect();
+
+    expect(cd48.firmware).toMatchObject({ major: 1, minor: 1, patch: 0 });
+    expect(cd48.capabilities.countWidth).toBe(32);
+    expect(events[0].firmware).toBe(cd48.firmware);
+    expect(await cd48.getOverflow()).toBe(0);
+  });
+
+  it('should reject commands the firmware lacks without sending them', async () => {
+    const { cd48, transport } = createDevice('CD48 v0.9.1\r\n');
+    await cd48.connect();
+    transport.written.length = 0;
+
+    await expect(cd48.setRepeat(500)).rejects.toThrow(UnsupportedCommandError);
+    const error = await cd48.getOverflow().catch((e) => e);
+    expect(error).toBeInstanceOf(UnsupportedCommandError);
+    expect(error.command).toBe('E');
+    expect(error.firmware).toBe('CD48 v0.9.1');
+    await expect(cd48.stream().next()).rejects.toThrow(UnsupportedCommandError);
+
+    expect(transport.written).toEqual([]);
+    expect(cd48.supports('c')).toBe(true);
+    expect(cd48.supports('X')).toBe(true);
+  });
+
+  it('should allow everything when the version cannot be read', async () => {
+    const { cd48 } = createDevice(undefined);
+    await cd48.connect();
+
+    expect(cd48.firmware).toBeNull();
+    expect(cd48.supports('E')).toBe(true);
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it, expect } from 'vitest';
+import { LineReader } from '../../line-reader.js';
+import { MemoryTransport } from '../../transport.js';
+import { getResponseFraming } from '../../protocol.js';
+import { CommandTimeoutError, CommunicationError } from '../../errors.js';
+import CD48 from '../../cd48.js';
+
+async function openTransport(options) {
+  const transport = new MemoryTransport(options);
+  await transport.open();
+  return transport;
+}
+
+describe('LineReader', () => {
+  it('should split chunks into lines across any terminator', async () => {
+    const transport = await openTransport();
+    const reader = new LineReader(transport);
+
+    transport.push('first\r');
+    transport.push('\nsec');
+    transport.push('ond\nthird\r\n');
+
+    expect(await reader.readLine(100)).toBe('first');
+    expect(await reader.readLine(100)).toBe('second');
+    expect(await reader.readLine(100)).toBe('third');
+  });
+
+  it('should note when each returned line began to arrive', async () => {
+    const transport = await openTransport();
+    const reader = new LineReader(transport);
+
+    const firstLine = reader.readLine(200);
+    transport.push('fir');
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    const pushedRest = performance.now();
+    transport.push('st\r\nsecond\r\n');
+
+    expect(await firstLine).toBe('first');
+    const first = reader.lastLineTime;
+    expect(await reader.readLine(100)).toBe('second');
+
+    expect(first).toBeLessThan(pushedRest - 20);
+    expect(reader.lastLineTime).toBeGreaterThanOrEqual(pushedRest);
+  });
+
+  it('should return null on timeout and keep late data', async () => {
+    const transport = await openTransport();
+    const reader = new LineReader(transport);
+
+    expect(await reader.readLine(20)).toBeNull();
+
+    // The read left outstanding by the timeout still receives this
+    transport.push('late\r\n');
+    expect(await reader.readLine(100)).toBe('late');
+  });
+
+  it('should discard buffered and already received data', async () => {
+    const transport = await openTransport();
+    const reader = new LineReader(transport);
+
+    transport.push('stale 1\r\nstale 2\r\npart');
+    expect(await reader.discard()).toBe('stale 1\nstale 2\npart');
+
+    transport.push('fresh\r\n');
+    expect(await reader.readLine(100)).toBe('fresh');
+  });
+
+  it('should report end of stream', async () => {
+    const transport = await openTransport();
+    const reader = new LineReader(transport);
+
+    await transport.close();
+    expect(await reader.readLine(100)).toBeNull();
+    expect(reader.isDone()).toBe(true);
+  });
+
+  it('should rethrow read errors once', async () => {
+    let calls = 0;
+    const reader = new LineReader({
+      read: async () => {
+        calls++;
+        if (calls === 1) {
+          throw new Error('Read error');
+        }
+        return { value: 'ok\n', done: false };
+      },
+    });
+
+    await expect(reader.readLine(100)).rejects.toThrow('Read error');
+    expect(await reader.readLine(100)).toBe('ok');
+  });
+
+  it('should report the end of stream and read errors to its hooks', async () => {
+    const transport = await openTransport();
+    let ends = 0;
+    const errors = [];
+    const reader = new LineReader(transport, {
+      onEnd: () => ends++,
+      onError: (error) => errors.push(error),
+    });
+
+    await transport.close();
+    await reader.readLine(100);
+    await reader.readLine(100);
+    expect(ends).toBe(1);
+
+    const failing = new LineReader(
+      {
+        read: async () => {
+          throw new Error('Read error');
+        },
+      },
+      { onError: (error) => errors.push(error) }
+    );
+    await expect(failing.readLine(100)).rejects.toThrow('Read error');
+    expect(errors.map((e) => e.message)).toEqual(['Read error']);
+  });
+});
+
+describe('Response framing', () => {
+  it('should frame variable-length replies by idle gap', () => {
+    expect(getResponseFraming('H').idleMs).toBeGreaterThan(0);
+    expect(getResponseFraming('P').idleMs).toBeGreaterThan(0);
+    expect(getResponseFraming('c')).toEqual({ lines: 1 });
+    expect(getResponseFraming('S01100')).toEqual({ lines: 1 });
+  });
+});
+
+describe('CD48 line-framed responses', () => {
+  const HELP = 'CD48 Commands:\r\n  v  version\r\n  c  counts\r\n';
+
+  function createDevice(respond) {
+    return new CD48({
+      transport: new MemoryTransport({ respond }),
+      commandDelay: 1,
+    });
+  }
+
+  it('should return every line of a multi-line reply', async () => {
+    const cd48 = createDevice((command) => (command === 'H' ? HELP : 'OK\r\n'));
+    await cd48.connect();
+
+    expect(await cd48.getHelp()).toBe(
+      'CD48 Commands:\n  v  version\n  c  counts'
+    );
+  });
+
+  it('should not leave multi-line output for the next command', async () => {
+    const cd48 = createDevice((command) =>
+      command === 'H' ? HELP : 'CD48 v1.0\r\n'
+    );
+    await cd48.connect();
+
+    await cd48.getHelp();
+    expect(await cd48.getVersion()).toBe('CD48 v1.0');
+  });
+
+  it('should discard stale output before sending a command', async () => {
+    const cd48 = createDevice(() => 'CD48 v1.0\r\n');
+    await cd48.connect();
+
+    cd48.transport.push('1 2 3 4 5 6 7 8 0\r\n');
+    expect(await cd48.getVersion()).toBe('CD48 v1.0');
+  });
+
+  it('should read a reply that arrives in pieces', async () => {
+    const transport = new MemoryTransport({
+      respond: () => {
+        setTimeout(() => transport.push('1 2 3 4 '), 5);
+        setTimeout(() => transport.push('5 6 7 8 0\r\n'), 15);
+      },
+    });
+    const cd48 = new CD48({ transport, commandDelay: 1 });
+    await cd48.connect();
+
+    const data = await cd48.getCounts();
+    expect(data.counts).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  it('should time out when no reply arrives', async () => {
+    const cd48 = createDevice(() => undefined);
+    await cd48.connect();
+
+    await expect(cd48.getVersion()).rejects.toThrow(CommandTimeoutError);
+  });
+
+  it('should fail when the stream closes mid-command', async () => {
+    const transport = new MemoryTransport();
+    const cd48 = new CD48({ transport, commandDelay: 1 });
+    await cd48.connect();
+    transport.respond = () => {
+      setTimeout(() => transport.close(), 5);
+    };
+
+    await expect(cd48.getVersion()).rejects.toThrow(CommunicationError);
+  });
+});
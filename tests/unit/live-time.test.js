@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { AbortError } from '../../errors.js';
+import { connectDevice } from '../mocks/cd48-device.js';
+
+const LATENCY_MS = 30;
+
+/**
+ * Device whose replies to 'c' arrive after a fixed serial latency.
+ */
+function connectSlowDevice() {
+  return connectDevice({
+    respond: (command, { transport, clock }) => {
+      if (command !== 'c') {
+        return 'OK\r\n';
+      }
+      clock.setTimeout(
+        () => transport.push('1000 2000 0 0 50 0 0 0 0\r\n'),
+        LATENCY_MS
+      );
+      return null;
+    },
+    cd48: { commandDelay: 10 },
+  });
+}
+
+describe('CD48 measured live time', () => {
+  it('should divide counts by the measured window', async () => {
+    const { cd48, clock } = await connectSlowDevice();
+    const started = clock.now();
+
+    const result = await cd48.measureRate(1, 0.1);
+    const elapsed = (clock.now() - started) / 1000;
+
+    expect(result.requestedDuration).toBe(0.1);
+    expect(result.duration).toBe(0.1);
+    // The sleep plus the command delay of the read, at least
+    expect(result.liveTime).toBeGreaterThan(0.1);
+    expect(result.liveTime).toBeLessThan(elapsed);
+    expect(result.rate).toBeCloseTo(2000 / result.liveTime, 6);
+  });
+
+  it('should report the timing uncertainty from the command round trips', async () => {
+    const { cd48 } = await connectSlowDevice();
+
+    const result = await cd48.measureRate(0, 0.1);
+
+    // Two spans of at least the latency each, as uniform uncertainties
+    const minimum = (Math.SQRT2 * LATENCY_MS) / Math.sqrt(12) / 1000;
+    expect(result.uncertainty.liveTime).toBeGreaterThanOrEqual(minimum * 0.9);
+    expect(result.uncertainty.rate).toBeGreaterThan(
+      result.uncertainty.counts / result.liveTime
+    );
+    expect(result.uncertainty.relative).toBeCloseTo(
+      (result.uncertainty.rate / result.rate) * 100,
+      6
+    );
+  });
+
+  it('should use the live time for coincidence rates', async () => {
+    const { cd48 } = await connectSlowDevice();
+
+    const result = await cd48.measureCoincidenceRate({ duration: 0.1 });
+
+    expect(result.requestedDuration).toBe(0.1);
+    expect(result.rateA).toBeCloseTo(1000 / result.liveTime, 6);
+    expect(result.coincidenceRate).toBeCloseTo(50 / result.liveTime, 6);
+    expect(result.accidentalRate).toBeCloseTo(
+      2 * 25e-9 * result.rateA * result.rateB,
+      12
+    );
+    expect(result.uncertainty.liveTime).toBeGreaterThan(0);
+  });
+
+  it('should report the live time of an aborted measurement', async () => {
+    const { cd48, clock } = await connectSlowDevice();
+    const controller = new AbortController();
+    clock.setTimeout(() => controller.abort(), 50);
+
+    const error = await cd48
+      .measureRate(1, 10, { signal: controller.signal })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(AbortError);
+    expect(error.partial.requestedDuration).toBe(10);
+    expect(error.partial.duration).toBe(error.partial.liveTime);
+    expect(error.partial.liveTime).toBeLessThan(1);
+  });
+});
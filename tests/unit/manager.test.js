@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { CD48Manager, matchesIdentity } from '../../manager.js';
+import { MemoryTransport } from '../../transport.js';
+import { ConnectionError, ValidationError } from '../../errors.js';
+
+/**
+ * Fake granted port backed by a MemoryTransport
+ */
+function createUnit(serial, productId = 1) {
+  const state = { counts: [0, 0, 0, 0, 0, 0, 0, 0], fail: false };
+  const transport = new MemoryTransport({
+    respond: (command) => {
+      if (command === 'v') {
+        return `CD48 v1.2 SN ${serial}\r\n`;
+      }
+      if (command === 'c' && !state.fail) {
+        return `${state.counts.join(' ')} 0\r\n`;
+      }
+      return undefined;
+    },
+  });
+  return {
+    state,
+    transport,
+    getInfo: () => ({ usbVendorId: 0x04b4, usbProductId: productId }),
+  };
+}
+
+describe('matchesIdentity', () => {
+  it('should compare fields and test regular expressions', () => {
+    const identity = { usbProductId: 1, version: 'CD48 v1.2 SN 0042' };
+    expect(matchesIdentity({ version: /SN 0042/ }, identity)).toBe(true);
+    expect(matchesIdentity({ usbProductId: 1 }, identity)).toBe(true);
+    expect(matchesIdentity({ usbProductId: 2 }, identity)).toBe(false);
+  });
+});
+
+describe('CD48Manager', () => {
+  let units;
+  let manager;
+
+  beforeEach(() => {
+    units = [createUnit('0042'), createUnit('0057'), createUnit('0099', 2)];
+    manager = new CD48Manager({
+      serial: {
+        getPorts: async () => [
+          ...units,
+          { getInfo: () => ({ usbVendorId: 0x1234, usbProductId: 1 }) },
+        ],
+        requestPort: async () => units[0],
+      },
+      createTransport: (port) => port.transport,
+      cd48Options: { commandDelay: 1 },
+    });
+  });
+
+  afterEach(async () => {
+    await manager.disconnectAll();
+  });
+
+  it('should list granted CD48 ports only', async () => {
+    const ports = await manager.listPorts();
+    expect(ports).toHaveLength(3);
+    expect(ports[2].info.usbProductId).toBe(2);
+    expect(ports.every((p) => p.name === null)).toBe(true);
+  });
+
+  it('should name units by matching their identity', async () => {
+    const { names, errors } = await manager.connectAll({
+      south: { version: /SN 0057/ },
+      north: { version: /SN 0042/ },
+    });
+
+    expect(errors).toEqual([]);
+    expect(names).toEqual(['north', 'south', 'unit1']);
+    expect(manager.getIdentity('south').version).toBe('CD48 v1.2 SN 0057');
+    expect(manager.getIdentity('unit1').usbProductId).toBe(2);
+    expect((await manager.listPorts()).map((p) => p.name)).toEqual([
+      'north',
+      'south',
+      'unit1',
+    ]);
+  });
+
+  it('should read counts from every unit with its own timestamps', async () => {
+    await manager.connectAll({
+      a: { version: /0042/ },
+      b: { version: /0057/ },
+    });
+    units[0].state.counts[0] = 10;
+    units[1].state.counts[0] = 20;
+    units[2].state.fail = true;
+
+    const before = Date.now();
+    const snapshot = await manager.getCounts();
+
+    expect(snapshot.a.counts[0]).toBe(10);
+    expect(snapshot.b.counts[0]).toBe(20);
+    expect(snapshot.a.requestedAt).toBeGreaterThanOrEqual(before);
+    expect(snapshot.a.timestamp).toBeGreaterThanOrEqual(snapshot.a.requestedAt);
+    expect(snapshot.unit1.error).toBeDefined();
+    expect(snapshot.unit1.counts).toBeUndefined();
+  });
+
+  it('should add, rename and remove units by name', async () => {
+    await manager.requestUnit('left');
+    await expect(manager.add('left', units[1])).rejects.toThrow(
+      ValidationError
+    );
+    await expect(manager.add('other', units[0])).rejects.toThrow(
+      ConnectionError
+    );
+
+    manager.rename('left', 'right');
+    expect(manager.getNames()).toEqual(['right']);
+    expect(manager.get('right').isConnected()).toBe(true);
+
+    await manager.remove('right');
+    expect(manager.getNames()).toEqual([]);
+    expect(units[0].transport.isOpen()).toBe(false);
+    expect(() => manager.get('right')).toThrow(ValidationError);
+  });
+
+  it('should reserve a name and a port while a unit connects', async () => {
+    const results = await Promise.allSettled([
+      manager.add('left', units[0]),
+      manager.add('left', units[1]),
+      manager.add('right', units[0]),
+    ]);
+
+    expect(results.map((r) => r.status)).toEqual([
+      'fulfilled',
+      'rejected',
+      'rejected',
+    ]);
+    expect(results[1].reason).toBeInstanceOf(ValidationError);
+    expect(results[2].reason).toBeInstanceOf(ConnectionError);
+    expect(manager.getNames()).toEqual(['left']);
+    expect(units[1].transport.isOpen()).toBe(false);
+  });
+
+  it('should not reconnect a unit to another unit', async () => {
+    await manager.connectAll({
+      north: { version: /SN 0042/ },
+      south: { version: /SN 0057/ },
+    });
+
+    // Replugged units whose ports came back the other way round
+    units[0].transport.respond = units[1].transport.respond;
+
+    const north = manager.get('north');
+    await expect(north.reconnect()).rejects.toThrow(/different device/);
+    expect(north.isConnected()).toBe(false);
+    expect(north.firmware.raw).toBe('CD48 v1.2 SN 0042');
+  });
+
+  it('should follow a unit to the port it reconnected on', async () => {
+    await manager.connectAll({ north: { version: /SN 0042/ } });
+
+    // The replugged device came back as a new SerialPort object
+    const replugged = { ...units[0] };
+    units[0].transport.port = replugged;
+    units[0] = replugged;
+
+    const ports = await manager.listPorts();
+    expect(ports.find((p) => p.port === replugged).name).toBe('north');
+    expect(await manager.connectAll()).toEqual({ names: [], errors: [] });
+  });
+});
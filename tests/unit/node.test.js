@@ -0,0 +1,88 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { CD48, NodeSerialTransport } from '../../node.js';
+import { ValidationError } from '../../errors.js';
+
+describe('NodeSerialTransport', () => {
+  let dir;
+  let fifo;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'jscd48-'));
+    fifo = join(dir, 'loopback');
+    execFileSync('mkfifo', [fifo]);
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should require a device path', () => {
+    expect(() => new NodeSerialTransport()).toThrow(ValidationError);
+  });
+
+  it('should report support under Node.js', () => {
+    const transport = new NodeSerialTransport({ path: fifo });
+    expect(transport.isSupported()).toBe(true);
+    expect(transport.baudRate).toBe(115200);
+  });
+
+  it('should read back what it writes over a FIFO loopback', async () => {
+    const transport = new NodeSerialTransport({
+      path: fifo,
+      configureTty: false,
+    });
+    await transport.open();
+    expect(transport.isOpen()).toBe(true);
+
+    await transport.write('v\r');
+    const { value, done } = await transport.read();
+    expect(done).toBe(false);
+    expect(value).toBe('v\r');
+
+    await transport.close();
+    expect(transport.isOpen()).toBe(false);
+    expect((await transport.read()).done).toBe(true);
+  });
+
+  it('should end pending reads on close', async () => {
+    const transport = new NodeSerialTransport({
+      path: fifo,
+      configureTty: false,
+    });
+    await transport.open();
+
+    const pending = transport.read();
+    await transport.close();
+
+    expect((await pending).done).toBe(true);
+  });
+
+  it('should reject when stty cannot configure the path', async () => {
+    const transport = new NodeSerialTransport({ path: fifo });
+    await expect(transport.open()).rejects.toThrow('stty failed');
+    expect(transport.isOpen()).toBe(false);
+  });
+
+  it('should let CD48 connect through the transport', async () => {
+    const transport = new NodeSerialTransport({
+      path: fifo,
+      configureTty: false,
+    });
+    const cd48 = new CD48({ transport, commandDelay: 1 });
+
+    await cd48.connect();
+    expect(cd48.isConnected()).toBe(true);
+
+    // The loopback echoes the command back as its own response
+    expect(await cd48.sendCommand('v')).toBe('v');
+
+    await cd48.disconnect();
+    expect(cd48.isConnected()).toBe(false);
+  });
+});
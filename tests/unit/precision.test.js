@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { AbortError, ValidationError } from '../../errors.js';
+import { connectDevice } from '../mocks/cd48-device.js';
+
+// Every count read finds 2500 counts on channel 0
+function respond(command) {
+  return command === 'c' ? '2500 1 0 0 0 0 0 0 0\r\n' : 'OK\r\n';
+}
+
+describe('CD48 measureRateToPrecision()', () => {
+  it('should count in chunks until the Poisson target is met', async () => {
+    const { cd48, transport } = await connectDevice({ respond });
+
+    const result = await cd48.measureRateToPrecision(0, {
+      targetRelativeUncertainty: 1,
+      chunk: 0.05,
+    });
+
+    // 1% needs 10000 counts: four chunks of 2500
+    expect(result.targetReached).toBe(true);
+    expect(result.chunks).toBe(4);
+    expect(result.counts).toBe(10000);
+    expect(transport.written).toHaveLength(5);
+    expect(result.uncertainty.counts).toBe(100);
+    expect(result.duration).toBe(result.liveTime);
+    expect(result.requestedDuration).toBe(60);
+    expect(result.rate).toBeCloseTo(10000 / result.liveTime, 6);
+    expect(result.uncertainty.relative).toBeGreaterThanOrEqual(1);
+    expect(result.targetRelativeUncertainty).toBe(1);
+  });
+
+  it('should stop at maxDuration when the target is out of reach', async () => {
+    const { cd48 } = await connectDevice({ respond });
+
+    const result = await cd48.measureRateToPrecision(1, {
+      targetRelativeUncertainty: 1,
+      maxDuration: 0.2,
+      chunk: 0.05,
+    });
+
+    expect(result.targetReached).toBe(false);
+    expect(result.counts).toBe(result.chunks);
+    expect(result.liveTime).toBeGreaterThanOrEqual(0.2);
+    expect(result.liveTime).toBeLessThan(0.5);
+    expect(result.channel).toBe(1);
+  });
+
+  it('should stop after one chunk when the first reading suffices', async () => {
+    const { cd48 } = await connectDevice({ respond });
+
+    const result = await cd48.measureRateToPrecision(0, {
+      targetRelativeUncertainty: 5,
+      chunk: 0.05,
+    });
+
+    expect(result.targetReached).toBe(true);
+    expect(result.chunks).toBe(1);
+  });
+
+  it('should reject with the counts so far when aborted', async () => {
+    const { cd48, clock } = await connectDevice({ respond });
+    const controller = new AbortController();
+    clock.setTimeout(() => controller.abort('stop'), 120);
+
+    const error = await cd48
+      .measureRateToPrecision(1, {
+        chunk: 0.05,
+        signal: controller.signal,
+      })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(AbortError);
+    expect(error.reason).toBe('stop');
+    expect(error.partial.targetReached).toBe(false);
+    expect(error.partial.counts).toBe(error.partial.chunks);
+    expect(error.partial.liveTime).toBeLessThan(1);
+  });
+
+  it('should reject invalid options', async () => {
+    const { cd48 } = await connectDevice({ respond });
+
+    await expect(
+      cd48.measureRateToPrecision(0, { targetRelativeUncertainty: 0 })
+    ).rejects.toThrow(ValidationError);
+    await expect(cd48.measureRateToPrecision(0, { chunk: -1 })).rejects.toThrow(
+      ValidationError
+    );
+    await expect(cd48.measureRateToPrecision(8)).rejects.toThrow(
+      ValidationError
+    );
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { SeededRandom } from '../../random.js';
+import { Statistics, Histogram } from '../../analysis.js';
+import { CD48Simulator } from '../../simulator.js';
+import { parseCounts } from '../../protocol.js';
+import { ValidationError } from '../../errors.js';
+
+function sample(random, n, draw) {
+  return Array.from({ length: n }, () => draw(random));
+}
+
+describe('SeededRandom', () => {
+  it('should repeat the sequence for the same seed', () => {
+    const a = new SeededRandom(42);
+    const b = new SeededRandom(42);
+    const c = new SeededRandom(43);
+
+    const first = sample(a, 5, (r) => r.next());
+    expect(sample(b, 5, (r) => r.next())).toEqual(first);
+    expect(sample(c, 5, (r) => r.next())).not.toEqual(first);
+    expect(first.every((x) => x >= 0 && x < 1)).toBe(true);
+  });
+
+  it('should accept string seeds and report the seed used', () => {
+    expect(new SeededRandom('run 1').next()).toBe(
+      new SeededRandom('run 1').next()
+    );
+
+    const random = new SeededRandom();
+    const replay = new SeededRandom(random.seed);
+    expect(replay.next()).toBe(random.next());
+  });
+
+  it('should reject invalid seeds and means', () => {
+    expect(() => new SeededRandom(NaN)).toThrow(ValidationError);
+    expect(() => new SeededRandom({})).toThrow(ValidationError);
+    expect(() => new SeededRandom(1).poisson(-1)).toThrow(ValidationError);
+  });
+
+  it('should draw Poisson counts with mean and variance equal', () => {
+    for (const mean of [0.5, 4, 250, 1e6]) {
+      const counts = sample(new SeededRandom(7), 20000, (r) => r.poisson(mean));
+      expect(counts.every(Number.isInteger)).toBe(true);
+      expect(Statistics.mean(counts)).toBeCloseTo(mean, -Math.log10(mean / 20));
+      expect(Statistics.variance(counts) / mean).toBeCloseTo(1, 1);
+    }
+    expect(new SeededRandom(7).poisson(0)).toBe(0);
+  });
+
+  it('should draw exponential and Gaussian numbers', () => {
+    const random = new SeededRandom(11);
+
+    const waits = sample(random, 20000, (r) => r.exponential(50));
+    expect(Statistics.mean(waits)).toBeCloseTo(0.02, 3);
+
+    const noise = sample(random, 20000, (r) => r.gaussian(10, 2));
+    expect(Statistics.mean(noise)).toBeCloseTo(10, 1);
+    expect(Statistics.standardDeviation(noise)).toBeCloseTo(2, 1);
+  });
+
+  it('should make statistics and histograms of simulated data exact', () => {
+    const run = () => {
+      const counts = sample(new SeededRandom('histogram'), 500, (r) =>
+        r.poisson(100)
+      );
+      return {
+        mean: Statistics.mean(counts),
+        histogram: Histogram.create(counts, { bins: 5 }),
+      };
+    };
+
+    expect(run()).toEqual(run());
+  });
+});
+
+describe('CD48Simulator seeding', () => {
+  it('should reproduce the count stream for a seed', () => {
+    const stream = (seed) => {
+      const clock = { ms: 0 };
+      const simulator = new CD48Simulator({
+        seed,
+        correlations: [{ inputs: ['A', 'B'], rate: 20 }],
+        now: () => clock.ms,
+      });
+      return [1000, 2000, 3000].map((ms) => {
+        clock.ms = ms;
+        return parseCounts(simulator.execute('c')).counts;
+      });
+    };
+
+    expect(stream(5)).toEqual(stream(5));
+    expect(stream(5)).not.toEqual(stream(6));
+  });
+});
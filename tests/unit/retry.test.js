@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import { MemoryTransport } from '../../transport.js';
+import {
+  CommandTimeoutError,
+  InvalidResponseError,
+  ValidationError,
+} from '../../errors.js';
+import CD48 from '../../cd48.js';
+import { connectDevice } from '../mocks/cd48-device.js';
+
+/**
+ * Device that, once connected, drops the reply to the first `drops`
+ * commands matching op
+ */
+async function connectFlakyDevice(op, drops, options = {}) {
+  let dropped = drops;
+  const device = await connectDevice({
+    respond: (command) => {
+      if (command.charAt(0) === op && dropped < drops) {
+        dropped++;
+        return null;
+      }
+      if (command === 'c') {
+        return '1 2 3 4 5 6 7 8 0\r\n';
+      }
+      return command === 'v' ? 'CD48 v1.0\r\n' : 'OK\r\n';
+    },
+    cd48: { commandTimeout: 50, ...options },
+  });
+  dropped = 0;
+  return device;
+}
+
+describe('CD48 command timeout', () => {
+  it('should use the commandTimeout option', async () => {
+    const { cd48, clock } = await connectFlakyDevice('v', 1);
+
+    const started = clock.now();
+    const error = await cd48.getVersion().catch((e) => e);
+
+    expect(error).toBeInstanceOf(CommandTimeoutError);
+    expect(error.message).toContain('50');
+    expect(clock.now() - started).toBeGreaterThanOrEqual(50);
+    expect(clock.now() - started).toBeLessThan(100);
+  });
+
+  it('should accept a timeout per call', async () => {
+    const { cd48 } = await connectFlakyDevice('v', 1);
+
+    const error = await cd48.sendCommand('v', { timeout: 20 }).catch((e) => e);
+
+    expect(error.message).toContain('20');
+  });
+});
+
+describe('CD48 retry policy', () => {
+  it('should not retry by default', async () => {
+    const { cd48, transport } = await connectFlakyDevice('v', 1);
+
+    await expect(cd48.getVersion()).rejects.toThrow(CommandTimeoutError);
+    expect(transport.written).toEqual(['v\r']);
+  });
+
+  it('should resend idempotent commands with exponential backoff', async () => {
+    const { cd48, transport } = await connectFlakyDevice('L', 2, {
+      retry: { maxAttempts: 3, initialDelayMs: 10, backoffFactor: 3 },
+    });
+    const retries = [];
+    cd48.addEventListener('retry', (event) => retries.push(event.detail));
+
+    await cd48.setTriggerLevel(1.0);
+
+    expect(transport.written).toEqual(['L63\r', 'L63\r', 'L63\r']);
+    expect(retries.map((r) => [r.attempt, r.delayMs])).toEqual([
+      [1, 10],
+      [2, 30],
+    ]);
+    expect(retries[0].error).toBeInstanceOf(CommandTimeoutError);
+  });
+
+  it('should give up after maxAttempts', async () => {
+    const { cd48, transport } = await connectFlakyDevice('v', 5, {
+      retry: { maxAttempts: 2, initialDelayMs: 1 },
+    });
+    const errors = [];
+    cd48.addEventListener('error', (event) => errors.push(event.detail));
+
+    await expect(cd48.getVersion()).rejects.toThrow(CommandTimeoutError);
+    expect(transport.written).toEqual(['v\r', 'v\r']);
+    expect(errors).toHaveLength(1);
+  });
+
+  it('should never resend the read-and-clear counts command', async () => {
+    const { cd48, transport } = await connectFlakyDevice('c', 1, {
+      retry: { maxAttempts: 5, initialDelayMs: 1 },
+    });
+
+    await expect(cd48.getCounts()).rejects.toThrow(CommandTimeoutError);
+    expect(transport.written).toEqual(['c\r']);
+  });
+
+  it('should only retry the configured error classes', async () => {
+    const { cd48, transport } = await connectFlakyDevice('v', 1, {
+      retry: {
+        maxAttempts: 3,
+        initialDelayMs: 1,
+        retryOn: [InvalidResponseError],
+      },
+    });
+
+    await expect(cd48.getVersion()).rejects.toThrow(CommandTimeoutError);
+    expect(transport.written).toEqual(['v\r']);
+  });
+
+  it('should let a call override or disable the policy', async () => {
+    const { cd48, transport } = await connectFlakyDevice('v', 1, {
+      retry: { maxAttempts: 3, initialDelayMs: 1 },
+    });
+
+    await expect(cd48.sendCommand('v', { retry: false })).rejects.toThrow(
+      CommandTimeoutError
+    );
+    expect(transport.written).toEqual(['v\r']);
+
+    transport.written.length = 0;
+    await expect(
+      cd48.sendCommand('S0', { retry: { maxAttempts: 1 } })
+    ).resolves.toBe('OK');
+    expect(transport.written).toEqual(['S0\r']);
+  });
+
+  it('should reject an invalid policy in the constructor', () => {
+    expect(
+      () =>
+        new CD48({
+          transport: new MemoryTransport(),
+          retry: { idempotentCommands: ['c'] },
+        })
+    ).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,441 @@
+import { describe, it, expect } from 'vitest';
+import { MemoryTransport } from '../../transport.js';
+import { parseSettings, diffSettings } from '../../protocol.js';
+import {
+  InvalidResponseError,
+  SettingsMismatchError,
+  ValidationError,
+} from '../../errors.js';
+import { FIRMWARE_CAPABILITIES } from '../../firmware.js';
+import { SimulatorTransport } from '../../simulator.js';
+import { VirtualClock } from '../../clock.js';
+import CD48 from '../../cd48.js';
+
+/**
+ * Device that keeps its settings until it is reopened, then powers on
+ * with defaults, like a CD48 after a USB reconnect
+ */
+function createStatefulDevice() {
+  const defaults = () => ({
+    channels: Array.from({ length: 8 }, () => '0000'),
+    trigger: 128,
+    dac: 0,
+    impedance: 0,
+    repeat: 0,
+    interval: 1000,
+  });
+  const device = { state: defaults(), ignore: new Set() };
+
+  const transport = new MemoryTransport({
+    respond: (command) => {
+      const state = device.state;
+      const op = command.charAt(0);
+      if (device.ignore.has(op)) {
+        return 'OK\r\n';
+      }
+      switch (op) {
+        case 'S':
+          state.channels[Number(command[1])] = command.slice(2, 6);
+          break;
+        case 'L':
+          state.trigger = Number(command.slice(1));
+          break;
+        case 'V':
+          state.dac = Number(command.slice(1));
+          break;
+        case 'z':
+        case 'Z':
+          state.impedance = op === 'z' ? 1 : 0;
+          break;
+        case 'r':
+          state.interval = Number(command.slice(1));
+          break;
+        case 'R':
+          state.repeat = state.repeat ? 0 : 1;
+          break;
+        case 'p':
+          return (
+            [
+              ...state.channels,
+              state.trigger,
+              state.dac,
+              state.impedance,
+              state.repeat,
+              state.interval,
+            ].join(' ') + '\r\n'
+          );
+      }
+      return 'OK\r\n';
+    },
+  });
+
+  const reopen = transport.reopen.bind(transport);
+  transport.reopen = async () => {
+    device.state = defaults();
+    await reopen();
+  };
+
+  device.transport = transport;
+  return device;
+}
+
+/**
+ * Capability table for firmware with the extended settings reply
+ */
+const EXTENDED_FIRMWARE = [
+  {
+    ...FIRMWARE_CAPABILITIES[0],
+    replyFormats: { counts: 'counts+overflow', settings: 'extended' },
+  },
+];
+
+describe('parseSettings', () => {
+  it('should parse masks in either notation and the optional fields', () => {
+    const settings = parseSettings('1100 3 0 0 0 0 0 0 100 50 1 0 500');
+
+    expect(settings.channels[0]).toEqual({ A: 1, B: 1, C: 0, D: 0 });
+    expect(settings.channels[1]).toEqual({ A: 1, B: 1, C: 0, D: 0 });
+    expect(settings.triggerLevel).toBe(100);
+    expect(settings.dacVoltage).toBe(50);
+    expect(settings.impedance).toBe('50ohm');
+    expect(settings.repeatEnabled).toBe(false);
+    expect(settings.repeatInterval).toBe(500);
+  });
+
+  it('should report fields older firmware omits as null', () => {
+    const settings = parseSettings('0 0 0 0 0 0 0 0 128 0');
+
+    expect(settings.impedance).toBeNull();
+    expect(settings.repeatEnabled).toBeNull();
+    expect(settings.repeatInterval).toBeNull();
+  });
+
+  it('should reject malformed replies', () => {
+    expect(() => parseSettings('OK')).toThrow(InvalidResponseError);
+    expect(() => parseSettings('0 0 0 0 0 0 0 0 300 0')).toThrow(
+      InvalidResponseError
+    );
+    expect(() => parseSettings('0 0 0 0 0 0 0 99 128 0')).toThrow(
+      InvalidResponseError
+    );
+  });
+
+  it('should read the fields of the firmware reply format', () => {
+    const reply = '0 0 0 0 0 0 0 0 128 0 1 0 500';
+
+    expect(parseSettings(reply, 'basic').impedance).toBeNull();
+    expect(parseSettings(reply, 'extended').impedance).toBe('50ohm');
+    expect(() => parseSettings('0 0 0 0 0 0 0 0 128 0', 'extended')).toThrow(
+      InvalidResponseError
+    );
+    expect(() => parseSettings(reply, 'full')).toThrow(ValidationError);
+  });
+});
+
+describe('diffSettings', () => {
+  it('should compare only expected settings the device reports', () => {
+    const actual = parseSettings('1000 0 0 0 0 0 0 0 128 0');
+
+    expect(
+      diffSettings(
+        { channels: { 0: { A: 1, B: 0, C: 0, D: 0 } }, impedance: 'highz' },
+        actual
+      )
+    ).toEqual([]);
+    expect(diffSettings({ channels: {}, triggerLevel: 100 }, actual)).toEqual([
+      { setting: 'triggerLevel', expected: 100, actual: 128 },
+    ]);
+  });
+});
+
+describe('CD48 settings restore', () => {
+  it('should replay applied settings after reconnect', async () => {
+    const device = createStatefulDevice();
+    const cd48 = new CD48({ transport: device.transport, commandDelay: 1 });
+    await cd48.connect();
+
+    await cd48.setChannel(4, { A: 1, B: 0, C: 1, D: 0 });
+    await cd48.setTriggerLevel(0.5);
+    await cd48.setImpedance50Ohm();
+    await cd48.setDacVoltage(1.0);
+    await cd48.setRepeat(500);
+    const before = { ...device.state, channels: [...device.state.channels] };
+
+    await cd48.reconnect();
+
+    expect(device.state).toEqual(before);
+  });
+
+  it('should not replay anything when nothing was set', async () => {
+    const device = createStatefulDevice();
+    const cd48 = new CD48({ transport: device.transport, commandDelay: 1 });
+    await cd48.connect();
+
+    device.transport.written.length = 0;
+    await cd48.reconnect();
+
+    expect(device.transport.written).toEqual(['v\r']);
+  });
+
+  it('should re-enable repeat mode after verifying', async () => {
+    const device = createStatefulDevice();
+    const cd48 = new CD48({ transport: device.transport, commandDelay: 1 });
+    await cd48.connect();
+
+    await cd48.setRepeat(200);
+    await cd48.toggleRepeat();
+    device.transport.written.length = 0;
+    await cd48.reconnect();
+
+    expect(device.transport.written).toEqual(['v\r', 'r200\r', 'p\r', 'R\r']);
+    expect(device.state.repeat).toBe(1);
+  });
+
+  it('should fail the reconnect when settings do not read back', async () => {
+    const device = createStatefulDevice();
+    const cd48 = new CD48({ transport: device.transport, commandDelay: 1 });
+    await cd48.connect();
+
+    await cd48.setTriggerLevel(1.0);
+    device.ignore.add('L');
+
+    const error = await cd48.reconnect().catch((e) => e);
+    expect(error).toBeInstanceOf(SettingsMismatchError);
+    expect(error.mismatches.map((m) => m.setting)).toEqual(['triggerLevel']);
+    expect(cd48.isConnected()).toBe(true);
+  });
+
+  it('should not retry an auto-reconnect over a settings mismatch', async () => {
+    const device = createStatefulDevice();
+    const cd48 = new CD48({
+      transport: device.transport,
+      commandDelay: 1,
+      autoReconnect: true,
+      reconnectDelay: 1,
+    });
+    await cd48.connect();
+    await cd48.setTriggerLevel(1.0);
+    device.ignore.add('L');
+
+    const events = [];
+    for (const type of ['reconnect', 'reconnect-failed', 'error']) {
+      cd48.addEventListener(type, (event) => events.push({ type, event }));
+    }
+    const reopen = device.transport.reopen;
+    let reopened = 0;
+    device.transport.reopen = async () => {
+      reopened++;
+      await reopen();
+    };
+
+    expect(await cd48._attemptAutoReconnect()).toBe(true);
+
+    expect(reopened).toBe(1);
+    expect(events.map((e) => e.type)).toEqual(['reconnect', 'error']);
+    expect(events[1].event.detail.error).toBeInstanceOf(SettingsMismatchError);
+    expect(cd48.isConnected()).toBe(true);
+  });
+
+  it('should hold other commands until the replay is done', async () => {
+    const device = createStatefulDevice();
+    const cd48 = new CD48({ transport: device.transport, commandDelay: 1 });
+    await cd48.connect();
+
+    await cd48.setDacVoltage(2.0);
+    device.transport.written.length = 0;
+
+    // Keep the replay busy while another command is issued
+    const respond = device.transport.respond;
+    device.transport.respond = async (command) => {
+      if (command.startsWith('V')) {
+        await cd48.sleep(100);
+      }
+      return respond(command);
+    };
+
+    const reconnecting = cd48.reconnect();
+    await cd48.sleep(550);
+    const settings = cd48.getSettings(false);
+    await reconnecting;
+
+    expect(parseSettings(await settings).dacVoltage).toBe(125);
+    expect(device.transport.written).toEqual(['v\r', 'V125\r', 'p\r', 'p\r']);
+  });
+
+  it('should hold commands sent while the port is reopening', async () => {
+    const clock = new VirtualClock({ autoAdvance: true });
+    const transport = new SimulatorTransport({ clock, seed: 'restore' });
+    const cd48 = new CD48({
+      clock,
+      transport,
+      commandDelay: 1,
+      autoReconnect: true,
+      reconnectDelay: 10,
+    });
+    await cd48.connect();
+    await cd48.setChannel(5, { A: 0, B: 1, C: 1, D: 0 });
+    await cd48.setTriggerLevel(1.0);
+
+    // Let the attempts while unplugged run out
+    transport.unplug();
+    await cd48.sleep(1000);
+    transport.written.length = 0;
+
+    transport.replug();
+    await cd48.sleep(100);
+    expect(cd48.isConnected()).toBe(true);
+    const settings = parseSettings(await cd48.getSettings(false));
+
+    expect(transport.written.map((line) => line.charAt(0))).toEqual([
+      'v',
+      'S',
+      'L',
+      'p',
+      'p',
+    ]);
+    expect(settings.channels[5]).toEqual({ A: 0, B: 1, C: 1, D: 0 });
+    expect(settings.triggerLevel).toBe(63);
+  });
+
+  it('should start from defaults on a fresh connect', async () => {
+    const device = createStatefulDevice();
+    const cd48 = new CD48({ transport: device.transport, commandDelay: 1 });
+    await cd48.connect();
+    await cd48.setTriggerLevel(1.0);
+    await cd48.disconnect();
+
+    await cd48.connect();
+    device.transport.written.length = 0;
+    await cd48.reconnect();
+
+    expect(device.transport.written).toEqual(['v\r']);
+  });
+});
+
+describe('CD48 getDeviceState()', () => {
+  it('should return structured settings with voltages', async () => {
+    const device = createStatefulDevice();
+    const cd48 = new CD48({
+      transport: device.transport,
+      commandDelay: 1,
+      capabilityTable: EXTENDED_FIRMWARE,
+    });
+    await cd48.connect();
+
+    await cd48.setChannel(2, { A: 1, B: 1, C: 0, D: 0 });
+    await cd48.setTriggerLevel(1.0);
+    await cd48.setImpedance50Ohm();
+    const state = await cd48.getDeviceState();
+
+    expect(state.channels).toHaveLength(8);
+    expect(state.channels[2]).toEqual({ A: 1, B: 1, C: 0, D: 0 });
+    expect(state.triggerLevelByte).toBe(63);
+    expect(state.triggerLevel).toBeCloseTo(CD48.byteToVoltage(63), 6);
+    expect(state.dacVoltage).toBe(0);
+    expect(state.impedance).toBe('50ohm');
+    expect(state.repeatEnabled).toBe(false);
+    expect(state.repeatInterval).toBe(1000);
+  });
+
+  it('should leave fields outside the basic format unknown', async () => {
+    const device = createStatefulDevice();
+    const cd48 = new CD48({ transport: device.transport, commandDelay: 1 });
+    await cd48.connect();
+    await cd48.setImpedance50Ohm();
+
+    const state = await cd48.getDeviceState();
+
+    expect(cd48.capabilities.replyFormats.settings).toBe('basic');
+    expect(state.triggerLevelByte).toBe(128);
+    expect(state.impedance).toBeNull();
+    expect(state.repeatInterval).toBeNull();
+  });
+
+  it('should throw InvalidResponseError on malformed output', async () => {
+    const cd48 = new CD48({
+      transport: new MemoryTransport({ respond: () => 'Settings?\r\n' }),
+      commandDelay: 1,
+    });
+    await cd48.connect();
+
+    await expect(cd48.getDeviceState()).rejects.toThrow(InvalidResponseError);
+  });
+});
+
+describe('CD48 configure()', () => {
+  const config = {
+    channels: { 0: { A: 1 }, 4: { A: 1, B: 1 } },
+    triggerLevel: 0.5,
+    impedance: '50ohm',
+    dacVoltage: 0,
+  };
+
+  it('should send only settings that differ from the device', async () => {
+    const device = createStatefulDevice();
+    const cd48 = new CD48({ transport: device.transport, commandDelay: 1 });
+    await cd48.connect();
+    device.transport.written.length = 0;
+
+    const report = await cd48.configure(config);
+
+    expect(report.applied).toEqual([
+      'channel0',
+      'channel4',
+      'triggerLevel',
+      'impedance',
+    ]);
+    expect(report.mismatches).toEqual([]);
+    expect(report.state.channels[4]).toEqual({ A: 1, B: 1, C: 0, D: 0 });
+    expect(device.transport.written).toEqual([
+      'p\r',
+      'S01000\r',
+      'S41100\r',
+      'L31\r',
+      'z\r',
+      'p\r',
+    ]);
+  });
+
+  it('should send nothing when the device already matches', async () => {
+    const device = createStatefulDevice();
+    const cd48 = new CD48({
+      transport: device.transport,
+      commandDelay: 1,
+      capabilityTable: EXTENDED_FIRMWARE,
+    });
+    await cd48.connect();
+    await cd48.configure(config);
+
+    device.transport.written.length = 0;
+    const report = await cd48.configure(config);
+
+    expect(report.applied).toEqual([]);
+    expect(device.transport.written).toEqual(['p\r', 'p\r']);
+  });
+
+  it('should report settings that do not take effect', async () => {
+    const device = createStatefulDevice();
+    const cd48 = new CD48({ transport: device.transport, commandDelay: 1 });
+    await cd48.connect();
+    device.ignore.add('V');
+
+    const report = await cd48.configure({ dacVoltage: 2.04 });
+
+    expect(report.applied).toEqual(['dacVoltage']);
+    expect(report.mismatches).toEqual([
+      { setting: 'dacVoltage', expected: 128, actual: 0 },
+    ]);
+  });
+
+  it('should validate before sending anything', async () => {
+    const device = createStatefulDevice();
+    const cd48 = new CD48({ transport: device.transport, commandDelay: 1 });
+    await cd48.connect();
+    device.transport.written.length = 0;
+
+    await expect(cd48.configure({ triggerLvl: 0.5 })).rejects.toThrow(
+      ValidationError
+    );
+    expect(device.transport.written).toEqual([]);
+  });
+});
@@ -0,0 +1,356 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CD48Simulator,
+  SimulatorTransport,
+  DEFAULT_CHANNEL_MASKS,
+  NO_FAULTS,
+} from '../../simulator.js';
+import { parseCounts, parseSettings } from '../../protocol.js';
+import {
+  CommandTimeoutError,
+  InvalidResponseError,
+  ValidationError,
+} from '../../errors.js';
+import { SeededRandom } from '../../random.js';
+import CD48 from '../../cd48.js';
+
+/**
+ * Simulator whose time only moves when the test says so
+ */
+function createSimulator(options = {}) {
+  const clock = { ms: 0 };
+  const simulator = new CD48Simulator({ now: () => clock.ms, ...options });
+  return { simulator, clock };
+}
+
+describe('CD48Simulator', () => {
+  it('should answer queries with the power-on settings', () => {
+    const { simulator } = createSimulator();
+
+    expect(simulator.execute('v')).toBe('CD48 v1.0.0\r\n');
+    expect(simulator.execute('p')).toBe(
+      `${DEFAULT_CHANNEL_MASKS.join(' ')} 128 0\r\n`
+    );
+    expect(simulator.execute('c')).toBe('0 0 0 0 0 0 0 0 0\r\n');
+    expect(simulator.execute('E')).toBe('0\r\n');
+  });
+
+  it('should apply setters and report them in the settings', () => {
+    const { simulator } = createSimulator({
+      capabilityTable: [
+        {
+          minVersion: '1.0.0',
+          commands: ['v', 'p', 'S', 'L', 'V', 'z', 'r'],
+          replyFormats: { counts: 'counts+overflow', settings: 'extended' },
+          countWidth: 32,
+        },
+      ],
+    });
+
+    for (const command of ['S41010', 'L200', 'V51', 'z', 'r500']) {
+      expect(simulator.execute(command)).toBe('OK\r\n');
+    }
+    const settings = parseSettings(simulator.execute('p'));
+    expect(settings.channels[4]).toEqual({ A: 1, B: 0, C: 1, D: 0 });
+    expect(settings.triggerLevel).toBe(200);
+    expect(settings.dacVoltage).toBe(51);
+    expect(settings.impedance).toBe('50ohm');
+    expect(settings.repeatInterval).toBe(500);
+    expect(simulator.execute('T')).toBe('Invalid command\r\n');
+  });
+
+  it('should reject malformed and unknown commands', () => {
+    const { simulator } = createSimulator();
+
+    for (const command of ['S8', 'S91000', 'L256', 'Vx', 'r50', 'vv', 'x']) {
+      expect(simulator.execute(command)).toBe('Invalid command\r\n');
+    }
+  });
+
+  it('should count pulses and clear on read', () => {
+    const { simulator, clock } = createSimulator({
+      rates: { A: 1000, B: 0, C: 0, D: 0 },
+    });
+
+    clock.ms = 10000;
+    const { counts } = parseCounts(simulator.execute('c'));
+    expect(counts[0]).toBeGreaterThan(9500);
+    expect(counts[0]).toBeLessThan(10500);
+    expect(counts.slice(1)).toEqual([0, 0, 0, 0, 0, 0, 0]);
+    expect(simulator.execute('c')).toBe('0 0 0 0 0 0 0 0 0\r\n');
+  });
+
+  it('should count correlated pulses on the coincidence channels', () => {
+    const { simulator, clock } = createSimulator({
+      rates: { A: 500, B: 500, C: 0, D: 0 },
+      correlations: [{ inputs: ['A', 'B'], rate: 200 }],
+    });
+
+    clock.ms = 10000;
+    const { counts } = parseCounts(simulator.execute('c'));
+    // A+B on channel 4 sees the correlated source and few accidentals
+    expect(counts[4]).toBeGreaterThan(1800);
+    expect(counts[4]).toBeLessThan(2200);
+    expect(counts[0]).toBeGreaterThan(counts[4] + 4500);
+    // A+C and B+C+D never fire without pulses on C
+    expect(counts[5]).toBe(0);
+    expect(counts[7]).toBe(0);
+  });
+
+  it('should produce accidentals at 2 * tau * R1 * R2', () => {
+    const { simulator, clock } = createSimulator({
+      rates: { A: 100, B: 100, C: 0, D: 0 },
+      coincidenceWindow: 1e-3,
+    });
+
+    clock.ms = 100000;
+    const { counts } = parseCounts(simulator.execute('c'));
+    const expected = 2 * 1e-3 * (counts[0] / 100) * (counts[1] / 100) * 100;
+    expect(counts[4]).toBeGreaterThan(expected * 0.85);
+    expect(counts[4]).toBeLessThan(expected * 1.15);
+  });
+
+  it('should follow reprogrammed masks', () => {
+    const { simulator, clock } = createSimulator({
+      rates: { A: 0, B: 0, C: 0, D: 0 },
+      correlations: [{ inputs: ['B', 'C', 'D'], rate: 100 }],
+    });
+
+    simulator.execute('S00111');
+    clock.ms = 5000;
+    const { counts } = parseCounts(simulator.execute('c'));
+    expect(counts[0]).toBe(counts[7]);
+    expect(counts[4]).toBe(0);
+    expect(counts[7]).toBeGreaterThan(0);
+  });
+
+  it('should wrap counters at the firmware counter width', () => {
+    const { simulator, clock } = createSimulator({
+      rates: { A: 1000, B: 0, C: 0, D: 0 },
+      capabilityTable: [
+        {
+          minVersion: '1.0.0',
+          commands: ['c', 'E'],
+          replyFormats: { counts: 'counts+overflow', settings: 'basic' },
+          countWidth: 8,
+        },
+      ],
+    });
+
+    clock.ms = 2000;
+    expect(simulator.getState().overflow).toBe(1);
+    const { counts, overflow } = parseCounts(simulator.execute('c'));
+    expect(counts[0]).toBeLessThan(256);
+    expect(overflow).toBe(1);
+    // The flag stays set until 'E' reads and clears it
+    expect(parseCounts(simulator.execute('c')).overflow).toBe(1);
+    expect(simulator.execute('E')).toBe('1\r\n');
+    expect(parseCounts(simulator.execute('c')).overflow).toBe(0);
+  });
+
+  it('should reject invalid sources', () => {
+    expect(() => new CD48Simulator({ rates: { E: 1 } })).toThrow(
+      ValidationError
+    );
+    expect(() => new CD48Simulator({ rates: { A: -1 } })).toThrow(
+      ValidationError
+    );
+    expect(
+      () => new CD48Simulator({ correlations: [{ inputs: ['A'], rate: 1 }] })
+    ).toThrow(ValidationError);
+  });
+});
+
+describe('SimulatorTransport', () => {
+  it('should let CD48 parse the simulated replies', async () => {
+    const transport = new SimulatorTransport({
+      rates: { A: 2000, B: 2000, C: 0, D: 0 },
+      correlations: [{ inputs: ['A', 'B'], rate: 500 }],
+    });
+    const cd48 = new CD48({ transport, commandDelay: 1 });
+    await cd48.connect();
+
+    expect(cd48.firmware.raw).toBe('CD48 v1.0.0');
+    const state = await cd48.getDeviceState();
+    expect(state.channels[7]).toEqual({ A: 0, B: 1, C: 1, D: 1 });
+
+    const result = await cd48.measureNFoldCoincidenceRate({
+      inputs: ['A', 'B'],
+      duration: 0.5,
+    });
+    expect(result.coincidenceChannel).toBe(4);
+    expect(result.coincidences).toBeGreaterThan(0);
+
+    expect(await cd48.getSettings()).toContain('Counter 4: A+B');
+    expect((await cd48.getHelp()).split('\n').length).toBeGreaterThan(10);
+    await cd48.disconnect();
+  });
+
+  it('should stream repeat output', async () => {
+    const transport = new SimulatorTransport();
+    const cd48 = new CD48({ transport, commandDelay: 1 });
+    await cd48.connect();
+
+    const records = [];
+    for await (const record of cd48.stream({ intervalMs: 100 })) {
+      records.push(record);
+      if (records.length === 2) {
+        break;
+      }
+    }
+    expect(records[1].counts).toHaveLength(8);
+    expect(transport.simulator.settings.repeatEnabled).toBe(false);
+    await cd48.disconnect();
+  });
+
+  it('should come back at power-on settings after an unplug', async () => {
+    const transport = new SimulatorTransport();
+    const cd48 = new CD48({ transport, commandDelay: 1 });
+    await cd48.connect();
+    await cd48.setTriggerLevel(1.0);
+
+    transport.unplug();
+    expect(cd48.isConnected()).toBe(false);
+    expect(transport.simulator.settings.triggerLevel).toBe(128);
+    transport.replug();
+    await cd48.reconnect();
+
+    expect((await cd48.getDeviceState()).triggerLevelByte).toBe(63);
+    await cd48.disconnect();
+  });
+});
+
+describe('SimulatorTransport faults', () => {
+  async function connect(options = {}) {
+    const transport = new SimulatorTransport({ seed: 'faults', ...options });
+    const cd48 = new CD48({ transport, commandDelay: 1, ...options.cd48 });
+    await cd48.connect();
+    return { transport, cd48 };
+  }
+
+  it('should validate fault settings', () => {
+    const transport = new SimulatorTransport();
+
+    expect(() => transport.setFaults({ dropRate: 2 })).toThrow(ValidationError);
+    expect(() => transport.setFaults({ latency: 5 })).toThrow(ValidationError);
+    expect(() => transport.setFaults({ stuckChannels: [8] })).toThrow(
+      ValidationError
+    );
+    expect(() => transport.setFaults({ disconnectAfter: 1.5 })).toThrow(
+      ValidationError
+    );
+    expect(transport.faults).toEqual(NO_FAULTS);
+  });
+
+  it('should not draw fault decisions from the pulse sequence', () => {
+    const decide = (random) =>
+      Array.from({ length: 32 }, () => random.next() < 0.5);
+    const transport = new SimulatorTransport({ seed: 42 });
+
+    const faults = decide(transport.random);
+
+    expect(faults).not.toEqual(decide(new SeededRandom(42)));
+    expect(faults).toEqual(decide(new SimulatorTransport({ seed: 42 }).random));
+  });
+
+  it('should delay replies by the latency', async () => {
+    const { transport, cd48 } = await connect();
+    transport.setFaults({ latencyMs: 150 });
+
+    const start = Date.now();
+    expect(await cd48.getVersion()).toBe('CD48 v1.0.0');
+    expect(Date.now() - start).toBeGreaterThanOrEqual(140);
+
+    await expect(
+      cd48.sendCommand('v', { timeout: 50, retry: false })
+    ).rejects.toThrow(CommandTimeoutError);
+    await cd48.disconnect();
+  });
+
+  it('should time out when every byte is dropped', async () => {
+    const { transport, cd48 } = await connect();
+    transport.setFaults({ dropRate: 1 });
+
+    await expect(cd48.sendCommand('v', { timeout: 100 })).rejects.toThrow(
+      CommandTimeoutError
+    );
+
+    transport.clearFaults();
+    expect(await cd48.getVersion()).toBe('CD48 v1.0.0');
+    await cd48.disconnect();
+  });
+
+  it('should duplicate and garble output', async () => {
+    const { transport, cd48 } = await connect({
+      rates: { A: 0, B: 0, C: 0, D: 0 },
+    });
+
+    transport.setFaults({ duplicateRate: 1 });
+    expect(await cd48.getVersion()).toBe('CCDD4488  vv11..00..00');
+
+    transport.setFaults({ duplicateRate: 0, garbleRate: 1 });
+    await expect(cd48.getCounts()).rejects.toThrow(InvalidResponseError);
+    await cd48.disconnect();
+  });
+
+  it('should cut replies short', async () => {
+    const { transport, cd48 } = await connect();
+    transport.setFaults({ partialRate: 1 });
+
+    await expect(cd48.sendCommand('p', { timeout: 100 })).rejects.toThrow(
+      CommandTimeoutError
+    );
+    await cd48.disconnect();
+  });
+
+  it('should freeze stuck counters until the fault is cleared', async () => {
+    const clock = { ms: 0 };
+    const simulator = new CD48Simulator({
+      rates: { A: 100, B: 100, C: 0, D: 0 },
+      seed: 'stuck',
+      now: () => clock.ms,
+    });
+    const transport = new SimulatorTransport({ simulator });
+
+    clock.ms = 1000;
+    transport.setFaults({ stuckChannels: [0] });
+    const frozen = simulator.getState().counts[0];
+    clock.ms = 2000;
+    const first = parseCounts(simulator.execute('c')).counts;
+    clock.ms = 3000;
+    const second = parseCounts(simulator.execute('c')).counts;
+
+    expect(first[0]).toBe(frozen);
+    expect(second[0]).toBe(frozen);
+    expect(second[1]).toBeGreaterThan(0);
+    expect(second[1]).toBeLessThan(first[1]);
+
+    transport.clearFaults();
+    clock.ms = 4000;
+    expect(parseCounts(simulator.execute('c')).counts[0]).not.toBe(frozen);
+  });
+
+  it('should disconnect after N commands and reappear later', async () => {
+    const { transport, cd48 } = await connect({
+      cd48: { autoReconnect: true, reconnectDelay: 100 },
+    });
+    const events = [];
+    cd48.addEventListener('disconnect', (e) => events.push(e.detail.reason));
+    cd48.addEventListener('reconnect', () => events.push('reconnect'));
+    await cd48.setTriggerLevel(1.0);
+
+    transport.setFaults({ disconnectAfter: 2, reappearAfterMs: 300 });
+    await cd48.getVersion();
+    await cd48.getVersion();
+    await expect(cd48.getVersion()).rejects.toThrow();
+    expect(cd48.isConnected()).toBe(false);
+
+    await new Promise((resolve) => {
+      cd48.addEventListener('reconnect', resolve);
+    });
+    expect(events).toEqual(['lost', 'reconnect']);
+    expect(transport.faults.disconnectAfter).toBeNull();
+    expect((await cd48.getDeviceState()).triggerLevelByte).toBe(63);
+    await cd48.disconnect();
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { MemoryTransport } from '../../transport.js';
+import { parseCounts, decodeOverflow } from '../../protocol.js';
+import { InvalidResponseError, CommunicationError } from '../../errors.js';
+import { SimulatorTransport } from '../../simulator.js';
+import { VirtualClock } from '../../clock.js';
+import CD48 from '../../cd48.js';
+
+/**
+ * Minimal device that pushes a count line every repeat interval
+ */
+function createRepeatingDevice() {
+  const state = { interval: 1000, timer: null, sent: 0 };
+
+  const transport = new MemoryTransport({
+    respond: (command) => {
+      if (command.startsWith('r')) {
+        state.interval = parseInt(command.slice(1));
+        return 'OK\r\n';
+      }
+      if (command === 'R') {
+        if (state.timer) {
+          clearInterval(state.timer);
+          state.timer = null;
+        } else {
+          state.timer = setInterval(() => {
+            state.sent++;
+            const overflow = state.sent === 2 ? 5 : 0;
+            transport.push(`${state.sent} 0 0 0 0 0 0 0 ${overflow}\r\n`);
+          }, state.interval);
+        }
+        return 'OK\r\n';
+      }
+      if (command === 'v') {
+        return 'CD48 v1.0\r\n';
+      }
+      return 'OK\r\n';
+    },
+  });
+
+  return { transport, state };
+}
+
+describe('parseCounts', () => {
+  it('should parse a count line', () => {
+    expect(parseCounts('1 2 3 4 5 6 7 8 0')).toEqual({
+      counts: [1, 2, 3, 4, 5, 6, 7, 8],
+      overflow: 0,
+    });
+  });
+
+  it('should reject lines that are not count records', () => {
+    expect(() => parseCounts('OK')).toThrow(InvalidResponseError);
+    expect(() => parseCounts('a b c d e f g h i')).toThrow(
+      InvalidResponseError
+    );
+  });
+});
+
+describe('decodeOverflow', () => {
+  it('should list channels whose overflow bit is set', () => {
+    expect(decodeOverflow(0)).toEqual([]);
+    expect(decodeOverflow(5)).toEqual([0, 2]);
+    expect(decodeOverflow(0x80)).toEqual([7]);
+  });
+});
+
+describe('CD48 stream()', () => {
+  let device;
+
+  afterEach(() => {
+    clearInterval(device?.state.timer);
+  });
+
+  it('should yield records and turn repeat off when the loop breaks', async () => {
+    device = createRepeatingDevice();
+    const cd48 = new CD48({ transport: device.transport, commandDelay: 1 });
+    await cd48.connect();
+
+    const records = [];
+    for await (const record of cd48.stream({ intervalMs: 100 })) {
+      records.push(record);
+      if (records.length === 3) break;
+    }
+
+    expect(records.map((r) => r.counts[0])).toEqual([1, 2, 3]);
+    expect(records[0].overflowed).toBe(false);
+    expect(records[1].overflowed).toBe(true);
+    expect(records[1].overflowChannels).toEqual([0, 2]);
+    expect(typeof records[0].timestamp).toBe('number');
+
+    expect(device.transport.written).toEqual(['v\r', 'r100\r', 'R\r', 'R\r']);
+    expect(device.state.timer).toBeNull();
+  });
+
+  it('should hold other commands until the stream ends', async () => {
+    device = createRepeatingDevice();
+    const cd48 = new CD48({ transport: device.transport, commandDelay: 1 });
+    await cd48.connect();
+
+    let version = null;
+    for await (const record of cd48.stream({ intervalMs: 100 })) {
+      cd48.getVersion().then((v) => {
+        version = v;
+      });
+      expect(record.counts).toHaveLength(8);
+      break;
+    }
+
+    await cd48.sleep(50);
+    expect(version).toBe('CD48 v1.0');
+    expect(device.transport.written.at(-1)).toBe('v\r');
+  });
+
+  it('should clamp the repeat interval', async () => {
+    device = createRepeatingDevice();
+    const cd48 = new CD48({ transport: device.transport, commandDelay: 1 });
+    await cd48.connect();
+
+    for await (const _record of cd48.stream({ intervalMs: 10 })) {
+      break;
+    }
+
+    expect(device.transport.written[1]).toBe('r100\r');
+  });
+
+  it('should report a device unplugged mid-stream as closed', async () => {
+    const clock = new VirtualClock({ autoAdvance: true });
+    const transport = new SimulatorTransport({ clock, seed: 'stream' });
+    const cd48 = new CD48({ clock, transport, commandDelay: 1 });
+    await cd48.connect();
+
+    const records = [];
+    const streaming = (async () => {
+      for await (const record of cd48.stream({ intervalMs: 100 })) {
+        records.push(record);
+        if (records.length === 2) {
+          transport.unplug();
+        }
+      }
+    })();
+
+    await expect(streaming).rejects.toThrow(CommunicationError);
+    await expect(streaming).rejects.toThrow('Device stream closed');
+    expect(records).toHaveLength(2);
+    expect(cd48.isConnected()).toBe(false);
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it, expect } from 'vitest';
+import { MemoryTransport } from '../../transport.js';
+import {
+  TranscriptRecorder,
+  ReplayTransport,
+  parseTranscript,
+} from '../../transcript.js';
+import {
+  CommandTimeoutError,
+  CommunicationError,
+  ValidationError,
+} from '../../errors.js';
+import CD48 from '../../cd48.js';
+import session from '../fixtures/session-transcript.json';
+
+const fixture = JSON.stringify(session);
+
+function createDevice() {
+  let reads = 0;
+  return new MemoryTransport({
+    respond: (command) => {
+      if (command === 'c') {
+        reads++;
+        return `${reads * 10} ${reads} 0 0 0 0 0 0 0\r\n`;
+      }
+      return command === 'v' ? 'CD48 v1.2\r\n' : 'OK\r\n';
+    },
+  });
+}
+
+describe('TranscriptRecorder', () => {
+  it('should record entries with times since the start', () => {
+    const recorder = new TranscriptRecorder();
+    recorder.record('write', 'v\r');
+    recorder.record('read', 'CD48 v1.2\r\n');
+
+    const transcript = recorder.toJSON({ firmware: 'CD48 v1.2' });
+    expect(transcript.format).toBe('cd48-transcript');
+    expect(transcript.metadata.firmware).toBe('CD48 v1.2');
+    expect(transcript.entries.map((e) => [e.type, e.data])).toEqual([
+      ['write', 'v\r'],
+      ['read', 'CD48 v1.2\r\n'],
+    ]);
+    expect(transcript.entries[0].t).toBeGreaterThanOrEqual(0);
+  });
+});
+
+describe('parseTranscript', () => {
+  it('should accept JSON text and reject other objects', () => {
+    expect(parseTranscript(fixture).entries).toHaveLength(7);
+    expect(() => parseTranscript({ entries: [] })).toThrow(ValidationError);
+    expect(() =>
+      parseTranscript({ format: 'cd48-transcript', version: 99, entries: [] })
+    ).toThrow(ValidationError);
+  });
+});
+
+describe('CD48 recording', () => {
+  it('should record commands and raw responses when enabled', async () => {
+    const cd48 = new CD48({
+      transport: createDevice(),
+      commandDelay: 1,
+      record: true,
+    });
+    await cd48.connect();
+    await cd48.getCounts();
+
+    const transcript = cd48.getTranscript();
+    expect(transcript.metadata.firmware).toBe('CD48 v1.2');
+    expect(transcript.entries.map((e) => e.data)).toEqual([
+      'v\r',
+      'CD48 v1.2\r\n',
+      'c\r',
+      '10 1 0 0 0 0 0 0 0\r\n',
+    ]);
+  });
+
+  it('should record only between start and stop', async () => {
+    const cd48 = new CD48({ transport: createDevice(), commandDelay: 1 });
+    await cd48.connect();
+    expect(cd48.getTranscript()).toBeNull();
+
+    cd48.startRecording();
+    await cd48.getCounts();
+    const transcript = cd48.stopRecording();
+    await cd48.getCounts();
+
+    expect(transcript.entries.map((e) => e.type)).toEqual(['write', 'read']);
+    expect(cd48.recorder).toBeNull();
+  });
+});
+
+describe('ReplayTransport', () => {
+  it('should reproduce a recorded session', async () => {
+    const recording = new CD48({
+      transport: createDevice(),
+      commandDelay: 1,
+      record: true,
+    });
+    await recording.connect();
+    const recorded = [await recording.getCounts(), await recording.getCounts()];
+    const json = JSON.stringify(recording.getTranscript());
+
+    const replay = new CD48({
+      transport: new ReplayTransport({ transcript: json }),
+      commandDelay: 1,
+    });
+    await replay.connect();
+
+    expect(replay.firmware.raw).toBe('CD48 v1.2');
+    expect([await replay.getCounts(), await replay.getCounts()]).toEqual(
+      recorded
+    );
+  });
+
+  it('should replay the fixture through measureRate', async () => {
+    const transport = new ReplayTransport({ transcript: fixture });
+    const cd48 = new CD48({ transport, commandDelay: 1 });
+    await cd48.connect();
+
+    const result = await cd48.measureRate(0, 0.1);
+
+    expect(result.counts).toBe(1520);
+    expect(transport.isFinished()).toBe(true);
+  });
+
+  it('should wrap around when polled more than recorded', async () => {
+    const cd48 = new CD48({
+      transport: new ReplayTransport({ transcript: fixture }),
+      commandDelay: 1,
+    });
+    await cd48.connect();
+
+    const counts = [];
+    for (let i = 0; i < 3; i++) {
+      counts.push((await cd48.getCounts()).counts[0]);
+    }
+
+    expect(counts).toEqual([0, 1520, 0]);
+  });
+
+  it('should leave unrecorded commands unanswered', async () => {
+    const cd48 = new CD48({
+      transport: new ReplayTransport({ transcript: fixture }),
+      commandDelay: 1,
+      commandTimeout: 50,
+    });
+    await cd48.connect();
+
+    await expect(cd48.setTriggerLevel(1.0)).rejects.toThrow(
+      CommandTimeoutError
+    );
+  });
+
+  it('should reject commands out of order in strict mode', async () => {
+    const cd48 = new CD48({
+      transport: new ReplayTransport({ transcript: fixture, strict: true }),
+      commandDelay: 1,
+    });
+    await cd48.connect();
+
+    await expect(cd48.getSettings(false)).rejects.toThrow(CommunicationError);
+  });
+
+  it('should play replies at the recorded delays', async () => {
+    const transport = new ReplayTransport({ transcript: fixture, speed: 0.1 });
+    await transport.open();
+    await transport.write('c\r');
+
+    const started = Date.now();
+    await transport.read();
+    expect(Date.now() - started).toBeGreaterThanOrEqual(40);
+    await transport.close();
+  });
+});
@@ -0,0 +1,235 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  setupWebSerialMock,
+  cleanupWebSerialMock,
+  createMockSerialPort,
+} from '../mocks/web-serial.js';
+import {
+  Transport,
+  WebSerialTransport,
+  MemoryTransport,
+  CD48_USB_VENDOR_ID,
+} from '../../transport.js';
+import { ConnectionError } from '../../errors.js';
+import CD48 from '../../cd48.js';
+
+describe('Transport', () => {
+  it('should reject unimplemented methods', async () => {
+    const transport = new Transport();
+    expect(transport.isSupported()).toBe(true);
+    expect(transport.isOpen()).toBe(false);
+    await expect(transport.open()).rejects.toThrow('does not implement');
+    await expect(transport.write('v\r')).rejects.toThrow('does not implement');
+  });
+});
+
+describe('WebSerialTransport', () => {
+  let mocks;
+
+  beforeEach(() => {
+    mocks = setupWebSerialMock({ hasPreviousPort: true });
+  });
+
+  afterEach(() => {
+    cleanupWebSerialMock();
+  });
+
+  it('should request a port with the Cypress vendor filter', async () => {
+    const transport = new WebSerialTransport();
+    await transport.open();
+
+    expect(mocks.mockSerial.requestPort).toHaveBeenCalledWith({
+      filters: [{ usbVendorId: CD48_USB_VENDOR_ID }],
+    });
+    expect(mocks.mockPort.open).toHaveBeenCalledWith({ baudRate: 115200 });
+    expect(transport.isOpen()).toBe(true);
+  });
+
+  it('should use a supplied port without prompting', async () => {
+    const transport = new WebSerialTransport({
+      port: mocks.mockPort,
+      baudRate: 9600,
+    });
+    await transport.open();
+
+    expect(mocks.mockSerial.requestPort).not.toHaveBeenCalled();
+    expect(mocks.mockPort.open).toHaveBeenCalledWith({ baudRate: 9600 });
+  });
+
+  it('should reopen a previously granted port', async () => {
+    const transport = new WebSerialTransport();
+    await transport.open();
+    await transport.reopen();
+
+    expect(mocks.mockSerial.getPorts).toHaveBeenCalled();
+    expect(transport.isOpen()).toBe(true);
+    expect(transport.getInfo().usbVendorId).toBe(CD48_USB_VENDOR_ID);
+  });
+
+  it('should throw ConnectionError when no granted port matches', async () => {
+    cleanupWebSerialMock();
+    setupWebSerialMock({ hasPreviousPort: false });
+
+    const transport = new WebSerialTransport();
+    await expect(transport.reopen()).rejects.toThrow(ConnectionError);
+  });
+
+  it('should reopen its own port when several units are granted', async () => {
+    const other = createMockSerialPort();
+    mocks.mockSerial.getPorts.mockResolvedValue([other, mocks.mockPort]);
+
+    const transport = new WebSerialTransport({ port: mocks.mockPort });
+    await transport.open();
+    await transport.reopen();
+
+    expect(transport.port).toBe(mocks.mockPort);
+    expect(other.open).not.toHaveBeenCalled();
+  });
+
+  it('should not take a port another transport has open', async () => {
+    const other = createMockSerialPort();
+    mocks.mockSerial.getPorts.mockResolvedValue([mocks.mockPort, other]);
+
+    const first = new WebSerialTransport({ port: mocks.mockPort });
+    await first.open();
+    const second = new WebSerialTransport();
+    await second.reopen();
+
+    expect(second.port).toBe(other);
+  });
+
+  it('should only take a new port with the same USB product ID', async () => {
+    const otherProduct = createMockSerialPort();
+    otherProduct.getInfo.mockReturnValue({
+      usbVendorId: CD48_USB_VENDOR_ID,
+      usbProductId: 2,
+    });
+    const sameProduct = createMockSerialPort();
+
+    const transport = new WebSerialTransport({ port: mocks.mockPort });
+    await transport.open();
+    // The device comes back as a new port object
+    mocks.mockSerial.getPorts.mockResolvedValue([otherProduct, sameProduct]);
+    await transport.reopen();
+
+    expect(transport.port).toBe(sameProduct);
+  });
+
+  it('should not take a rejected port again', async () => {
+    const first = createMockSerialPort();
+    const second = createMockSerialPort();
+    mocks.mockSerial.getPorts.mockResolvedValue([first, second]);
+
+    const transport = new WebSerialTransport();
+    await transport.reopen();
+    expect(transport.port).toBe(first);
+
+    await transport.rejectDevice();
+    expect(transport.isOpen()).toBe(false);
+    await transport.reopen();
+    expect(transport.port).toBe(second);
+  });
+
+  it('should close and report not open', async () => {
+    const transport = new WebSerialTransport();
+    await transport.open();
+    await transport.close();
+
+    expect(transport.isOpen()).toBe(false);
+    expect(transport.getInfo()).toBeNull();
+  });
+});
+
+describe('MemoryTransport', () => {
+  it('should pass written lines to respond()', async () => {
+    const transport = new MemoryTransport({
+      respond: (command) => `echo ${command}\r\n`,
+    });
+    await transport.open();
+    await transport.write('v\r');
+
+    expect(transport.written).toEqual(['v\r']);
+    expect(await transport.read()).toEqual({
+      value: 'echo v\r\n',
+      done: false,
+    });
+  });
+
+  it('should buffer partial lines until terminated', async () => {
+    const seen = [];
+    const transport = new MemoryTransport({
+      respond: (command) => {
+        seen.push(command);
+      },
+    });
+    await transport.open();
+    await transport.write('S0');
+    await transport.write('1000\r');
+
+    expect(seen).toEqual(['S01000']);
+  });
+
+  it('should deliver pushed data to a pending read', async () => {
+    const transport = new MemoryTransport();
+    await transport.open();
+
+    const pending = transport.read();
+    transport.push('unsolicited\r\n');
+
+    expect(await pending).toEqual({ value: 'unsolicited\r\n', done: false });
+  });
+
+  it('should end pending reads on close', async () => {
+    const transport = new MemoryTransport();
+    await transport.open();
+
+    const pending = transport.read();
+    await transport.close();
+
+    expect((await pending).done).toBe(true);
+    expect(transport.isOpen()).toBe(false);
+  });
+
+  it('should reject writes when closed', async () => {
+    const transport = new MemoryTransport();
+    await expect(transport.write('v\r')).rejects.toThrow('not open');
+  });
+});
+
+describe('CD48 with a custom transport', () => {
+  it('should run commands over a MemoryTransport', async () => {
+    const transport = new MemoryTransport({
+      respond: (command) =>
+        command === 'v' ? 'CD48 v1.2\r\n' : '1 2 3 4 5 6 7 8 0\r\n',
+    });
+    const cd48 = new CD48({ transport, commandDelay: 1 });
+
+    await cd48.connect();
+    expect(cd48.isConnected()).toBe(true);
+    expect(cd48.port).toBeNull();
+
+    expect(await cd48.getVersion()).toBe('CD48 v1.2');
+    const data = await cd48.getCounts();
+    expect(data.counts).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+
+    await cd48.disconnect();
+    expect(cd48.isConnected()).toBe(false);
+  });
+
+  it('should reconnect through the transport', async () => {
+    const transport = new MemoryTransport({ respond: () => 'OK\r\n' });
+    const cd48 = new CD48({ transport });
+    let reconnected = false;
+    cd48.onReconnect(() => {
+      reconnected = true;
+    });
+
+    await cd48.connect();
+    await transport.close();
+    expect(cd48.isConnected()).toBe(false);
+
+    expect(await cd48.reconnect()).toBe(true);
+    expect(cd48.isConnected()).toBe(true);
+    expect(reconnected).toBe(true);
+  });
+});
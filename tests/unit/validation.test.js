@@ -20,6 +20,8 @@ import {
   clampRepeatInterval,
   voltageToByte,
   byteToVoltage,
+  normalizeConfig,
+  normalizeRetryPolicy,
 } from '../../validation.js';
 import {
   ValidationError,
@@ -254,3 +256,86 @@ describe('byteToVoltage', () => {
     expect(() => byteToVoltage('128')).toThrow(ValidationError);
   });
 });
+
+describe('normalizeConfig', () => {
+  it('should convert voltages to bytes and fill channel masks', () => {
+    expect(
+      normalizeConfig({
+        channels: { 4: { A: 1, B: true } },
+        triggerLevel: 2.04,
+        impedance: '50OHM',
+      })
+    ).toEqual({
+      channels: { 4: { A: 1, B: 1, C: 0, D: 0 } },
+      triggerLevel: 128,
+      impedance: '50ohm',
+    });
+  });
+
+  it('should accept channels as an array', () => {
+    const config = normalizeConfig({ channels: [{ A: 1 }, null, { D: 1 }] });
+    expect(Object.keys(config.channels)).toEqual(['0', '2']);
+  });
+
+  it('should reject unknown settings and invalid values', () => {
+    expect(() => normalizeConfig(null)).toThrow(ValidationError);
+    expect(() => normalizeConfig({ trigger: 1 })).toThrow(ValidationError);
+    expect(() => normalizeConfig({ dacVoltage: 5 })).toThrow(
+      InvalidVoltageError
+    );
+    expect(() => normalizeConfig({ channels: { 8: { A: 1 } } })).toThrow(
+      InvalidChannelError
+    );
+    expect(() => normalizeConfig({ channels: { 0: { E: 1 } } })).toThrow(
+      ValidationError
+    );
+    expect(() => normalizeConfig({ channels: { 0: { A: 2 } } })).toThrow(
+      ValidationError
+    );
+  });
+});
+
+describe('normalizeRetryPolicy', () => {
+  const base = {
+    maxAttempts: 1,
+    initialDelayMs: 100,
+    backoffFactor: 2,
+    maxDelayMs: 2000,
+    retryOn: [Error],
+    idempotentCommands: ['v', 'p'],
+  };
+
+  it('should merge overrides over the base policy', () => {
+    expect(normalizeRetryPolicy(undefined, base)).toBe(base);
+    expect(normalizeRetryPolicy({ maxAttempts: 4 }, base)).toEqual({
+      ...base,
+      maxAttempts: 4,
+    });
+    expect(normalizeRetryPolicy(false, { ...base, maxAttempts: 3 })).toEqual(
+      base
+    );
+  });
+
+  it('should reject invalid fields', () => {
+    expect(() => normalizeRetryPolicy({ attempts: 3 }, base)).toThrow(
+      ValidationError
+    );
+    expect(() => normalizeRetryPolicy({ maxAttempts: 0 }, base)).toThrow(
+      ValidationError
+    );
+    expect(() => normalizeRetryPolicy({ backoffFactor: 0.5 }, base)).toThrow(
+      ValidationError
+    );
+    expect(() => normalizeRetryPolicy({ retryOn: ['Error'] }, base)).toThrow(
+      ValidationError
+    );
+  });
+
+  it('should refuse to list commands that clear or toggle state', () => {
+    for (const command of ['c', 'C', 'E', 'R']) {
+      expect(() =>
+        normalizeRetryPolicy({ idempotentCommands: ['v', command] }, base)
+      ).toThrow(ValidationError);
+    }
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Session transcripts: record traffic and replay it later
+ * @module transcript
+ *
+ * A transcript lists every command written to the device and every chunk
+ * of raw text read back, each with its time since recording started.
+ * ReplayTransport plays a transcript back, so a session recorded on one
+ * machine runs again without the hardware.
+ *
+ * @example
+ * // On the machine with the device
+ * const cd48 = new CD48({ record: true });
+ * await cd48.connect();
+ * await cd48.measureRate(0, 5);
+ * const json = JSON.stringify(cd48.getTranscript());
+ *
+ * // Anywhere else
+ * import { ReplayTransport } from 'jscd48/transcript';
+ * const replay = new CD48({ transport: new ReplayTransport({ transcript: json }) });
+ * await replay.connect();
+ * await replay.measureRate(0, 5); // Same counts as the recorded session
+ */
+
+import { MemoryTransport } from './transport.js';
+import { CommunicationError, ValidationError } from './errors.js';
+import { realClock } from './clock.js';
+
+/**
+ * Identifies transcript objects
+ */
+export const TRANSCRIPT_FORMAT = 'cd48-transcript';
+
+/**
+ * Current transcript format version
+ */
+export const TRANSCRIPT_VERSION = 1;
+
+/**
+ * Records device traffic with timing
+ */
+export class TranscriptRecorder {
+  /**
+   * Create a recorder; the clock starts now.
+   * @param {Object} [options] - Recorder options
+   * @param {Object} [options.clock] - Clock for entry times (default: realClock)
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || realClock;
+    this.clear();
+  }
+
+  /**
+   * Record text written to or read from the device.
+   * @param {string} type - 'write' or 'read'
+   * @param {string} data - Raw text
+   */
+  record(type, data) {
+    this.entries.push({ t: this.clock.now() - this._start, type, data });
+  }
+
+  /**
+   * Drop all entries and restart the clock.
+   */
+  clear() {
+    this.entries = [];
+    this.startedAt = new Date(this.clock.timestamp()).toISOString();
+    this._start = this.clock.now();
+  }
+
+  /**
+   * Get the transcript as a plain object, ready for JSON.stringify().
+   * @param {Object} [metadata] - Extra information such as the firmware
+   * @returns {{format: string, version: number, startedAt: string, metadata: Object, entries: Array<{t: number, type: string, data: string}>}}
+   */
+  toJSON(metadata = {}) {
+    return {
+      format: TRANSCRIPT_FORMAT,
+      version: TRANSCRIPT_VERSION,
+      startedAt: this.startedAt,
+      metadata,
+      entries: this.entries.map((entry) => ({ ...entry })),
+    };
+  }
+}
+
+/**
+ * Check a transcript and parse it if given as JSON text.
+ * @param {Object|string} transcript - Transcript object or JSON text
+ * @returns {Object} Transcript object
+ * @throws {ValidationError} If it is not a supported transcript
+ */
+export function parseTranscript(transcript) {
+  const parsed =
+    typeof transcript === 'string' ? JSON.parse(transcript) : transcript;
+
+  if (
+    !parsed ||
+    parsed.format !== TRANSCRIPT_FORMAT ||
+    !Array.isArray(parsed.entries)
+  ) {
+    throw new ValidationError(
+      'transcript',
+      parsed && parsed.format,
+      `must be a ${TRANSCRIPT_FORMAT} object`
+    );
+  }
+  if (parsed.version > TRANSCRIPT_VERSION) {
+    throw new ValidationError(
+      'transcript.version',
+      parsed.version,
+      `must be ${TRANSCRIPT_VERSION} or lower`
+    );
+  }
+  return parsed;
+}
+
+/**
+ * Transport that answers commands from a recorded transcript.
+ *
+ * Each command written is matched to a recorded write of the same text,
+ * and the chunks read after that write are played back with their
+ * recorded delays. By default the next matching write is used, wrapping
+ * to the start of the transcript, so code that polls more often than the
+ * recorded session keeps getting answers; commands never recorded get no
+ * reply and time out. With `strict`, writes must follow the transcript in
+ * order.
+ */
+export class ReplayTransport extends MemoryTransport {
+  /**
+   * Create a replay transport.
+   * @param {Object} options - Transport options
+   * @param {Object|string} options.transcript - Transcript object or JSON text
+   * @param {boolean} [options.strict=false] - Fail on writes out of order
+   * @param {number} [options.speed=1] - Playback speed; Infinity answers at once
+   * @param {Object} [options.clock] - Clock for the recorded delays
+   *   (default: realClock)
+   */
+  constructor(options = {}) {
+    super();
+    const transcript = parseTranscript(options.transcript);
+    this.clock = options.clock || realClock;
+    this.strict = options.strict || false;
+    this.speed = options.speed || 1;
+    this.metadata = transcript.metadata || {};
+    this._greeting = [];
+    this._exchanges = [];
+    this._cursor = 0;
+    this._timers = [];
+    this.respond = (command) => this._replay(command);
+
+    let current = null;
+    for (const entry of transcript.entries) {
+      if (entry.type === 'write') {
+        current = {
+          command: entry.data.replace(/[\r\n]+$/, ''),
+          t: entry.t,
+          replies: [],
+        };
+        this._exchanges.push(current);
+      } else if (entry.type === 'read') {
+        const replies = current ? current.replies : this._greeting;
+        replies.push({
+          delay: current ? entry.t - current.t : 0,
+          data: entry.data,
+        });
+      }
+    }
+  }
+
+  /**
+   * Open the transport, playing any output recorded before the first
+   * command.
+   */
+  async open() {
+    await super.open();
+    this._play(this._greeting);
+  }
+
+  /**
+   * Close the transport and cancel pending playback.
+   */
+  async close() {
+    this._cancel();
+    await super.close();
+  }
+
+  /**
+   * Whether every recorded command has been replayed in order.
+   * @returns {boolean}
+   */
+  isFinished() {
+    return this._cursor >= this._exchanges.length;
+  }
+
+  /**
+   * Find the recorded exchange for a command and play its replies.
+   * @param {string} command - Command line without terminator
+   * @returns {null} Replies are pushed, not returned
+   * @throws {CommunicationError} In strict mode, if the command is not next
+   * @private
+   */
+  _replay(command) {
+    // Output still pending from the previous command is dropped, as the
+    // device had moved on to this command when it was recorded
+    this._cancel();
+
+    const index = this._findExchange(command);
+    if (index === -1) {
+      if (this.strict) {
+        const expected = this._exchanges[this._cursor];
+        throw new CommunicationError(
+          expected
+            ? `Replay expected '${expected.command}' but got '${command}'`
+            : `Replay transcript ended before '${command}'`
+        );
+      }
+      return null;
+    }
+
+    this._cursor = index + 1;
+    this._play(this._exchanges[index].replies);
+    return null;
+  }
+
+  /**
+   * Index of the exchange answering a command, or -1.
+   * @param {string} command - Command line without terminator
+   * @returns {number}
+   * @private
+   */
+  _findExchange(command) {
+    const matches = (i) => this._exchanges[i].command === command;
+
+    if (this.strict) {
+      return this._cursor < this._exchanges.length && matches(this._cursor)
+        ? this._cursor
+        : -1;
+    }
+    for (let i = this._cursor; i < this._exchanges.length; i++) {
+      if (matches(i)) {
+        return i;
+      }
+    }
+    for (let i = 0; i < this._cursor; i++) {
+      if (matches(i)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Push replies at their recorded delays.
+   * @param {Array<{delay: number, data: string}>} replies - Replies to play
+   * @private
+   */
+  _play(replies) {
+    for (const { delay, data } of replies) {
+      const wait = delay / this.speed;
+      if (!(wait > 0)) {
+        this.push(data);
+        continue;
+      }
+      const timer = this.clock.setTimeout(() => {
+        this._timers = this._timers.filter((t) => t !== timer);
+        this.push(data);
+      }, wait);
+      this._timers.push(timer);
+    }
+  }
+
+  /**
+   * Cancel replies not yet played.
+   * @private
+   */
+  _cancel() {
+    this._timers.forEach((timer) => this.clock.clearTimeout(timer));
+    this._timers = [];
+  }
+}
+
+export default {
+  TRANSCRIPT_FORMAT,
+  TRANSCRIPT_VERSION,
+  TranscriptRecorder,
+  ReplayTransport,
+  parseTranscript,
+};
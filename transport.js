@@ -0,0 +1,484 @@
+/**
+ * @fileoverview Transport layer for CD48 communication
+ * @module transport
+ *
+ * A transport moves text between the CD48 class and a device. Every
+ * transport implements the same small interface, so the command and
+ * measurement code in cd48.js runs unchanged over Web Serial, an in-memory
+ * loopback, a WebSocket bridge or a Node serial device.
+ *
+ * @example
+ * import CD48 from 'jscd48';
+ * import { MemoryTransport } from 'jscd48/transport';
+ *
+ * const transport = new MemoryTransport({
+ *   respond: (command) => (command === 'v' ? 'CD48 v1.0\r\n' : 'OK\r\n'),
+ * });
+ * const cd48 = new CD48({ transport });
+ * await cd48.connect();
+ */
+
+import { ConnectionError } from './errors.js';
+
+/**
+ * USB vendor ID of the Cypress Semiconductor chip used by the CD48
+ */
+export const CD48_USB_VENDOR_ID = 0x04b4;
+
+/**
+ * Ports currently opened by a WebSerialTransport, so reopen() never takes
+ * a port that belongs to another unit
+ */
+const claimedPorts = new WeakSet();
+
+/**
+ * Base class describing the transport interface.
+ *
+ * Subclasses must implement open(), close(), write(), read() and isOpen().
+ * reopen() defaults to open(), rejectDevice() to close() and isSupported()
+ * to true.
+ *
+ * Transports are EventTargets and dispatch:
+ * - disconnect: the device went away without close() being called
+ * - connect: a matching device became available again
+ */
+export class Transport extends EventTarget {
+  /**
+   * Check if this transport can run in the current environment.
+   * @returns {boolean}
+   */
+  isSupported() {
+    return true;
+  }
+
+  /**
+   * Open the transport, prompting the user for a device if needed.
+   * @returns {Promise<void>}
+   */
+  async open() {
+    throw new Error(`${this.constructor.name} does not implement open()`);
+  }
+
+  /**
+   * Re-open a previously opened device without user interaction.
+   * @returns {Promise<void>}
+   */
+  async reopen() {
+    await this.open();
+  }
+
+  /**
+   * Close the transport and release its resources.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    throw new Error(`${this.constructor.name} does not implement close()`);
+  }
+
+  /**
+   * Close the transport because the device turned out to be another one
+   * after reopen(). Transports that choose among several devices do not
+   * choose it again.
+   * @returns {Promise<void>}
+   */
+  async rejectDevice() {
+    await this.close();
+  }
+
+  /**
+   * Write text to the device.
+   * @param {string} _data - Text to write
+   * @returns {Promise<void>}
+   */
+  async write(_data) {
+    throw new Error(`${this.constructor.name} does not implement write()`);
+  }
+
+  /**
+   * Read the next chunk of text from the device.
+   * Resolves with { done: true } once the transport is closed.
+   * @returns {Promise<{value: string, done: boolean}>}
+   */
+  async read() {
+    throw new Error(`${this.constructor.name} does not implement read()`);
+  }
+
+  /**
+   * Check if the transport is open.
+   * @returns {boolean}
+   */
+  isOpen() {
+    return false;
+  }
+}
+
+/**
+ * Transport using the browser Web Serial API
+ */
+export class WebSerialTransport extends Transport {
+  /**
+   * Create a Web Serial transport.
+   * @param {Object} options - Transport options
+   * @param {number} [options.baudRate=115200] - Baud rate
+   * @param {Array<Object>} [options.filters] - requestPort() filters (default: Cypress VID)
+   * @param {Object} [options.port] - Already granted SerialPort to use instead of prompting
+   */
+  constructor(options = {}) {
+    super();
+    this.baudRate = options.baudRate || 115200;
+    this.filters = options.filters || [{ usbVendorId: CD48_USB_VENDOR_ID }];
+    this.port = options.port || null;
+    this.reader = null;
+    this.writer = null;
+    this.readableStreamClosed = null;
+    this.writableStreamClosed = null;
+    this._lastPort = this.port;
+    this._lastInfo = null;
+    this._rejectedPorts = new WeakSet();
+    this._watching = false;
+  }
+
+  /**
+   * Check if Web Serial API is supported.
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof navigator !== 'undefined' && 'serial' in navigator;
+  }
+
+  /**
+   * Check if Web Serial API is supported.
+   * @returns {boolean}
+   */
+  isSupported() {
+    return WebSerialTransport.isSupported();
+  }
+
+  /**
+   * Open the port, showing the port picker unless a port was supplied.
+   */
+  async open() {
+    if (!this.port) {
+      this.port = await navigator.serial.requestPort({
+        filters: this.filters,
+      });
+    }
+    this._watchPorts();
+    await this._setupStreams();
+  }
+
+  /**
+   * Listen for ports being plugged and unplugged.
+   * The listeners stay attached after close() so a replugged device is
+   * still reported.
+   * @private
+   */
+  _watchPorts() {
+    if (this._watching || !navigator.serial.addEventListener) {
+      return;
+    }
+    this._watching = true;
+
+    navigator.serial.addEventListener('disconnect', (event) => {
+      if (this.port && event.target === this.port) {
+        this.dispatchEvent(new Event('disconnect'));
+      }
+    });
+    navigator.serial.addEventListener('connect', (event) => {
+      if (event.target && this._matchesFilters(event.target)) {
+        this.dispatchEvent(new Event('connect'));
+      }
+    });
+  }
+
+  /**
+   * Check if a port matches the vendor filters.
+   * @param {Object} port - SerialPort
+   * @returns {boolean}
+   * @private
+   */
+  _matchesFilters(port) {
+    const info = port.getInfo();
+    return this.filters.some(
+      (filter) => info.usbVendorId === filter.usbVendorId
+    );
+  }
+
+  /**
+   * Re-open a previously granted CD48 port.
+   * The port used before is preferred; otherwise the first matching port
+   * with the same USB product ID is taken, unless another transport has it
+   * open or it was rejected with rejectDevice().
+   */
+  async reopen() {
+    await this.close();
+
+    const ports = (await navigator.serial.getPorts()).filter(
+      (p) => !this._rejectedPorts.has(p)
+    );
+    const cd48Port = ports.includes(this._lastPort)
+      ? this._lastPort
+      : ports.find(
+          (p) =>
+            this._matchesFilters(p) &&
+            this._matchesLastProduct(p) &&
+            !claimedPorts.has(p)
+        );
+
+    if (!cd48Port) {
+      throw new ConnectionError('No previously connected CD48 device found');
+    }
+
+    this.port = cd48Port;
+    this._watchPorts();
+    await this._setupStreams();
+  }
+
+  /**
+   * Check if a port has the USB product ID of the port opened last.
+   * @param {Object} port - SerialPort
+   * @returns {boolean}
+   * @private
+   */
+  _matchesLastProduct(port) {
+    return (
+      this._lastInfo === null ||
+      port.getInfo().usbProductId === this._lastInfo.usbProductId
+    );
+  }
+
+  /**
+   * Close the port and never pick it again in reopen().
+   */
+  async rejectDevice() {
+    if (this.port) {
+      this._rejectedPorts.add(this.port);
+    }
+    await this.close();
+  }
+
+  /**
+   * Open the port and set up text streams.
+   * @private
+   */
+  async _setupStreams() {
+    await this.port.open({ baudRate: this.baudRate });
+    this._lastPort = this.port;
+    this._lastInfo = this.port.getInfo();
+    claimedPorts.add(this.port);
+
+    const textDecoder = new TextDecoderStream();
+    this.readableStreamClosed = this.port.readable.pipeTo(textDecoder.writable);
+    this.reader = textDecoder.readable.getReader();
+
+    const textEncoder = new TextEncoderStream();
+    this.writableStreamClosed = textEncoder.readable.pipeTo(this.port.writable);
+    this.writer = textEncoder.writable.getWriter();
+  }
+
+  /**
+   * Close streams and the port.
+   */
+  async close() {
+    if (this.reader) {
+      try {
+        await this.reader.cancel();
+        await this.readableStreamClosed.catch(() => {});
+      } catch {
+        // Ignore cleanup errors
+      }
+      this.reader = null;
+    }
+    if (this.writer) {
+      try {
+        await this.writer.close();
+        await this.writableStreamClosed;
+      } catch {
+        // Ignore cleanup errors
+      }
+      this.writer = null;
+    }
+    if (this.port) {
+      try {
+        await this.port.close();
+      } catch {
+        // Ignore cleanup errors
+      }
+      claimedPorts.delete(this.port);
+      this.port = null;
+    }
+  }
+
+  /**
+   * Write text to the port.
+   * @param {string} data - Text to write
+   */
+  async write(data) {
+    await this.writer.write(data);
+  }
+
+  /**
+   * Read the next chunk of text from the port.
+   * @returns {Promise<{value: string, done: boolean}>}
+   */
+  async read() {
+    return await this.reader.read();
+  }
+
+  /**
+   * Check if the port is open.
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.port !== null && this.reader !== null;
+  }
+
+  /**
+   * Get USB information for the port.
+   * @returns {Object|null} SerialPortInfo or null if no port
+   */
+  getInfo() {
+    return this.port ? this.port.getInfo() : null;
+  }
+}
+
+/**
+ * In-memory transport for tests, simulators and bridges.
+ *
+ * Every line written is passed to the respond() handler; whatever it
+ * returns is queued for reading. push() queues unsolicited output.
+ * unplug() and replug() simulate the device being removed and returned.
+ */
+export class MemoryTransport extends Transport {
+  /**
+   * Create an in-memory transport.
+   * @param {Object} [options] - Transport options
+   * @param {Function} [options.respond] - Handler (command) => response text
+   */
+  constructor(options = {}) {
+    super();
+    this.respond = options.respond || null;
+    this.written = [];
+    this._open = false;
+    this._chunks = [];
+    this._waiters = [];
+    this._pendingWrite = '';
+    this._present = true;
+  }
+
+  /**
+   * Open the transport.
+   * @throws {ConnectionError} If the device is unplugged
+   */
+  async open() {
+    if (!this._present) {
+      throw new ConnectionError('Device is not present');
+    }
+    this._open = true;
+    this._chunks = [];
+    this._pendingWrite = '';
+  }
+
+  /**
+   * Close the transport, ending any pending read.
+   */
+  async close() {
+    this._open = false;
+    this._flushWaiters({ value: undefined, done: true });
+  }
+
+  /**
+   * Simulate the device being unplugged: pending reads end and a
+   * disconnect event is dispatched.
+   */
+  unplug() {
+    this._present = false;
+    this._open = false;
+    this._flushWaiters({ value: undefined, done: true });
+    this.dispatchEvent(new Event('disconnect'));
+  }
+
+  /**
+   * Simulate the device being plugged back in.
+   */
+  replug() {
+    this._present = true;
+    this.dispatchEvent(new Event('connect'));
+  }
+
+  /**
+   * Write text; each complete line is passed to respond().
+   * @param {string} data - Text to write
+   */
+  async write(data) {
+    if (!this._open) {
+      throw new Error('Transport is not open');
+    }
+    this.written.push(data);
+    this._pendingWrite += data;
+
+    const lines = this._pendingWrite.split(/\r\n|\r|\n/);
+    this._pendingWrite = lines.pop();
+
+    for (const line of lines) {
+      if (this.respond) {
+        const response = await this.respond(line);
+        if (response) {
+          this.push(response);
+        }
+      }
+    }
+  }
+
+  /**
+   * Queue text to be read, as if the device had sent it.
+   * @param {string} data - Text to queue
+   */
+  push(data) {
+    if (this._waiters.length > 0) {
+      this._waiters.shift()({ value: data, done: false });
+    } else {
+      this._chunks.push(data);
+    }
+  }
+
+  /**
+   * Read the next chunk, waiting until one is available.
+   * @returns {Promise<{value: string, done: boolean}>}
+   */
+  read() {
+    if (this._chunks.length > 0) {
+      return Promise.resolve({ value: this._chunks.shift(), done: false });
+    }
+    if (!this._open) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise((resolve) => this._waiters.push(resolve));
+  }
+
+  /**
+   * Check if the transport is open.
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this._open;
+  }
+
+  /**
+   * Resolve all pending reads.
+   * @param {Object} result - Read result
+   * @private
+   */
+  _flushWaiters(result) {
+    const waiters = this._waiters;
+    this._waiters = [];
+    waiters.forEach((resolve) => resolve(result));
+  }
+}
+
+export default {
+  Transport,
+  WebSerialTransport,
+  MemoryTransport,
+  CD48_USB_VENDOR_ID,
+};
@@ -77,6 +77,7 @@ export const TimeSeries: {
  */
 export const Coincidence: {
   accidentalRate(rate1: number, rate2: number, coincidenceWindow: number): number;
+  accidentalRateN(rates: number[], coincidenceWindow: number): number;
   trueRate(measuredRate: number, rate1: number, rate2: number, coincidenceWindow: number): number;
   signalToNoise(trueRate: number, accidentalRate: number): number;
   optimalWindow(rate1: number, rate2: number, targetSNR?: number): number;
@@ -135,11 +135,29 @@ export class CalibrationWizard {
 
   constructor(cd48: CD48);
 
-  measureChannelRate(channel: number, duration?: number): Promise<number>;
-  measureBackground(channels: number[], duration?: number): Promise<Record<number, number>>;
+  measureChannelRate(
+    channel: number,
+    duration?: number,
+    options?: { signal?: AbortSignal }
+  ): Promise<number>;
+  measureBackground(
+    channels: number[],
+    duration?: number,
+    options?: { signal?: AbortSignal }
+  ): Promise<Record<number, number>>;
   calibrateVoltage(channel: number, knownVoltage: number): Promise<void>;
-  calibrateGain(channel: number, referenceRate: number, duration?: number): Promise<number>;
-  findOptimalThreshold(channel: number, testThresholds: number[], duration?: number): Promise<OptimalThresholdResult>;
+  calibrateGain(
+    channel: number,
+    referenceRate: number,
+    duration?: number,
+    options?: { signal?: AbortSignal }
+  ): Promise<number>;
+  findOptimalThreshold(
+    channel: number,
+    testThresholds: number[],
+    duration?: number,
+    options?: { signal?: AbortSignal }
+  ): Promise<OptimalThresholdResult>;
   save(name?: string): void;
   load(name: string): CalibrationProfile | null;
   generateReport(): CalibrationReport;
@@ -0,0 +1,75 @@
+/**
+ * Type definitions for real and virtual clocks
+ */
+
+/**
+ * Source of time and timers used for all waiting and timing
+ */
+export interface Clock {
+  /**
+   * Monotonic time in ms, like performance.now()
+   */
+  now(): number;
+  /**
+   * Time in ms since the epoch, like Date.now()
+   */
+  timestamp(): number;
+  setTimeout(callback: () => void, ms?: number): any;
+  clearTimeout(timer: any): void;
+  setInterval(callback: () => void, ms: number): any;
+  clearInterval(timer: any): void;
+}
+
+/**
+ * Clock using the host's timers
+ */
+export declare const realClock: Readonly<Clock>;
+
+export interface VirtualClockOptions {
+  /**
+   * Initial now() in ms (default: 0)
+   */
+  start?: number;
+  /**
+   * timestamp() when now() is 0 (default: 0)
+   */
+  epoch?: number;
+  /**
+   * Jump to the next timer whenever the program is waiting (default: false)
+   */
+  autoAdvance?: boolean;
+}
+
+/**
+ * Clock whose time only moves on advance(), or by itself with autoAdvance
+ */
+export class VirtualClock implements Clock {
+  epoch: number;
+  autoAdvance: boolean;
+  constructor(options?: VirtualClockOptions);
+  now(): number;
+  timestamp(): number;
+  setTimeout(callback: () => void, ms?: number): number;
+  clearTimeout(id: number): void;
+  setInterval(callback: () => void, ms: number): number;
+  clearInterval(id: number): void;
+  /**
+   * Number of timers waiting to fire
+   */
+  getPendingCount(): number;
+  /**
+   * Move time forward, firing every timer that falls due on the way
+   */
+  advance(ms: number): Promise<void>;
+  /**
+   * Move time forward to the next timer and fire it; false if none waited
+   */
+  next(): Promise<boolean>;
+}
+
+declare const _default: {
+  realClock: typeof realClock;
+  VirtualClock: typeof VirtualClock;
+};
+
+export default _default;
@@ -0,0 +1,141 @@
+/**
+ * Type definitions for CD48 cumulative counts
+ */
+
+import type CD48 from '../cd48';
+import type { Clock } from './clock';
+
+export interface CountsReading {
+  /**
+   * Counts per channel since the last read
+   */
+  counts: number[];
+  /**
+   * Overflow byte (bit n = channel n)
+   */
+  overflow?: number;
+  /**
+   * Host time of the reading in ms
+   */
+  timestamp?: number;
+  /**
+   * Sequence number from the CD48 counts event; a skipped number marks
+   * a gap
+   */
+  sequence?: number;
+}
+
+export interface CounterInterval {
+  index: number;
+  timestamp: number;
+  /**
+   * Milliseconds since the previous reading, or null for the first
+   */
+  duration: number | null;
+  counts: number[];
+  overflowChannels: number[];
+  /**
+   * Estimated wraps per channel
+   */
+  wraps: number[];
+  /**
+   * Whether any channel wrapped, so its true count is uncertain
+   */
+  ambiguous: boolean;
+  ambiguousChannels: number[];
+  /**
+   * Whether counts of this interval were cleared unread by a
+   * human-readable read, so the totals miss them
+   */
+  gap: boolean;
+}
+
+export interface CumulativeCounterOptions {
+  /**
+   * Counter width in bits (default: cd48.capabilities.countWidth, else 32)
+   */
+  countWidth?: number;
+  /**
+   * Clock for reading times (default: cd48.clock, else realClock)
+   */
+  clock?: Clock;
+}
+
+export interface CumulativeCounterEventMap {
+  interval: CustomEvent<CounterInterval>;
+  wrap: CustomEvent<CounterInterval>;
+  gap: CustomEvent<CounterInterval>;
+}
+
+/**
+ * Accumulates CD48 counts into 64-bit-safe totals
+ */
+export class CumulativeCounter extends EventTarget {
+  cd48: CD48 | null;
+  countWidth: number | null;
+  clock: Clock;
+
+  constructor(cd48?: CD48 | null, options?: CumulativeCounterOptions);
+
+  addEventListener<K extends keyof CumulativeCounterEventMap>(
+    type: K,
+    listener: (
+      this: CumulativeCounter,
+      event: CumulativeCounterEventMap[K]
+    ) => void,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  addEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+
+  /**
+   * Start accumulating every counts reading the CD48 makes
+   */
+  start(options?: { clear?: boolean }): Promise<void>;
+
+  /**
+   * Stop accumulating readings; totals are kept
+   */
+  stop(): void;
+
+  /**
+   * Read the counts now and add them
+   */
+  update(options?: {
+    priority?: 'high' | 'normal' | 'low';
+  }): Promise<CounterInterval>;
+
+  /**
+   * Add one counts reading
+   */
+  add(reading: CountsReading): CounterInterval;
+
+  /**
+   * Running totals per channel, including estimated wraps
+   */
+  getTotals(): bigint[];
+
+  /**
+   * Intervals in which at least one channel wrapped
+   */
+  getAmbiguousIntervals(): CounterInterval[];
+
+  /**
+   * Intervals after counts were cleared unread
+   */
+  getGapIntervals(): CounterInterval[];
+
+  /**
+   * Whether a channel's total depends on a wrap estimate
+   */
+  isAmbiguous(channel: number): boolean;
+
+  getIntervalCount(): number;
+  getCountWidth(): number;
+  reset(): void;
+}
+
+export default CumulativeCounter;
@@ -99,3 +99,46 @@ export class CommunicationError extends CD48Error {
   cause: Error | undefined;
   constructor(message: string, cause?: Error);
 }
+
+/**
+ * Error thrown when settings read back from the device differ from the
+ * settings that were applied
+ */
+export class SettingsMismatchError extends CD48Error {
+  name: 'SettingsMismatchError';
+  mismatches: Array<{ setting: string; expected: unknown; actual: unknown }>;
+  constructor(
+    mismatches: Array<{ setting: string; expected: unknown; actual: unknown }>
+  );
+}
+
+/**
+ * Error thrown when the connected firmware does not support a command
+ */
+export class UnsupportedCommandError extends CD48Error {
+  name: 'UnsupportedCommandError';
+  command: string;
+  firmware: string | null;
+  constructor(command: string, firmware: string | null);
+}
+
+/**
+ * Error thrown when a long-running operation is cancelled through its
+ * AbortSignal
+ */
+export class AbortError extends CD48Error {
+  name: 'AbortError';
+  partial: unknown;
+  reason: unknown;
+  constructor(partial?: unknown, reason?: unknown);
+}
+
+/**
+ * Error thrown when no counting channel on the device is programmed with
+ * an input combination a measurement needs
+ */
+export class ChannelConfigurationError extends CD48Error {
+  name: 'ChannelConfigurationError';
+  missing: string[][];
+  constructor(missing: string[][]);
+}
@@ -0,0 +1,58 @@
+/**
+ * Type definitions for CD48 firmware versions and capabilities
+ */
+
+export interface FirmwareVersion {
+  major: number;
+  minor: number;
+  patch: number;
+  prerelease: string | null;
+  /**
+   * Full reply to the 'v' command
+   */
+  raw: string;
+}
+
+export interface FirmwareCapabilities {
+  /**
+   * Lowest firmware version the entry applies to
+   */
+  minVersion: string;
+  /**
+   * Command characters the firmware accepts
+   */
+  commands: readonly string[];
+  replyFormats: {
+    counts: string;
+    /**
+     * Format of the 'p' reply, passed to parseSettings()
+     */
+    settings: 'basic' | 'extended';
+  };
+  /**
+   * Counter width in bits
+   */
+  countWidth: number;
+}
+
+export declare const ALL_COMMANDS: readonly string[];
+export declare const FIRMWARE_CAPABILITIES: readonly FirmwareCapabilities[];
+
+export function parseVersion(response: string | null): FirmwareVersion | null;
+export function compareVersions(
+  a: FirmwareVersion | string,
+  b: FirmwareVersion | string
+): number;
+export function getCapabilities(
+  version: FirmwareVersion | null,
+  table?: readonly FirmwareCapabilities[]
+): FirmwareCapabilities;
+
+declare const _default: {
+  ALL_COMMANDS: typeof ALL_COMMANDS;
+  FIRMWARE_CAPABILITIES: typeof FIRMWARE_CAPABILITIES;
+  parseVersion: typeof parseVersion;
+  compareVersions: typeof compareVersions;
+  getCapabilities: typeof getCapabilities;
+};
+export default _default;
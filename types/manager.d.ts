@@ -0,0 +1,83 @@
+/**
+ * Type definitions for the CD48 multi-device manager
+ */
+
+import CD48, { CD48Options, CommandOptions, CountData } from '../cd48';
+import { SerialPortFilter, Transport } from './transport';
+
+export interface UnitIdentity {
+  usbVendorId?: number;
+  usbProductId?: number;
+  /**
+   * Firmware getVersion() output
+   */
+  version: string;
+}
+
+/**
+ * Identity fields to match; RegExp values are tested against the field
+ */
+export type IdentityMatcher = {
+  [K in keyof UnitIdentity]?: UnitIdentity[K] | RegExp;
+};
+
+export interface CD48ManagerOptions {
+  filters?: SerialPortFilter[];
+  cd48Options?: Omit<CD48Options, 'transport'>;
+  createTransport?: (port: any) => Transport;
+  serial?: any;
+}
+
+export interface ManagedPort {
+  port: any;
+  info: { usbVendorId?: number; usbProductId?: number };
+  /**
+   * Name of the unit using the port, or null
+   */
+  name: string | null;
+}
+
+export interface UnitCounts extends Partial<CountData> {
+  /**
+   * Time the request was sent (ms since epoch)
+   */
+  requestedAt: number;
+  /**
+   * Time the reply arrived (ms since epoch)
+   */
+  timestamp: number;
+  /**
+   * Set instead of counts if the unit failed
+   */
+  error?: Error;
+}
+
+export function matchesIdentity(
+  matcher: IdentityMatcher,
+  identity: UnitIdentity
+): boolean;
+
+/**
+ * Connects to and coordinates several CD48 units
+ */
+export class CD48Manager {
+  filters: SerialPortFilter[];
+  cd48Options: Omit<CD48Options, 'transport'>;
+  constructor(options?: CD48ManagerOptions);
+  listPorts(): Promise<ManagedPort[]>;
+  requestUnit(name: string): Promise<CD48>;
+  add(name: string, port: any): Promise<CD48>;
+  connectAll(assignments?: Record<string, IdentityMatcher>): Promise<{
+    names: string[];
+    errors: Array<{ info: object; error: Error }>;
+  }>;
+  get(name: string): CD48;
+  getIdentity(name: string): UnitIdentity;
+  getNames(): string[];
+  rename(name: string, newName: string): void;
+  remove(name: string): Promise<void>;
+  disconnectAll(): Promise<void>;
+  getCounts(options?: CommandOptions): Promise<Record<string, UnitCounts>>;
+}
+
+export default CD48Manager;
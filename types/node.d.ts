@@ -0,0 +1,25 @@
+/**
+ * Type definitions for CD48 Node.js entry point
+ */
+
+import CD48 from '../cd48';
+import { Transport } from './transport';
+
+export interface NodeSerialTransportOptions {
+  path: string;
+  baudRate?: number;
+  configureTty?: boolean;
+}
+
+/**
+ * Transport for serial devices opened through the Node.js file system
+ */
+export class NodeSerialTransport extends Transport {
+  path: string;
+  baudRate: number;
+  configureTty: boolean;
+  constructor(options: NodeSerialTransportOptions);
+}
+
+export { CD48 };
+export default CD48;
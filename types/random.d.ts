@@ -0,0 +1,44 @@
+/**
+ * Type definitions for seeded random numbers
+ */
+
+/**
+ * Pick a seed for callers that did not supply one
+ */
+export declare function randomSeed(): number;
+
+/**
+ * Seedable pseudo-random number generator with Poisson, exponential and
+ * Gaussian samplers
+ */
+export class SeededRandom {
+  /**
+   * 32-bit seed in use; pass it back to reproduce a run
+   */
+  seed: number;
+  /**
+   * @throws {ValidationError} If the seed is not a finite number or a string
+   */
+  constructor(seed?: number | string);
+  /**
+   * Next uniform number in [0, 1)
+   */
+  next(): number;
+  uniform(min?: number, max?: number): number;
+  /**
+   * Waiting time in units of 1 / rate
+   */
+  exponential(rate?: number): number;
+  gaussian(mean?: number, std?: number): number;
+  /**
+   * @throws {ValidationError} If the mean is negative or not finite
+   */
+  poisson(mean: number): number;
+}
+
+declare const _default: {
+  SeededRandom: typeof SeededRandom;
+  randomSeed: typeof randomSeed;
+};
+
+export default _default;
@@ -0,0 +1,213 @@
+/**
+ * Type definitions for the protocol-level CD48 simulator
+ */
+
+import { MemoryTransport } from './transport';
+import { SeededRandom } from './random';
+import { Clock } from './clock';
+
+export declare const DEFAULT_SIMULATOR_VERSION: string;
+export declare const DEFAULT_CHANNEL_MASKS: readonly string[];
+export declare const INVALID_COMMAND_REPLY: string;
+
+export interface SimulatorFaults {
+  /**
+   * Delay before output reaches the host in ms
+   */
+  latencyMs: number;
+  /**
+   * Chance of each output character being dropped (0-1)
+   */
+  dropRate: number;
+  /**
+   * Chance of each output character being sent twice (0-1)
+   */
+  duplicateRate: number;
+  /**
+   * Chance of each output line having a character replaced (0-1)
+   */
+  garbleRate: number;
+  /**
+   * Chance of a reply or repeat line being cut short (0-1)
+   */
+  partialRate: number;
+  /**
+   * Channels whose counters stop counting and keep their value
+   */
+  stuckChannels: number[];
+  /**
+   * Commands answered before the device is unplugged, or null
+   */
+  disconnectAfter: number | null;
+  /**
+   * Time until a device unplugged by disconnectAfter returns, or null
+   */
+  reappearAfterMs: number | null;
+}
+
+/**
+ * Faults of a healthy link
+ */
+export declare const NO_FAULTS: Readonly<SimulatorFaults>;
+
+export type SimulatorInput = 'A' | 'B' | 'C' | 'D';
+
+export interface CorrelatedSource {
+  /**
+   * Inputs that see every pulse of this source at the same instant
+   */
+  inputs: SimulatorInput[];
+  /**
+   * Pulses per second
+   */
+  rate: number;
+}
+
+export interface SimulatorSources {
+  /**
+   * Independent Poisson rates in counts per second; omitted inputs are 0
+   */
+  rates?: Partial<Record<SimulatorInput, number>>;
+  correlations?: CorrelatedSource[];
+}
+
+export interface CD48SimulatorOptions extends SimulatorSources {
+  /**
+   * Coincidence window in seconds (default: 25e-9)
+   */
+  coincidenceWindow?: number;
+  /**
+   * Reply to 'v' (default: DEFAULT_SIMULATOR_VERSION)
+   */
+  version?: string;
+  /**
+   * Firmware capability table deciding the command set, reply formats
+   * and counter width (default: FIRMWARE_CAPABILITIES)
+   */
+  capabilityTable?: Array<Record<string, any>>;
+  /**
+   * Seed for the pulse times and faults; the same seed reproduces the
+   * same count stream
+   */
+  seed?: number | string;
+  /**
+   * Generator to use instead of seeding a new one
+   */
+  random?: SeededRandom;
+  /**
+   * Clock for the simulated time and repeat output; share a VirtualClock
+   * with CD48 to simulate without waiting (default: realClock)
+   */
+  clock?: Clock;
+  /**
+   * Current time in ms (default: clock.now)
+   */
+  now?: () => number;
+}
+
+export interface SimulatorSettings {
+  /**
+   * Input bits in ABCD order per channel
+   */
+  channels: number[][];
+  triggerLevel: number;
+  dacVoltage: number;
+  /**
+   * 1 for 50 Ohm, 0 for high-Z
+   */
+  impedance: number;
+  repeatEnabled: boolean;
+  repeatInterval: number;
+}
+
+/**
+ * Simulated CD48 that answers commands the way the hardware does
+ */
+export class CD48Simulator {
+  version: string;
+  capabilities: Record<string, any>;
+  coincidenceWindow: number;
+  random: SeededRandom;
+  clock: Clock;
+  rates: Record<SimulatorInput, number>;
+  correlations: CorrelatedSource[];
+  settings: SimulatorSettings;
+  counts: number[];
+  overflow: number;
+  /**
+   * Receives repeat output
+   */
+  output: ((text: string) => void) | null;
+  constructor(options?: CD48SimulatorOptions);
+  /**
+   * Return to power-on settings with cleared counters
+   */
+  reset(): void;
+  /**
+   * Change the sources; pulses up to now use the old rates
+   * @throws {ValidationError} If a rate or source is invalid
+   */
+  setSources(sources: SimulatorSources): void;
+  /**
+   * Answer a command line; the reply includes line terminators
+   */
+  execute(command: string): string;
+  /**
+   * Freeze counters at their current value
+   */
+  setStuckChannels(channels: number[]): void;
+  /**
+   * Current settings and counters, without clearing them
+   */
+  getState(): {
+    settings: SimulatorSettings;
+    counts: number[];
+    overflow: number;
+  };
+  pauseOutput(): void;
+  resumeOutput(): void;
+}
+
+export interface SimulatorTransportOptions extends CD48SimulatorOptions {
+  /**
+   * Simulated device to use instead of creating one
+   */
+  simulator?: CD48Simulator;
+  /**
+   * Faults to start with
+   */
+  faults?: Partial<SimulatorFaults>;
+}
+
+/**
+ * Transport connecting CD48 to a CD48Simulator
+ */
+export class SimulatorTransport extends MemoryTransport {
+  simulator: CD48Simulator;
+  faults: SimulatorFaults;
+  /**
+   * Generator for faults, seeded like the simulator
+   */
+  random: SeededRandom;
+  constructor(options?: SimulatorTransportOptions);
+  /**
+   * Change faults; settings not given keep their value
+   * @throws {ValidationError} If a fault setting is invalid
+   */
+  setFaults(faults: Partial<SimulatorFaults>): void;
+  /**
+   * Return to a healthy link and unfreeze stuck counters
+   */
+  clearFaults(): void;
+}
+
+declare const _default: {
+  DEFAULT_SIMULATOR_VERSION: typeof DEFAULT_SIMULATOR_VERSION;
+  DEFAULT_CHANNEL_MASKS: typeof DEFAULT_CHANNEL_MASKS;
+  INVALID_COMMAND_REPLY: typeof INVALID_COMMAND_REPLY;
+  NO_FAULTS: typeof NO_FAULTS;
+  CD48Simulator: typeof CD48Simulator;
+  SimulatorTransport: typeof SimulatorTransport;
+};
+
+export default _default;
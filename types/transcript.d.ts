@@ -0,0 +1,89 @@
+/**
+ * Type definitions for CD48 session transcripts and replay
+ */
+
+import { MemoryTransport } from './transport';
+import { Clock } from './clock';
+
+export declare const TRANSCRIPT_FORMAT: 'cd48-transcript';
+export declare const TRANSCRIPT_VERSION: number;
+
+export interface TranscriptEntry {
+  /**
+   * Milliseconds since recording started
+   */
+  t: number;
+  type: 'write' | 'read';
+  /**
+   * Raw text, including line terminators
+   */
+  data: string;
+}
+
+export interface Transcript {
+  format: 'cd48-transcript';
+  version: number;
+  startedAt: string;
+  metadata: Record<string, unknown>;
+  entries: TranscriptEntry[];
+}
+
+export class TranscriptRecorder {
+  entries: TranscriptEntry[];
+  startedAt: string;
+  clock: Clock;
+  constructor(options?: { clock?: Clock });
+  record(type: 'write' | 'read', data: string): void;
+  clear(): void;
+  toJSON(metadata?: Record<string, unknown>): Transcript;
+}
+
+/**
+ * Check a transcript and parse it if given as JSON text
+ * @throws {ValidationError} If it is not a supported transcript
+ */
+export function parseTranscript(transcript: Transcript | string): Transcript;
+
+export interface ReplayTransportOptions {
+  /**
+   * Transcript object or JSON text
+   */
+  transcript: Transcript | string;
+  /**
+   * Fail on writes that do not follow the transcript in order (default: false)
+   */
+  strict?: boolean;
+  /**
+   * Playback speed; Infinity answers at once (default: 1)
+   */
+  speed?: number;
+  /**
+   * Clock for the recorded delays (default: realClock)
+   */
+  clock?: Clock;
+}
+
+/**
+ * Transport that answers commands from a recorded transcript
+ */
+export class ReplayTransport extends MemoryTransport {
+  strict: boolean;
+  speed: number;
+  clock: Clock;
+  metadata: Record<string, unknown>;
+  constructor(options: ReplayTransportOptions);
+  /**
+   * Whether every recorded command has been replayed in order
+   */
+  isFinished(): boolean;
+}
+
+declare const _default: {
+  TRANSCRIPT_FORMAT: typeof TRANSCRIPT_FORMAT;
+  TRANSCRIPT_VERSION: typeof TRANSCRIPT_VERSION;
+  TranscriptRecorder: typeof TranscriptRecorder;
+  ReplayTransport: typeof ReplayTransport;
+  parseTranscript: typeof parseTranscript;
+};
+
+export default _default;
@@ -0,0 +1,77 @@
+/**
+ * Type definitions for CD48 transport module
+ */
+
+export const CD48_USB_VENDOR_ID: 0x04b4;
+
+export interface ReadResult {
+  value: string | undefined;
+  done: boolean;
+}
+
+/**
+ * Base class describing the transport interface.
+ * Dispatches `disconnect` when the device goes away and `connect` when a
+ * matching device becomes available again.
+ */
+export class Transport extends EventTarget {
+  isSupported(): boolean;
+  open(): Promise<void>;
+  reopen(): Promise<void>;
+  close(): Promise<void>;
+  /**
+   * Close because the reopened device is another one; transports that
+   * choose among several devices do not choose it again
+   */
+  rejectDevice(): Promise<void>;
+  write(data: string): Promise<void>;
+  read(): Promise<ReadResult>;
+  isOpen(): boolean;
+}
+
+export interface SerialPortFilter {
+  usbVendorId?: number;
+  usbProductId?: number;
+}
+
+export interface WebSerialTransportOptions {
+  baudRate?: number;
+  filters?: SerialPortFilter[];
+  port?: any;
+}
+
+/**
+ * Transport using the browser Web Serial API
+ */
+export class WebSerialTransport extends Transport {
+  baudRate: number;
+  filters: SerialPortFilter[];
+  port: any | null;
+  constructor(options?: WebSerialTransportOptions);
+  static isSupported(): boolean;
+  getInfo(): { usbVendorId?: number; usbProductId?: number } | null;
+}
+
+export interface MemoryTransportOptions {
+  respond?: (command: string) => string | void | Promise<string | void>;
+}
+
+/**
+ * In-memory transport for tests, simulators and bridges
+ */
+export class MemoryTransport extends Transport {
+  respond: ((command: string) => string | void | Promise<string | void>) | null;
+  written: string[];
+  constructor(options?: MemoryTransportOptions);
+  push(data: string): void;
+  unplug(): void;
+  replug(): void;
+}
+
+declare const _default: {
+  Transport: typeof Transport;
+  WebSerialTransport: typeof WebSerialTransport;
+  MemoryTransport: typeof MemoryTransport;
+  CD48_USB_VENDOR_ID: typeof CD48_USB_VENDOR_ID;
+};
+export default _default;
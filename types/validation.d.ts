@@ -88,3 +88,25 @@ export function voltageToByte(voltage: number): number;
  * Convert byte value to voltage
  */
 export function byteToVoltage(byte: number): number;
+
+/**
+ * Validate a configure() object and convert it to device units
+ */
+export function normalizeConfig(config: object): {
+  channels: Record<number, { A: number; B: number; C: number; D: number }>;
+  triggerLevel?: number;
+  impedance?: 'highz' | '50ohm';
+  dacVoltage?: number;
+  repeatInterval?: number;
+};
+
+/**
+ * Validate a retry policy and merge it over a base policy; false disables
+ * retries
+ * @throws {ValidationError} If a field is invalid or a clearing command is
+ * listed as idempotent
+ */
+export function normalizeRetryPolicy<T extends object>(
+  policy: Partial<T> | boolean | null | undefined,
+  base: T
+): T;
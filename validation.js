@@ -7,6 +7,7 @@ import {
   InvalidVoltageError,
   ValidationError,
 } from './errors.js';
+import { NON_IDEMPOTENT_COMMANDS } from './protocol.js';
 
 /**
  * Valid channel range (0-7)
@@ -204,3 +205,178 @@ export function byteToVoltage(byte) {
   validateByte(byte);
   return (byte / BYTE_MAX) * VOLTAGE_MAX;
 }
+
+/**
+ * Settings accepted by CD48.configure()
+ */
+const CONFIG_KEYS = [
+  'channels',
+  'triggerLevel',
+  'impedance',
+  'dacVoltage',
+  'repeatInterval',
+];
+
+/**
+ * Validate a configure() object and convert it to device units.
+ * Voltages become bytes and channel masks get every input set to 0 or 1.
+ * @param {Object} config - Configuration object
+ * @returns {Object} Normalized settings: { channels, triggerLevel?, impedance?, dacVoltage?, repeatInterval? }
+ * @throws {ValidationError} If the configuration is invalid
+ */
+export function normalizeConfig(config) {
+  if (typeof config !== 'object' || config === null) {
+    throw new ValidationError('config', config, 'must be an object');
+  }
+
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      throw new ValidationError(
+        'config',
+        key,
+        `unknown setting, expected one of ${CONFIG_KEYS.join(', ')}`
+      );
+    }
+  }
+
+  const normalized = { channels: {} };
+
+  for (const [key, inputs] of Object.entries(config.channels || {})) {
+    if (inputs === null || inputs === undefined) {
+      continue;
+    }
+    const channel = Number(key);
+    validateChannel(channel);
+
+    const mask = { A: 0, B: 0, C: 0, D: 0 };
+    for (const [input, value] of Object.entries(inputs)) {
+      if (!(input in mask)) {
+        throw new ValidationError('input', input, 'must be A, B, C or D');
+      }
+      if (value !== 0 && value !== 1 && typeof value !== 'boolean') {
+        throw new ValidationError(`channels.${key}.${input}`, value, '0 or 1');
+      }
+      mask[input] = Number(value);
+    }
+    normalized.channels[channel] = mask;
+  }
+
+  if (config.triggerLevel !== undefined) {
+    validateVoltage(config.triggerLevel);
+    normalized.triggerLevel = voltageToByte(config.triggerLevel);
+  }
+  if (config.impedance !== undefined) {
+    validateImpedanceMode(config.impedance);
+    normalized.impedance = config.impedance.toLowerCase();
+  }
+  if (config.dacVoltage !== undefined) {
+    validateVoltage(config.dacVoltage);
+    normalized.dacVoltage = voltageToByte(config.dacVoltage);
+  }
+  if (config.repeatInterval !== undefined) {
+    validateRepeatInterval(config.repeatInterval);
+    normalized.repeatInterval = config.repeatInterval;
+  }
+
+  return normalized;
+}
+
+/**
+ * Retry policy fields accepted by normalizeRetryPolicy()
+ */
+const RETRY_POLICY_KEYS = [
+  'maxAttempts',
+  'initialDelayMs',
+  'backoffFactor',
+  'maxDelayMs',
+  'retryOn',
+  'idempotentCommands',
+];
+
+/**
+ * Validate a retry policy and merge it over a base policy.
+ * Passing false disables retries.
+ * @param {Object|boolean|undefined} policy - Fields to override, or false
+ * @param {Object} base - Complete policy to start from
+ * @returns {Object} Complete retry policy
+ * @throws {ValidationError} If a field is invalid, or a command that must
+ *   not be resent is listed as idempotent
+ */
+export function normalizeRetryPolicy(policy, base) {
+  if (policy === undefined || policy === null || policy === true) {
+    return base;
+  }
+  if (policy === false) {
+    return { ...base, maxAttempts: 1 };
+  }
+  if (typeof policy !== 'object') {
+    throw new ValidationError('retry', policy, 'must be an object or false');
+  }
+
+  for (const key of Object.keys(policy)) {
+    if (!RETRY_POLICY_KEYS.includes(key)) {
+      throw new ValidationError(
+        'retry',
+        key,
+        `unknown option, expected one of ${RETRY_POLICY_KEYS.join(', ')}`
+      );
+    }
+  }
+
+  const merged = { ...base, ...policy };
+
+  if (!Number.isInteger(merged.maxAttempts) || merged.maxAttempts < 1) {
+    throw new ValidationError(
+      'retry.maxAttempts',
+      merged.maxAttempts,
+      'must be an integer of at least 1'
+    );
+  }
+  for (const key of ['initialDelayMs', 'maxDelayMs']) {
+    if (typeof merged[key] !== 'number' || !(merged[key] >= 0)) {
+      throw new ValidationError(
+        `retry.${key}`,
+        merged[key],
+        'must be a non-negative number'
+      );
+    }
+  }
+  if (
+    typeof merged.backoffFactor !== 'number' ||
+    !(merged.backoffFactor >= 1)
+  ) {
+    throw new ValidationError(
+      'retry.backoffFactor',
+      merged.backoffFactor,
+      'must be a number of at least 1'
+    );
+  }
+  if (
+    !Array.isArray(merged.retryOn) ||
+    !merged.retryOn.every((type) => typeof type === 'function')
+  ) {
+    throw new ValidationError(
+      'retry.retryOn',
+      merged.retryOn,
+      'must be an array of error classes'
+    );
+  }
+  if (!Array.isArray(merged.idempotentCommands)) {
+    throw new ValidationError(
+      'retry.idempotentCommands',
+      merged.idempotentCommands,
+      'must be an array of command characters'
+    );
+  }
+  for (const command of merged.idempotentCommands) {
+    if (NON_IDEMPOTENT_COMMANDS.includes(command)) {
+      throw new ValidationError(
+        'retry.idempotentCommands',
+        command,
+        'clears or toggles device state and must not be resent'
+      );
+    }
+  }
+
+  return merged;
+}